@@ -1,6 +1,12 @@
+const express = require('express');
+
+const app = express();
+
 app.get("/", (req, res) => {
   res.status(200).json({
     success: true,
     message: "Backend is running successfully 🚀"
   });
 });
+
+module.exports = app;
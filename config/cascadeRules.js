@@ -0,0 +1,102 @@
+// What happens to related records when a company or contact is deleted.
+//
+// Each rule names the related resource, the field pointing at the deleted
+// record and what to do with matching records:
+//   unlink   - clear the reference (or pull the ID from an array field)
+//   reassign - point the reference at another record of the same type,
+//              given as ?reassignTo=<id>
+//   block    - refuse the deletion while any related record exists
+//   delete   - move the related records to the trash as well
+// `behaviour` is the default and `allowed` lists what a request may pick
+// instead with ?cascade[<resource>]=<behaviour>, which applies to every rule
+// of that resource. `array` fields hold a list of IDs; `arrayOf` fields are a
+// property of subdocuments in that array. `inverse` names an array on the
+// deleted record's model that lists the related records, kept in step when
+// they are reassigned.
+// Rules are applied by services/deletionService.js;
+// GET /api/<resource>/:id/deletion-preview shows their effect without deleting
+// anything.
+
+const CASCADE_BEHAVIOURS = ['unlink', 'reassign', 'block', 'delete'];
+
+const CASCADE_RULES = {
+  companies: [
+    // Contacts moved to another company are added to its contacts list too
+    {
+      resource: 'contacts',
+      field: 'company_id',
+      inverse: 'contacts',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    // Opportunities must have a company, so they cannot be unlinked
+    {
+      resource: 'opportunities',
+      field: 'company_id',
+      behaviour: 'block',
+      allowed: ['reassign', 'block', 'delete']
+    },
+    {
+      resource: 'activities',
+      field: 'company_id',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    {
+      resource: 'expenses',
+      field: 'company',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    }
+  ],
+  contacts: [
+    {
+      resource: 'opportunities',
+      field: 'contact_id',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    {
+      resource: 'activities',
+      field: 'contact_id',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    // Unlinking drops the contact from the attendees
+    {
+      resource: 'activities',
+      field: 'contact',
+      arrayOf: 'attendees',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    {
+      resource: 'expenses',
+      field: 'contact',
+      behaviour: 'unlink',
+      allowed: CASCADE_BEHAVIOURS
+    },
+    // Company.contacts lists the company's contacts; deleting the company
+    // itself would be surprising, so only unlinking or reassigning is allowed
+    {
+      resource: 'companies',
+      field: 'contacts',
+      array: true,
+      behaviour: 'unlink',
+      allowed: ['unlink', 'reassign', 'block']
+    }
+  ]
+};
+
+/**
+ * Get the cascade rules of a resource
+ * @param {string} resource - Resource being deleted, e.g. companies
+ * @returns {Array} Rules, empty when deleting has no side effects
+ */
+const getCascadeRules = (resource) => CASCADE_RULES[resource] || [];
+
+module.exports = {
+  CASCADE_BEHAVIOURS,
+  CASCADE_RULES,
+  getCascadeRules
+};
@@ -1,5 +1,3 @@
-const mongoose = require('mongoose');
-
 const dbConfig = {
   development: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/crm_db',
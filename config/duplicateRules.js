@@ -0,0 +1,46 @@
+// How new contacts, companies and leads are matched against existing records.
+//
+// A record is a possible duplicate when any rule of its resource matches:
+//   email  - same email address, ignoring case
+//   phone  - same phone number once everything but digits is dropped; only
+//            the last `digits` digits are compared so country prefixes do not
+//            matter
+//   name   - names at least `threshold` similar (0-1) after lowercasing and
+//            dropping punctuation and `ignoreWords` (legal suffixes and the
+//            like); with `sameField` the records must also share that field,
+//            e.g. the same company (both empty counts as the same)
+//   domain - same website domain, ignoring protocol, www. and paths
+// Rules are applied by services/duplicateService.js.
+
+const COMPANY_SUFFIXES = ['inc', 'ltd', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company', 'gmbh', 'sa', 'bv', 'pvt', 'limited'];
+
+const DUPLICATE_RULES = {
+  contacts: [
+    { type: 'email', field: 'email' },
+    { type: 'phone', field: 'phone', digits: 10 },
+    { type: 'name', fields: ['first_name', 'last_name'], sameField: 'company_id', threshold: 0.85 }
+  ],
+  companies: [
+    { type: 'name', fields: ['name'], threshold: 0.9, ignoreWords: COMPANY_SUFFIXES },
+    { type: 'domain', field: 'website' },
+    { type: 'email', field: 'email' },
+    { type: 'phone', field: 'phone', digits: 10 }
+  ],
+  leads: [
+    { type: 'email', field: 'email' },
+    { type: 'phone', field: 'phone', digits: 10 },
+    { type: 'name', fields: ['name'], sameField: 'company', threshold: 0.85 }
+  ]
+};
+
+// Fields shown for each candidate match
+const DUPLICATE_SUMMARY_FIELDS = {
+  contacts: 'first_name last_name email phone company_id owner',
+  companies: 'name website email phone industry owner',
+  leads: 'name email phone company status owner'
+};
+
+module.exports = {
+  DUPLICATE_RULES,
+  DUPLICATE_SUMMARY_FIELDS
+};
@@ -0,0 +1,92 @@
+// Permission catalog and built-in roles.
+//
+// A permission is an action on a resource, e.g. contacts:update. Roles hold a
+// list of { resource, actions } entries and users get one role by name in
+// each organization they belong to.
+// The manage action lets a role see and change every record of a resource,
+// whatever its visibility or owner. The assign action lets a role give a
+// record to another owner after it was created.
+// System roles are defined here, shared by every organization and synced to the
+// database on first use; custom roles are created per organization through
+// /api/roles.
+
+const CRM_RESOURCES = ['contacts', 'companies', 'opportunities', 'activities', 'expenses', 'leads', 'competitors'];
+const ADMIN_RESOURCES = ['users', 'roles', 'security', 'teams', 'audit', 'trash', 'pipelines', 'quotas'];
+const RESOURCES = [...CRM_RESOURCES, ...ADMIN_RESOURCES];
+
+const ACTIONS = ['read', 'create', 'update', 'delete', 'export', 'approve', 'manage', 'assign'];
+
+const CRUD = ['read', 'create', 'update', 'delete'];
+
+const grant = (resources, actions) => resources.map(resource => ({ resource, actions }));
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access to every resource and to workspace administration',
+    permissions: grant(RESOURCES, ACTIONS)
+  },
+  {
+    name: 'user',
+    label: 'User',
+    description: 'Standard access to CRM records',
+    permissions: [
+      ...grant(CRM_RESOURCES, [...CRUD, 'export']),
+      ...grant(['teams', 'pipelines', 'quotas'], ['read'])
+    ]
+  },
+  {
+    name: 'sales_rep',
+    label: 'Sales Rep',
+    description: 'Works leads, contacts and deals; submits expenses',
+    permissions: [
+      ...grant(['contacts', 'companies', 'opportunities', 'activities', 'leads'], CRUD),
+      ...grant(['expenses'], ['read', 'create', 'update']),
+      ...grant(['competitors'], ['read']),
+      ...grant(['teams', 'pipelines', 'quotas'], ['read'])
+    ]
+  },
+  {
+    name: 'sales_manager',
+    label: 'Sales Manager',
+    description: 'Everything a sales rep can do plus exports, competitor intelligence and quotas',
+    permissions: [
+      ...grant(['contacts', 'companies', 'opportunities', 'activities', 'leads', 'competitors'], [...CRUD, 'export']),
+      ...grant(['contacts', 'companies', 'opportunities', 'leads'], ['assign']),
+      ...grant(['expenses'], ['read', 'create', 'update', 'export']),
+      ...grant(['quotas'], CRUD),
+      ...grant(['users', 'teams', 'pipelines'], ['read'])
+    ]
+  },
+  {
+    name: 'finance_approver',
+    label: 'Finance Approver',
+    description: 'Reviews and approves expenses; read-only elsewhere',
+    permissions: [
+      ...grant(['expenses'], ['read', 'approve', 'export']),
+      ...grant(['contacts', 'companies', 'opportunities', 'activities', 'leads', 'competitors', 'pipelines', 'quotas'], ['read'])
+    ]
+  },
+  {
+    name: 'read_only',
+    label: 'Read Only',
+    description: 'Can view CRM records but not change them',
+    permissions: grant([...CRM_RESOURCES, 'pipelines', 'quotas'], ['read'])
+  }
+];
+
+const DEFAULT_ROLE_NAMES = DEFAULT_ROLES.map(role => role.name);
+
+// Role of new members unless another one is granted
+const DEFAULT_ACCESS_ROLE = 'user';
+
+module.exports = {
+  CRM_RESOURCES,
+  ADMIN_RESOURCES,
+  RESOURCES,
+  ACTIONS,
+  DEFAULT_ROLES,
+  DEFAULT_ROLE_NAMES,
+  DEFAULT_ACCESS_ROLE
+};
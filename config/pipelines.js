@@ -0,0 +1,49 @@
+// Sales pipeline defaults.
+//
+// Every workspace has one or more pipelines (e.g. new business, renewals),
+// each an ordered list of stages. A stage has a `key` stored on
+// opportunities, a display `name`, the default `probability` (0-100) given
+// to opportunities entering it and a `category`:
+//   open - the deal is still being worked
+//   won  - closed and won
+//   lost - closed and lost
+// An opportunity's status is the category of its stage.
+// Closing an opportunity (moving it to a won or lost stage) needs a reason
+// from the pipeline's `winReasons` or `lossReasons`; an empty list accepts
+// any reason.
+// The default pipeline below is created for a workspace the first time it
+// needs one; its stage keys are the values Opportunity.status used to take,
+// so existing data maps onto it (see legacyStage and
+// scripts/migratePipelines.js).
+
+const STAGE_CATEGORIES = ['open', 'won', 'lost'];
+
+const DEFAULT_PIPELINE = {
+  name: 'Sales',
+  description: 'Default pipeline for new business',
+  stages: [
+    { key: 'quality', name: 'Qualification', probability: 10, category: 'open' },
+    { key: 'meet_contact', name: 'Meet contact', probability: 20, category: 'open' },
+    { key: 'meet_present', name: 'Meet and present', probability: 40, category: 'open' },
+    { key: 'purpose', name: 'Proposal', probability: 60, category: 'open' },
+    { key: 'negotiate', name: 'Negotiation', probability: 80, category: 'open' },
+    { key: 'closed_win', name: 'Closed won', probability: 100, category: 'won' },
+    { key: 'lost', name: 'Closed lost', probability: 0, category: 'lost' }
+  ],
+  winReasons: ['Price', 'Product fit', 'Relationship', 'Timing', 'Other'],
+  lossReasons: ['Price', 'Lost to competitor', 'No budget', 'No decision', 'Product gap', 'Timing', 'Other']
+};
+
+// Opportunities from before pipelines kept their stage in `status` (or, for
+// not_responding and remarks, in the old `stage` field). Anything that is not
+// a default stage key starts over at the first stage.
+const legacyStage = (status, stage) => {
+  const keys = DEFAULT_PIPELINE.stages.map(item => item.key);
+  return [status, stage].find(key => keys.includes(key)) || keys[0];
+};
+
+module.exports = {
+  STAGE_CATEGORIES,
+  DEFAULT_PIPELINE,
+  legacyStage
+};
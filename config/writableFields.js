@@ -0,0 +1,200 @@
+// Fields clients may set on each resource.
+//
+// Every create and update request body is checked against these lists by
+// middlewares/writableFieldsMiddleware.js. Anything not listed is rejected:
+// fields named in `protected` or PROTECTED_FIELDS are managed by the server
+// (or by a dedicated endpoint) and reported as forbidden, anything else is
+// reported as unknown.
+// `permissions` grants extra fields per operation to callers holding an
+// action on the resource (e.g. contacts:assign), on top of the base list.
+
+// Set by the server on every resource; deletion goes through DELETE and the trash
+const PROTECTED_FIELDS = [
+  '_id', 'id', '__v', 'organization', 'createdBy', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'
+];
+
+// Record visibility; sharedWith is changed through the /:id/share endpoints
+const VISIBILITY_FIELDS = ['visibility', 'team'];
+const SHARING_FIELDS = ['sharedWith'];
+
+// Owners are picked at creation; moving a record to someone else needs the
+// assign permission (or bulk reassignment)
+const OWNER_PERMISSIONS = {
+  assign: { update: ['owner'] }
+};
+
+const CONTACT_FIELDS = [
+  'first_name', 'last_name', 'email', 'phone', 'position', 'company_id', 'avatar_url',
+  'address', 'socialMedia', 'notes', 'tags', 'isActive', 'lastContacted',
+  ...VISIBILITY_FIELDS
+];
+
+// contacts lists contact IDs to link to the company
+const COMPANY_FIELDS = [
+  'name', 'industry', 'website', 'phone', 'email', 'address', 'logo_url', 'description',
+  'sector', 'placeOfOffice', 'headOffice', 'poc', 'contacts', 'employeeCount', 'revenue',
+  'foundedYear', 'socialMedia', 'tags', 'status', 'priority', 'lastContacted',
+  ...VISIBILITY_FIELDS
+];
+
+const OPPORTUNITY_FIELDS = [
+  'title', 'description', 'amount', 'forecastAmount', 'currency', 'pipeline', 'stage',
+  'status_remarks', 'forecast', 'importance', 'priority', 'probability', 'close_date',
+  'open_date', 'key_person_name', 'products_pitched', 'sector', 'source', 'competitors',
+  'requirements', 'nextSteps', 'company_id', 'contact_id', 'tags', 'notes', 'closeReason',
+  'lostToCompetitor',
+  ...VISIBILITY_FIELDS
+];
+
+const LEAD_FIELDS = [
+  'name', 'email', 'phone', 'company', 'position', 'website', 'industry', 'source',
+  'status', 'priority', 'value', 'budget', 'timeline', 'requirements', 'painPoints',
+  'competitors', 'score', 'tags', 'notes', 'lastContacted', 'nextFollowUp', 'activities',
+  ...VISIBILITY_FIELDS
+];
+
+const ACTIVITY_FIELDS = [
+  'title', 'description', 'type', 'status', 'priority', 'start_time', 'end_time', 'duration',
+  'location', 'isAllDay', 'recurrence', 'reminders', 'attendees', 'company_id', 'contact_id',
+  'opportunity_id', 'assignedTo', 'tags', 'outcome', 'followUpRequired', 'attachments'
+];
+
+const EXPENSE_FIELDS = [
+  'title', 'description', 'amount', 'currency', 'category', 'subcategory', 'date',
+  'paymentMethod', 'vendor', 'receipt', 'isBillable', 'billableAmount', 'taxRate', 'taxAmount',
+  'totalAmount', 'opportunity_id', 'company', 'contact', 'project', 'tags', 'notes'
+];
+
+const COMPETITOR_FIELDS = [
+  'name', 'strength', 'weakness', 'positionVsYou', 'status', 'marketShare', 'pricingModel',
+  'keyFeatures', 'customerBase', 'recentDevelopments'
+];
+
+const SETTINGS_FIELDS = [
+  'user_name', 'user_email', 'user_avatar', 'sectors', 'activity_types', 'defaultSettings',
+  'smsSettings'
+];
+
+const PIPELINE_FIELDS = ['name', 'description', 'isDefault', 'stages', 'winReasons', 'lossReasons'];
+
+const QUOTA_FIELDS = ['periodType', 'periodStart', 'amount'];
+
+const WRITABLE_FIELDS = {
+  contacts: {
+    create: [...CONTACT_FIELDS, 'owner'],
+    update: CONTACT_FIELDS,
+    protected: SHARING_FIELDS,
+    permissions: OWNER_PERMISSIONS
+  },
+  companies: {
+    create: [...COMPANY_FIELDS, 'owner'],
+    update: COMPANY_FIELDS,
+    protected: SHARING_FIELDS,
+    permissions: OWNER_PERMISSIONS
+  },
+  opportunities: {
+    create: [...OPPORTUNITY_FIELDS, 'owner'],
+    update: OPPORTUNITY_FIELDS,
+    // status follows the stage, which is logged in stageHistory
+    protected: [...SHARING_FIELDS, 'status', 'stageHistory', 'closedAt'],
+    permissions: OWNER_PERMISSIONS
+  },
+  leads: {
+    create: [...LEAD_FIELDS, 'owner'],
+    update: LEAD_FIELDS,
+    // convertedTo is set by /:id/convert
+    protected: [...SHARING_FIELDS, 'convertedTo'],
+    permissions: OWNER_PERMISSIONS
+  },
+  activities: {
+    create: ACTIVITY_FIELDS,
+    update: ACTIVITY_FIELDS
+  },
+  expenses: {
+    create: EXPENSE_FIELDS,
+    update: EXPENSE_FIELDS,
+    // Approval state only changes through /:id/approve
+    approve: ['status', 'reimbursementDate'],
+    protected: ['status', 'approvedBy', 'approvedAt', 'reimbursementDate']
+  },
+  competitors: {
+    create: COMPETITOR_FIELDS,
+    update: COMPETITOR_FIELDS
+  },
+  settings: {
+    create: SETTINGS_FIELDS,
+    update: SETTINGS_FIELDS
+  },
+  pipelines: {
+    create: PIPELINE_FIELDS,
+    update: PIPELINE_FIELDS
+  },
+  // A quota keeps the user or team it was set for
+  quotas: {
+    create: [...QUOTA_FIELDS, 'user', 'team'],
+    update: QUOTA_FIELDS
+  }
+};
+
+/**
+ * List the actions on a resource that grant extra writable fields
+ * @param {string} resource - Resource name, e.g. leads
+ * @returns {string[]} Action names, e.g. ['assign']
+ */
+const getFieldPermissions = (resource) => Object.keys((WRITABLE_FIELDS[resource] || {}).permissions || {});
+
+/**
+ * List the fields a caller may set on a resource for an operation
+ * @param {string} resource - Resource name, e.g. leads
+ * @param {string} operation - create, update or another listed operation
+ * @param {string[]} actions - Actions of getFieldPermissions the caller holds on the resource
+ * @returns {string[]} Writable field names
+ */
+const getWritableFields = (resource, operation, actions = []) => {
+  const definition = WRITABLE_FIELDS[resource] || {};
+  const granted = actions.flatMap(action =>
+    ((definition.permissions && definition.permissions[action]) || {})[operation] || []);
+
+  return [...(definition[operation] || []), ...granted];
+};
+
+/**
+ * Check a request body against the writable fields of a resource
+ * @param {string} resource - Resource name, e.g. leads
+ * @param {string} operation - create, update or another listed operation
+ * @param {string[]} actions - Actions of getFieldPermissions the caller holds on the resource
+ * @param {Object} body - Request body
+ * @returns {Object} { unknown, forbidden } field names, both empty when the body is allowed
+ */
+const checkWritableFields = (resource, operation, actions, body) => {
+  const definition = WRITABLE_FIELDS[resource] || {};
+  const writable = new Set(getWritableFields(resource, operation, actions));
+
+  // Fields the resource has but this caller may not set here
+  const known = new Set([...PROTECTED_FIELDS, ...(definition.protected || [])]);
+  Object.entries(definition).forEach(([key, value]) => {
+    if (Array.isArray(value)) value.forEach(field => known.add(field));
+  });
+  Object.values(definition.permissions || {}).forEach(operations => {
+    Object.values(operations).forEach(fields => fields.forEach(field => known.add(field)));
+  });
+
+  const unknown = [];
+  const forbidden = [];
+
+  Object.keys(body || {}).forEach(field => {
+    if (writable.has(field)) return;
+    if (known.has(field)) forbidden.push(field);
+    else unknown.push(field);
+  });
+
+  return { unknown, forbidden };
+};
+
+module.exports = {
+  PROTECTED_FIELDS,
+  WRITABLE_FIELDS,
+  getFieldPermissions,
+  getWritableFields,
+  checkWritableFields
+};
@@ -1,5 +1,10 @@
 const Activity = require('../models/Activity');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+const { getOwnerFilter } = require('../services/ownershipService');
+const { assertLinksInOrganization } = require('../services/relationshipService');
+const { snapshot, recordChange } = require('../services/auditService');
+const { createHistoryHandler } = require('./auditController');
 
 // @desc    Get all activities
 // @route   GET /api/activities
@@ -11,7 +16,7 @@ const getActivities = asyncHandler(async (req, res) => {
 
   const { contact, opportunity, company, status } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   // Filter by contact
   if (contact) {
@@ -33,6 +38,12 @@ const getActivities = asyncHandler(async (req, res) => {
     query.status = status;
   }
 
+  // Filter by assignee (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.assignedTo = owner;
+  }
+
   const activities = await Activity.find(query)
     .populate('contact_id', 'first_name last_name email')
     .populate('company_id', 'name industry')
@@ -61,17 +72,14 @@ const getActivities = asyncHandler(async (req, res) => {
 const getActivity = asyncHandler(async (req, res) => {
   const activity = await Activity.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   })
   .populate('contact_id', 'first_name last_name email phone')
   .populate('company_id', 'name industry website phone')
   .populate('opportunity_id', 'title amount status');
 
   if (!activity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Activity not found'
-    });
+    throw new NotFoundError('Activity not found');
   }
 
   res.status(200).json({
@@ -84,13 +92,18 @@ const getActivity = asyncHandler(async (req, res) => {
 // @route   POST /api/activities
 // @access  Private
 const createActivity = asyncHandler(async (req, res) => {
+  await assertLinksInOrganization('activities', req.body, req.organization._id);
+
   const activityData = {
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   };
 
   const activity = await Activity.create(activityData);
 
+  await recordChange(req, 'create', 'activities', activity);
+
   await activity.populate('contact_id', 'first_name last_name email');
   await activity.populate('company_id', 'name industry');
   await activity.populate('opportunity_id', 'title amount');
@@ -107,19 +120,22 @@ const createActivity = asyncHandler(async (req, res) => {
 const updateActivity = asyncHandler(async (req, res) => {
   const activity = await Activity.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!activity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Activity not found'
-    });
+    throw new NotFoundError('Activity not found');
   }
 
+  await assertLinksInOrganization('activities', req.body, req.organization._id);
+
+  const before = snapshot(activity);
+
   Object.assign(activity, req.body);
   await activity.save();
 
+  await recordChange(req, 'update', 'activities', activity, before);
+
   await activity.populate('contact_id', 'first_name last_name email');
   await activity.populate('company_id', 'name industry');
   await activity.populate('opportunity_id', 'title amount');
@@ -136,17 +152,15 @@ const updateActivity = asyncHandler(async (req, res) => {
 const deleteActivity = asyncHandler(async (req, res) => {
   const activity = await Activity.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!activity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Activity not found'
-    });
+    throw new NotFoundError('Activity not found');
   }
 
-  await Activity.findByIdAndDelete(req.params.id);
+  await activity.softDelete(req.user._id);
+  await recordChange(req, 'delete', 'activities', activity);
 
   res.status(200).json({
     success: true,
@@ -162,7 +176,7 @@ const getUpcomingActivities = asyncHandler(async (req, res) => {
   const now = new Date();
 
   const activities = await Activity.find({
-    createdBy: req.user.id,
+    organization: req.organization._id,
     start_time: { $gte: now },
     status: 'scheduled'
   })
@@ -185,7 +199,7 @@ const getOverdueActivities = asyncHandler(async (req, res) => {
   const now = new Date();
 
   const activities = await Activity.find({
-    createdBy: req.user.id,
+    organization: req.organization._id,
     start_time: { $lt: now },
     status: 'scheduled'
   })
@@ -206,15 +220,8 @@ const getOverdueActivities = asyncHandler(async (req, res) => {
 const getActivitiesByDateRange = asyncHandler(async (req, res) => {
   const { start_date, end_date } = req.query;
 
-  if (!start_date || !end_date) {
-    return res.status(400).json({
-      success: false,
-      error: 'Start date and end date are required'
-    });
-  }
-
   const activities = await Activity.find({
-    createdBy: req.user.id,
+    organization: req.organization._id,
     start_time: {
       $gte: new Date(start_date),
       $lte: new Date(end_date)
@@ -231,6 +238,9 @@ const getActivitiesByDateRange = asyncHandler(async (req, res) => {
   });
 });
 
+// Change history: GET /api/activities/:id/history
+const getActivityHistory = createHistoryHandler(Activity, 'activities');
+
 module.exports = {
   getActivities,
   getActivity,
@@ -239,5 +249,6 @@ module.exports = {
   deleteActivity,
   getUpcomingActivities,
   getOverdueActivities,
-  getActivitiesByDateRange
+  getActivitiesByDateRange,
+  getActivityHistory
 };
\ No newline at end of file
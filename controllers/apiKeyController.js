@@ -0,0 +1,82 @@
+const ApiKey = require('../models/ApiKey');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// @desc    Create an API key (the raw key is only returned here)
+// @route   POST /api/auth/api-keys
+// @access  Private
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new ValidationError('Expiry date must be in the future', [
+      { field: 'expiresAt', message: 'must be in the future' }
+    ]);
+  }
+
+  const { rawKey, prefix, keyHash } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    scopes: Array.isArray(scopes) ? scopes : [],
+    expiresAt: expiresAt || null,
+    prefix,
+    keyHash,
+    user: req.user.id,
+    organization: req.organization._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...apiKey.toJSON(),
+      key: rawKey
+    },
+    message: 'Copy this key now. It will not be shown again.'
+  });
+});
+
+// @desc    Get API keys of current user
+// @route   GET /api/auth/api-keys
+// @access  Private
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({
+    user: req.user.id,
+    revokedAt: null
+  }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: apiKeys,
+    scopes: ApiKey.SCOPES
+  });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+const deleteApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    revokedAt: null
+  });
+
+  if (!apiKey) {
+    throw new NotFoundError('API key not found');
+  }
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  deleteApiKey
+};
@@ -0,0 +1,101 @@
+const AuditLog = require('../models/AuditLog');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+
+// @desc    Get the audit log of the current organization
+// @route   GET /api/audit
+// @access  Private (audit:read)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const { entityType, entityId, actor, action, from, to } = req.query;
+
+  const query = { organization: req.organization._id };
+
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'name email')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: logs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Build the /:id/history handler for a CRM model. Records with an owner
+// (visibility plugin) show their history to whoever may edit them; other
+// records to their creator. Users who manage the resource see every history.
+const createHistoryHandler = (Model, resource) => {
+  const label = Model.modelName;
+  const usesVisibility = !!Model.schema.path('visibility');
+
+  const mayViewHistory = async (req, record) => {
+    if (usesVisibility) return canEdit(req, resource, record);
+
+    if (record.createdBy && record.createdBy.toString() === req.user.id) return true;
+
+    return hasPermission(req, resource, 'manage');
+  };
+
+  // @desc    Get the change history of a record
+  // @route   GET /api/<resource>/:id/history
+  // @access  Private
+  return asyncHandler(async (req, res) => {
+    const query = { _id: req.params.id, organization: req.organization._id };
+
+    const record = await Model.findOne(usesVisibility ? await applyVisibility(req, resource, query) : query);
+
+    if (!record) {
+      throw new NotFoundError(`${label} not found`);
+    }
+
+    if (!(await mayViewHistory(req, record))) {
+      throw new ForbiddenError(`Not authorized to view the history of this ${label.toLowerCase()}`);
+    }
+
+    const history = await AuditLog.find({
+      organization: req.organization._id,
+      entityType: resource,
+      entityId: record._id
+    })
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  });
+};
+
+module.exports = {
+  getAuditLogs,
+  createHistoryHandler
+};
@@ -1,15 +1,101 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
 const asyncHandler = require('../middlewares/asyncHandler');
+const {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors');
+const mailService = require('../services/mailService');
+const { createPersonalWorkspace, joinOrganization } = require('../services/organizationService');
+const { clearUserCache } = require('../middlewares/authMiddleware');
+const { recordAuthEvent } = require('../services/auditService');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../services/totpService');
+const {
+  checkIp,
+  checkAccount,
+  recordFailure,
+  recordSuccess
+} = require('../services/loginThrottleService');
+const {
+  REFRESH_TOKEN_DAYS,
+  signChallengeToken,
+  verifyChallengeToken,
+  getAccessTokenSession,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession
+} = require('../services/tokenService');
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth'
+});
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Store the refresh token in an httpOnly cookie alongside returning it
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
   });
 };
 
+// Start a new session and return its access/refresh token pair
+const issueTokens = async (user, req, res) => {
+  const { token, refreshToken } = await createSession(user._id, req);
+  setRefreshCookie(res, refreshToken);
+  return { token, refreshToken };
+};
+
+// Check a TOTP code or an unused recovery code against a user loaded with
+// their two-factor secrets. Consumes the recovery code or the TOTP time step
+// on success; the caller is responsible for saving the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hashed);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+
+  // Reject codes from a time step that was already used (replay)
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Reject a login attempt that arrives during a lockout or progressive delay
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  throw new TooManyRequestsError(`Too many failed login attempts. Try again in ${retryAfter} seconds`, {
+    code: 'LOGIN_THROTTLED',
+    meta: { retryAfter }
+  });
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -20,20 +106,26 @@ const register = asyncHandler(async (req, res) => {
   const userExists = await User.findOne({ email: email.toLowerCase() });
 
   if (userExists) {
-    return res.status(400).json({
-      success: false,
-      error: 'User already exists'
-    });
+    throw new ConflictError('User already exists');
   }
 
   // Create user
-  const user = await User.create({
+  const user = new User({
     name,
     email,
     password,
+    isEmailVerified: false
   });
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save();
+
+  // Every account starts with a workspace of its own
+  await createPersonalWorkspace(user);
+
+  // A failed email does not fail registration; the user can ask for a resend
+  await mailService.sendEmailVerification(user, verificationToken);
 
-  const token = generateToken(user._id);
+  const { token, refreshToken } = await issueTokens(user, req, res);
 
   res.status(201).json({
     success: true,
@@ -42,10 +134,12 @@ const register = asyncHandler(async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        activeOrganization: user.activeOrganization,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -56,27 +150,100 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  const ipWait = await checkIp(req.ip);
+  if (ipWait) tooManyAttempts(res, ipWait);
+
   // Check for user
   const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
   if (!user) {
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid credentials'
-    });
+    await recordFailure(null, req.ip);
+    await recordAuthEvent(req, 'login_failed', null, { metadata: { email: email.toLowerCase() } });
+    throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
   }
 
+  const accountWait = checkAccount(user);
+  if (accountWait) tooManyAttempts(res, accountWait);
+
   // Check if password matches
   const isMatch = await user.comparePassword(password);
 
   if (!isMatch) {
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid credentials'
+    await recordFailure(user, req.ip);
+    await recordAuthEvent(req, 'login_failed', user, { metadata: { reason: 'password' } });
+    throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  // With 2FA on, the password only earns a challenge for the second step
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id)
+      }
     });
   }
 
-  const token = generateToken(user._id);
+  await recordSuccess(user, req.ip);
+  await recordAuthEvent(req, 'login', user);
+
+  const { token, refreshToken } = await issueTokens(user, req, res);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        createdAt: user.createdAt
+      },
+      token,
+      refreshToken
+    }
+  });
+});
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  // Codes count towards the same per-IP limit as passwords, so they cannot be
+  // guessed across many challenge tokens
+  const ipWait = await checkIp(req.ip);
+  if (ipWait) tooManyAttempts(res, ipWait);
+
+  const userId = challengeToken && verifyChallengeToken(challengeToken);
+
+  if (!userId) {
+    await recordFailure(null, req.ip);
+    throw new UnauthorizedError('Invalid or expired challenge token');
+  }
+
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.twoFactor.enabled) {
+    await recordFailure(null, req.ip);
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const accountWait = checkAccount(user);
+  if (accountWait) tooManyAttempts(res, accountWait);
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await recordFailure(user, req.ip);
+    await recordAuthEvent(req, 'login_failed', user, { metadata: { reason: 'two_factor' } });
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await recordSuccess(user, req.ip);
+  await recordAuthEvent(req, 'login', user, { metadata: { twoFactor: true } });
+
+  const { token, refreshToken } = await issueTokens(user, req, res);
 
   res.status(200).json({
     success: true,
@@ -85,10 +252,39 @@ const login = asyncHandler(async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    }
+  });
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const presented = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+  if (!presented) {
+    throw new UnauthorizedError('Refresh token is required');
+  }
+
+  const rotated = await rotateRefreshToken(presented, req);
+
+  if (!rotated) {
+    res.clearCookie('refreshToken', refreshCookieOptions());
+    throw new UnauthorizedError('Invalid or expired refresh token', { code: 'INVALID_TOKEN' });
+  }
+
+  setRefreshCookie(res, rotated.refreshToken);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: rotated.token,
+      refreshToken: rotated.refreshToken
     }
   });
 });
@@ -101,7 +297,11 @@ const getMe = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: user
+    data: {
+      ...user.toJSON(),
+      // Role in the organization of this request
+      role: req.role
+    }
   });
 });
 
@@ -109,15 +309,18 @@ const getMe = asyncHandler(async (req, res) => {
 // @route   PUT /api/auth/updatedetails
 // @access  Private
 const updateDetails = asyncHandler(async (req, res) => {
-  const fieldsToUpdate = {
-    name: req.body.name,
-    email: req.body.email,
-  };
+  const user = await User.findById(req.user.id);
 
-  const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
-    new: true,
-    runValidators: true,
-  });
+  if (req.body.name) user.name = req.body.name;
+  const verificationToken = user.changeEmail(req.body.email);
+
+  await user.save();
+  clearUserCache(user._id);
+
+  // A failed email does not fail the update; the user can ask for a resend
+  if (verificationToken) {
+    await mailService.sendEmailVerification(user, verificationToken);
+  }
 
   res.status(200).json({
     success: true,
@@ -133,16 +336,22 @@ const updatePassword = asyncHandler(async (req, res) => {
 
   // Check current password
   if (!(await user.comparePassword(req.body.currentPassword))) {
-    return res.status(401).json({
-      success: false,
-      error: 'Password is incorrect'
-    });
+    throw new UnauthorizedError('Password is incorrect');
   }
 
   user.password = req.body.newPassword;
   await user.save();
 
-  const token = generateToken(user._id);
+  await recordAuthEvent(req, 'password_change', user);
+
+  // The current session is replaced by a fresh one below
+  if (req.body.logoutOtherSessions) {
+    await Session.revokeAllForUser(user._id, 'password_change');
+  } else if (req.sessionId) {
+    await revokeSession(req.sessionId, 'password_change');
+  }
+
+  const { token, refreshToken } = await issueTokens(user, req, res);
 
   res.status(200).json({
     success: true,
@@ -150,18 +359,36 @@ const updatePassword = asyncHandler(async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email,
-        role: user.role
+        email: user.email
       },
-      token
+      token,
+      refreshToken
     }
   });
 });
 
-// @desc    Log user out / clear cookie
-// @route   GET /api/auth/logout
-// @access  Private
+// @desc    Log user out / revoke session and clear cookies
+// @route   POST /api/auth/logout
+// @access  Public
 const logout = asyncHandler(async (req, res) => {
+  const presented = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+  if (presented) {
+    await revokeRefreshToken(presented, 'logout');
+  }
+
+  // Clients holding only an access token end the session it is bound to
+  const authorization = req.headers.authorization || '';
+  const accessToken = authorization.startsWith('Bearer ')
+    ? authorization.split(' ')[1]
+    : req.cookies && req.cookies.token;
+  const sessionId = accessToken && getAccessTokenSession(accessToken);
+
+  if (sessionId) {
+    await revokeSession(sessionId, 'logout');
+  }
+
+  res.clearCookie('refreshToken', refreshCookieOptions());
   res.cookie('token', 'none', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
@@ -180,10 +407,7 @@ const forgotPassword = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email: req.body.email.toLowerCase() });
 
   if (!user) {
-    return res.status(404).json({
-      success: false,
-      error: 'There is no user with that email'
-    });
+    throw new NotFoundError('There is no user with that email');
   }
 
   // Get reset token
@@ -191,8 +415,17 @@ const forgotPassword = asyncHandler(async (req, res) => {
 
   await user.save({ validateBeforeSave: false });
 
-  // In a real application, you would send an email here
-  // For demo purposes, we'll just return success
+  const expiresInMinutes = Math.round((user.resetPasswordExpire - Date.now()) / 60000);
+  const result = await mailService.sendPasswordReset(user, resetToken, expiresInMinutes);
+
+  if (!result.success) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new AppError('Email could not be sent', { code: 'EMAIL_NOT_SENT' });
+  }
+
   res.status(200).json({
     success: true,
     message: 'Password reset email sent'
@@ -215,10 +448,7 @@ const resetPassword = asyncHandler(async (req, res) => {
   });
 
   if (!user) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid token'
-    });
+    throw new BadRequestError('Invalid token');
   }
 
   // Set new password
@@ -227,29 +457,308 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
-  const token = generateToken(user._id);
+  await recordAuthEvent(req, 'password_change', user, { metadata: { reset: true } });
+
+  if (req.body.logoutOtherSessions) {
+    await Session.revokeAllForUser(user._id, 'password_change');
+  }
+
+  // A reset link proves the mailbox only; with 2FA on, signing in still takes
+  // the second step
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id)
+      }
+    });
+  }
+
+  const { token, refreshToken } = await issueTokens(user, req, res);
 
   res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email
+      },
+      token,
+      refreshToken
+    }
+  });
+});
+
+// @desc    Accept an invitation and set a password
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+const acceptInvite = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findByToken(req.params.token);
+
+  if (!invitation) {
+    throw new BadRequestError('Invalid or expired invitation');
+  }
+
+  const userExists = await User.findOne({ email: invitation.email });
+
+  if (userExists) {
+    throw new ConflictError('User already exists');
+  }
+
+  // The emailed link proves ownership of the address
+  const user = await User.create({
+    name: req.body.name || invitation.name,
+    email: invitation.email,
+    password: req.body.password,
+    isEmailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+
+  // Join the workspace the invitation was sent from
+  const organization = invitation.organization &&
+    await joinOrganization(invitation.organization, user, 'member', invitation.role);
+
+  if (!organization) {
+    await createPersonalWorkspace(user);
+  }
+
+  invitation.status = 'accepted';
+  invitation.acceptedAt = new Date();
+  invitation.acceptedUser = user._id;
+  await invitation.save();
+
+  const { token, refreshToken } = await issueTokens(user, req, res);
+
+  res.status(201).json({
     success: true,
     data: {
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        activeOrganization: user.activeOrganization,
+        createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
+    }
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired verification link');
+  }
+
+  user.markEmailVerified();
+  await user.save({ validateBeforeSave: false });
+
+  clearUserCache(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email address verified'
+  });
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify/resend
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified) {
+    throw new BadRequestError('Email address is already verified');
+  }
+
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const result = await mailService.sendEmailVerification(user, verificationToken);
+
+  if (!result.success) {
+    throw new AppError('Email could not be sent', { code: 'EMAIL_NOT_SENT' });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map(session => session.getSummary(req.sessionId)),
+    count: sessions.length
+  });
+});
+
+// @desc    Sign out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = asyncHandler(async (req, res) => {
+  const session = await Session.findActive(req.params.id, req.user.id);
+
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await session.revoke('user');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
     }
   });
 });
 
+// @desc    Confirm enrollment with a code and turn on two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new BadRequestError('Start two-factor setup first');
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+  if (step === null) {
+    throw new BadRequestError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  clearUserCache(user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes },
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.'
+  });
+});
+
+// @desc    Turn off two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+
+  if (!req.body.password || !(await user.comparePassword(req.body.password)) ||
+      !verifySecondFactor(user, req.body)) {
+    throw new UnauthorizedError('Password or two-factor code is incorrect');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  clearUserCache(user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+
+  if (!verifySecondFactor(user, { code: req.body.code })) {
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  refresh,
   getMe,
   updateDetails,
   updatePassword,
   logout,
   forgotPassword,
   resetPassword,
+  acceptInvite,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  deleteSession,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
\ No newline at end of file
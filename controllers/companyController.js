@@ -1,6 +1,15 @@
 const Company = require('../models/Company');
 const { updateCompanyContacts } = require('../services/relationshipService');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getOwnerFilter } = require('../services/ownershipService');
+const { snapshot, recordChange } = require('../services/auditService');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { createSharingHandlers } = require('./sharingController');
+const { createHistoryHandler } = require('./auditController');
+const { mergeRecords } = require('../services/mergeService');
+const { getCascadeOptions, planDeletion, deleteWithCascade } = require('../services/deletionService');
+const { assertNoDuplicates } = require('../services/duplicateService');
 
 // @desc    Get all companies
 // @route   GET /api/companies
@@ -12,7 +21,7 @@ const getCompanies = asyncHandler(async (req, res) => {
 
   const { search, industry, status } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   // Add search functionality
   if (search) {
@@ -33,7 +42,16 @@ const getCompanies = asyncHandler(async (req, res) => {
     query.status = status;
   }
 
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  await applyVisibility(req, 'companies', query);
+
   const companies = await Company.find(query)
+    .populate('owner', 'name email')
     .populate('contacts', 'first_name last_name email phone position')
     .skip(skip)
     .limit(limit)
@@ -57,16 +75,13 @@ const getCompanies = asyncHandler(async (req, res) => {
 // @route   GET /api/companies/:id
 // @access  Private
 const getCompany = asyncHandler(async (req, res) => {
-   const company = await Company.findOne({
+   const company = await Company.findOne(await applyVisibility(req, 'companies', {
      _id: req.params.id,
-     createdBy: req.user.id
-   }).populate('contacts', 'first_name last_name email phone position');
+     organization: req.organization._id
+   })).populate('contacts', 'first_name last_name email phone position');
 
    if (!company) {
-     return res.status(404).json({
-       success: false,
-       error: 'Company not found'
-     });
+     throw new NotFoundError('Company not found');
    }
 
    res.status(200).json({
@@ -81,54 +96,22 @@ const getCompany = asyncHandler(async (req, res) => {
 const createCompany = asyncHandler(async (req, res) => {
    const { contacts, ...companyData } = req.body;
 
-   // Check for duplicate companies
-   let duplicateQuery = { createdBy: req.user.id };
-
-   // Check by name (required field)
-   if (companyData.name) {
-     duplicateQuery.name = new RegExp(`^${companyData.name.trim()}$`, 'i');
-   }
-
-   // Check by email if provided
-   if (companyData.email && !companyData.name) {
-     duplicateQuery.email = companyData.email.toLowerCase();
-   }
-
-   // Check by website if provided and no name/email match
-   if (companyData.website && !companyData.name && !companyData.email) {
-     duplicateQuery.website = new RegExp(`^${companyData.website.trim()}$`, 'i');
-   }
-
-   // If we have criteria to check, perform duplicate check
-   if (Object.keys(duplicateQuery).length > 1) { // More than just createdBy
-     const existingCompany = await Company.findOne(duplicateQuery);
-
-     if (existingCompany) {
-       return res.status(409).json({
-         success: false,
-         error: 'Company already exists in the system.',
-         duplicate: {
-           id: existingCompany._id,
-           name: existingCompany.name,
-           email: existingCompany.email,
-           website: existingCompany.website,
-           industry: existingCompany.industry
-         }
-       });
-     }
-   }
+   await assertNoDuplicates(req, 'companies', companyData);
 
    const finalCompanyData = {
      ...companyData,
      contacts: contacts || [], // contacts should be array of ObjectIds
+     organization: req.organization._id,
      createdBy: req.user.id
    };
 
    const company = await Company.create(finalCompanyData);
 
+   await recordChange(req, 'create', 'companies', company);
+
    // Link contacts to company if provided
    if (contacts && Array.isArray(contacts) && contacts.length > 0) {
-     await updateCompanyContacts(company._id, contacts, req.user.id);
+     await updateCompanyContacts(company._id, contacts, req.organization._id);
    }
 
    res.status(201).json({
@@ -141,24 +124,29 @@ const createCompany = asyncHandler(async (req, res) => {
 // @route   PUT /api/companies/:id
 // @access  Private
 const updateCompany = asyncHandler(async (req, res) => {
-   const company = await Company.findOne({ _id: req.params.id, createdBy: req.user.id });
+   const company = await Company.findOne(await applyVisibility(req, 'companies', { _id: req.params.id, organization: req.organization._id }));
 
    if (!company) {
-     return res.status(404).json({
-       success: false,
-       error: 'Company not found'
-     });
+     throw new NotFoundError('Company not found');
+   }
+
+   if (!(await canEdit(req, 'companies', company))) {
+     throw new ForbiddenError('Not authorized to change this company');
    }
 
    const { contacts, ...updateData } = req.body;
 
+   const before = snapshot(company);
+
    // Update company data
    Object.assign(company, updateData);
    await company.save();
 
+   await recordChange(req, 'update', 'companies', company, before);
+
    // Handle contacts relationship change if contacts array is provided
    if (contacts !== undefined) {
-     await updateCompanyContacts(req.params.id, contacts, req.user.id);
+     await updateCompanyContacts(req.params.id, contacts, req.organization._id);
    }
 
    res.status(200).json({
@@ -167,23 +155,31 @@ const updateCompany = asyncHandler(async (req, res) => {
    });
 });
 
-// @desc    Delete company
-// @route   DELETE /api/companies/:id
-// @access  Private
-const deleteCompany = asyncHandler(async (req, res) => {
-  const company = await Company.findOne({
+// Find a company the user may delete
+const findDeletableCompany = async (req) => {
+  const company = await Company.findOne(await applyVisibility(req, 'companies', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!company) {
-    return res.status(404).json({
-      success: false,
-      error: 'Company not found'
-    });
+    throw new NotFoundError('Company not found');
+  }
+
+  if (!(await canEdit(req, 'companies', company))) {
+    throw new ForbiddenError('Not authorized to change this company');
   }
 
-  await Company.findByIdAndDelete(req.params.id);
+  return company;
+};
+
+// @desc    Delete company (related records follow config/cascadeRules.js)
+// @route   DELETE /api/companies/:id
+// @access  Private
+const deleteCompany = asyncHandler(async (req, res) => {
+  const company = await findDeletableCompany(req);
+
+  await deleteWithCascade(req, 'companies', company, getCascadeOptions(req));
 
   res.status(200).json({
     success: true,
@@ -191,9 +187,23 @@ const deleteCompany = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Preview what deleting a company does to its related records
+// @route   GET /api/companies/:id/deletion-preview
+// @access  Private
+const getCompanyDeletionPreview = asyncHandler(async (req, res) => {
+  const company = await findDeletableCompany(req);
+
+  const plan = await planDeletion('companies', company, getCascadeOptions(req));
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
 // @desc    Get all companies for dropdown
 // @route   GET /api/companies/all
-// @access  Public (for now to fix auth issue)
+// @access  Private
 const getAllCompanies = asyncHandler(async (req, res) => {
   // If no user (public access), return empty array for security
   if (!req.user) {
@@ -204,9 +214,9 @@ const getAllCompanies = asyncHandler(async (req, res) => {
     });
   }
 
-  const companies = await Company.find({
-    createdBy: req.user.id
-  })
+  const companies = await Company.find(await applyVisibility(req, 'companies', {
+    organization: req.organization._id
+  }))
   .select('name industry website phone sector placeOfOffice headOffice poc email')
   .sort({ name: 1 })
   .lean();
@@ -238,7 +248,7 @@ const getAllCompanies = asyncHandler(async (req, res) => {
 // @route   GET /api/companies/stats
 // @access  Private
 const getCompanyStats = asyncHandler(async (req, res) => {
-  const stats = await Company.getStatistics();
+  const stats = await Company.getStatistics(req.organization._id);
 
   res.status(200).json({
     success: true,
@@ -246,12 +256,42 @@ const getCompanyStats = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Merge duplicate companies into one
+// @route   POST /api/companies/merge
+// @access  Private
+const mergeCompanies = asyncHandler(async (req, res) => {
+  const { survivor, losers, moved } = await mergeRecords(req, 'companies', req.body);
+  await survivor.populate('contacts', 'first_name last_name email');
+
+  res.status(200).json({
+    success: true,
+    data: survivor,
+    merged: { losers, moved }
+  });
+});
+
+// Share grants: GET/POST /api/companies/:id/share, DELETE /api/companies/:id/share/:userId
+const {
+  getShares: getCompanyShares,
+  shareRecord: shareCompany,
+  unshareRecord: unshareCompany
+} = createSharingHandlers(Company, 'companies');
+
+// Change history: GET /api/companies/:id/history
+const getCompanyHistory = createHistoryHandler(Company, 'companies');
+
 module.exports = {
   getCompanies,
   getCompany,
   createCompany,
   updateCompany,
   deleteCompany,
+  getCompanyDeletionPreview,
   getAllCompanies,
-  getCompanyStats
-};
\ No newline at end of file
+  getCompanyStats,
+  getCompanyShares,
+  shareCompany,
+  unshareCompany,
+  getCompanyHistory,
+  mergeCompanies
+};
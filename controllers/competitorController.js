@@ -1,5 +1,8 @@
 const Competitor = require('../models/Competitor');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+const { snapshot, recordChange } = require('../services/auditService');
+const { createHistoryHandler } = require('./auditController');
 
 // @desc    Get all competitors
 // @route   GET /api/competitors
@@ -11,7 +14,7 @@ const getCompetitors = asyncHandler(async (req, res) => {
 
   const { search, status } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   // Add search functionality
   if (search) {
@@ -52,14 +55,11 @@ const getCompetitors = asyncHandler(async (req, res) => {
 const getCompetitor = asyncHandler(async (req, res) => {
   const competitor = await Competitor.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!competitor) {
-    return res.status(404).json({
-      success: false,
-      error: 'Competitor not found'
-    });
+    throw new NotFoundError('Competitor not found');
   }
 
   res.status(200).json({
@@ -74,11 +74,14 @@ const getCompetitor = asyncHandler(async (req, res) => {
 const createCompetitor = asyncHandler(async (req, res) => {
   const competitorData = {
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   };
 
   const competitor = await Competitor.create(competitorData);
 
+  await recordChange(req, 'create', 'competitors', competitor);
+
   res.status(201).json({
     success: true,
     data: competitor
@@ -91,19 +94,20 @@ const createCompetitor = asyncHandler(async (req, res) => {
 const updateCompetitor = asyncHandler(async (req, res) => {
   const competitor = await Competitor.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!competitor) {
-    return res.status(404).json({
-      success: false,
-      error: 'Competitor not found'
-    });
+    throw new NotFoundError('Competitor not found');
   }
 
+  const before = snapshot(competitor);
+
   Object.assign(competitor, req.body);
   await competitor.save();
 
+  await recordChange(req, 'update', 'competitors', competitor, before);
+
   res.status(200).json({
     success: true,
     data: competitor
@@ -116,17 +120,15 @@ const updateCompetitor = asyncHandler(async (req, res) => {
 const deleteCompetitor = asyncHandler(async (req, res) => {
   const competitor = await Competitor.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!competitor) {
-    return res.status(404).json({
-      success: false,
-      error: 'Competitor not found'
-    });
+    throw new NotFoundError('Competitor not found');
   }
 
-  await Competitor.findByIdAndDelete(req.params.id);
+  await competitor.softDelete(req.user._id);
+  await recordChange(req, 'delete', 'competitors', competitor);
 
   res.status(200).json({
     success: true,
@@ -139,7 +141,7 @@ const deleteCompetitor = asyncHandler(async (req, res) => {
 // @access  Private
 const getCompetitorStats = asyncHandler(async (req, res) => {
   const stats = await Competitor.aggregate([
-    { $match: { createdBy: req.user.id } },
+    { $match: { organization: req.organization._id } },
     {
       $group: {
         _id: '$status',
@@ -156,11 +158,15 @@ const getCompetitorStats = asyncHandler(async (req, res) => {
   });
 });
 
+// Change history: GET /api/competitors/:id/history
+const getCompetitorHistory = createHistoryHandler(Competitor, 'competitors');
+
 module.exports = {
   getCompetitors,
   getCompetitor,
   createCompetitor,
   updateCompetitor,
   deleteCompetitor,
-  getCompetitorStats
+  getCompetitorStats,
+  getCompetitorHistory
 };
\ No newline at end of file
@@ -1,9 +1,19 @@
 const Contact = require('../models/Contact');
 const {
   linkContactToCompany,
-  updateContactCompany
+  updateContactCompany,
+  assertLinksInOrganization
 } = require('../services/relationshipService');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getOwnerFilter } = require('../services/ownershipService');
+const { snapshot, recordChange, recordCreates } = require('../services/auditService');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { createSharingHandlers } = require('./sharingController');
+const { createHistoryHandler } = require('./auditController');
+const { mergeRecords } = require('../services/mergeService');
+const { getCascadeOptions, planDeletion, deleteWithCascade } = require('../services/deletionService');
+const { assertNoDuplicates, splitDuplicateRows } = require('../services/duplicateService');
 
 /**
  * @desc    Get all contacts (paginated)
@@ -17,7 +27,7 @@ const getContacts = asyncHandler(async (req, res) => {
 
   const { search, company, status } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   if (search) {
     query.$or = [
@@ -33,7 +43,13 @@ const getContacts = asyncHandler(async (req, res) => {
   if (status === 'active') query.isActive = true;
   if (status === 'inactive') query.isActive = false;
 
+  const owner = getOwnerFilter(req);
+  if (owner) query.owner = owner;
+
+  await applyVisibility(req, 'contacts', query);
+
   const contacts = await Contact.find(query)
+    .populate('owner', 'name email')
     .populate('company_id', 'name industry')
     .skip(skip)
     .limit(limit)
@@ -60,13 +76,13 @@ const getContacts = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getContact = asyncHandler(async (req, res) => {
-  const contact = await Contact.findOne({
+  const contact = await Contact.findOne(await applyVisibility(req, 'contacts', {
     _id: req.params.id,
-    createdBy: req.user.id
-  }).populate('company_id', 'name industry website phone');
+    organization: req.organization._id
+  })).populate('company_id', 'name industry website phone');
 
   if (!contact) {
-    return res.status(404).json({ success: false, error: 'Contact not found' });
+    throw new NotFoundError('Contact not found');
   }
 
   res.status(200).json({ success: true, data: contact });
@@ -78,40 +94,19 @@ const getContact = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const createContact = asyncHandler(async (req, res) => {
-  const { first_name, last_name, email, phone } = req.body;
-
-  let duplicateQuery = { createdBy: req.user.id };
-
-  if (email) duplicateQuery.email = email;
-  else if (phone) duplicateQuery.phone = phone;
-  else if (first_name && last_name) {
-    duplicateQuery.first_name = new RegExp(`^${first_name}$`, 'i');
-    duplicateQuery.last_name = new RegExp(`^${last_name}$`, 'i');
-  }
-
-  if (Object.keys(duplicateQuery).length > 1) {
-    const existing = await Contact.findOne(duplicateQuery);
-    if (existing) {
-      return res.status(409).json({
-        success: false,
-        error: 'Contact already exists',
-        duplicate: {
-          id: existing._id,
-          name: `${existing.first_name} ${existing.last_name}`,
-          email: existing.email,
-          phone: existing.phone
-        }
-      });
-    }
-  }
+  await assertNoDuplicates(req, 'contacts', req.body);
+  await assertLinksInOrganization('contacts', req.body, req.organization._id);
 
   const contact = await Contact.create({
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   });
 
+  await recordChange(req, 'create', 'contacts', contact);
+
   if (contact.company_id) {
-    await linkContactToCompany(contact._id, contact.company_id, req.user.id);
+    await linkContactToCompany(contact._id, contact.company_id, req.organization._id);
   }
 
   await contact.populate('company_id', 'name industry');
@@ -125,23 +120,33 @@ const createContact = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateContact = asyncHandler(async (req, res) => {
-  const contact = await Contact.findOne({
+  const contact = await Contact.findOne(await applyVisibility(req, 'contacts', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!contact) {
-    return res.status(404).json({ success: false, error: 'Contact not found' });
+    throw new NotFoundError('Contact not found');
   }
 
-  const oldCompanyId = contact.company_id?.toString();
-  const newCompanyId = req.body.company_id;
+  if (!(await canEdit(req, 'contacts', contact))) {
+    throw new ForbiddenError('Not authorized to change this contact');
+  }
+
+  await assertLinksInOrganization('contacts', req.body, req.organization._id);
+
+  const oldCompanyId = contact.company_id?.toString() || null;
+  const newCompanyId = req.body.company_id || null;
+  const before = snapshot(contact);
 
   Object.assign(contact, req.body);
   await contact.save();
 
-  if (newCompanyId && newCompanyId !== oldCompanyId) {
-    await updateContactCompany(contact._id, newCompanyId, req.user.id);
+  await recordChange(req, 'update', 'contacts', contact, before);
+
+  // The new company is already saved, so name the old one to unlink from
+  if (req.body.company_id !== undefined && newCompanyId !== oldCompanyId) {
+    await updateContactCompany(contact._id, newCompanyId, req.organization._id, oldCompanyId);
   }
 
   await contact.populate('company_id', 'name industry');
@@ -149,36 +154,61 @@ const updateContact = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: contact });
 });
 
+// Find a contact the user may delete
+const findDeletableContact = async (req) => {
+  const contact = await Contact.findOne(await applyVisibility(req, 'contacts', {
+    _id: req.params.id,
+    organization: req.organization._id
+  }));
+
+  if (!contact) {
+    throw new NotFoundError('Contact not found');
+  }
+
+  if (!(await canEdit(req, 'contacts', contact))) {
+    throw new ForbiddenError('Not authorized to change this contact');
+  }
+
+  return contact;
+};
+
 /**
- * @desc    Delete contact
+ * @desc    Delete contact (related records follow config/cascadeRules.js)
  * @route   DELETE /api/contacts/:id
  * @access  Private
  */
 const deleteContact = asyncHandler(async (req, res) => {
-  const contact = await Contact.findOne({
-    _id: req.params.id,
-    createdBy: req.user.id
-  });
+  const contact = await findDeletableContact(req);
 
-  if (!contact) {
-    return res.status(404).json({ success: false, error: 'Contact not found' });
-  }
+  await deleteWithCascade(req, 'contacts', contact, getCascadeOptions(req));
 
-  await contact.deleteOne();
   res.status(200).json({ success: true, data: {} });
 });
 
+/**
+ * @desc    Preview what deleting a contact does to its related records
+ * @route   GET /api/contacts/:id/deletion-preview
+ * @access  Private
+ */
+const getContactDeletionPreview = asyncHandler(async (req, res) => {
+  const contact = await findDeletableContact(req);
+
+  const plan = await planDeletion('contacts', contact, getCascadeOptions(req));
+
+  res.status(200).json({ success: true, data: plan });
+});
+
 /**
  * @desc    Get contacts by company
  * @route   GET /api/contacts/company/:companyId
  * @access  Private
  */
 const getContactsByCompany = asyncHandler(async (req, res) => {
-  const contacts = await Contact.find({
+  const contacts = await Contact.find(await applyVisibility(req, 'contacts', {
     company_id: req.params.companyId,
-    createdBy: req.user.id,
+    organization: req.organization._id,
     isActive: true
-  }).sort({ createdAt: -1 });
+  })).sort({ createdAt: -1 });
 
   res.status(200).json({ success: true, data: contacts });
 });
@@ -189,10 +219,10 @@ const getContactsByCompany = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getAllContacts = asyncHandler(async (req, res) => {
-  const contacts = await Contact.find({
-    createdBy: req.user.id,
+  const contacts = await Contact.find(await applyVisibility(req, 'contacts', {
+    organization: req.organization._id,
     isActive: true
-  })
+  }))
     .populate('company_id', 'name industry')
     .select('first_name last_name email phone position company_id')
     .sort({ first_name: 1, last_name: 1 })
@@ -231,30 +261,65 @@ const importContacts = asyncHandler(async (req, res) => {
   const { contacts } = req.body;
 
   if (!Array.isArray(contacts)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Contacts must be an array'
-    });
+    throw new ValidationError('Contacts must be an array', [{ field: 'contacts', message: 'must be an array' }]);
   }
 
+  // Rows matching existing contacts or earlier rows are skipped unless ?allowDuplicate=true
+  const { rows, duplicates } = await splitDuplicateRows(req, 'contacts', contacts);
+
   const created = await Contact.insertMany(
-    contacts.map(c => ({ ...c, createdBy: req.user.id }))
+    rows.map(c => ({ ...c, organization: req.organization._id, createdBy: req.user.id }))
   );
 
+  await recordCreates(req, 'contacts', created);
+
   res.status(201).json({
     success: true,
     data: created,
-    count: created.length
+    count: created.length,
+    duplicates
   });
 });
 
+/**
+ * @desc    Merge duplicate contacts into one
+ * @route   POST /api/contacts/merge
+ * @access  Private
+ */
+const mergeContacts = asyncHandler(async (req, res) => {
+  const { survivor, losers, moved } = await mergeRecords(req, 'contacts', req.body);
+  await survivor.populate('company_id', 'name industry');
+
+  res.status(200).json({
+    success: true,
+    data: survivor,
+    merged: { losers, moved }
+  });
+});
+
+// Share grants: GET/POST /api/contacts/:id/share, DELETE /api/contacts/:id/share/:userId
+const {
+  getShares: getContactShares,
+  shareRecord: shareContact,
+  unshareRecord: unshareContact
+} = createSharingHandlers(Contact, 'contacts');
+
+// Change history: GET /api/contacts/:id/history
+const getContactHistory = createHistoryHandler(Contact, 'contacts');
+
 module.exports = {
   getContacts,
   getContact,
   createContact,
   updateContact,
   deleteContact,
+  getContactDeletionPreview,
   getContactsByCompany,
   getAllContacts,
-  importContacts
-};
\ No newline at end of file
+  importContacts,
+  getContactShares,
+  shareContact,
+  unshareContact,
+  getContactHistory,
+  mergeContacts
+};
@@ -0,0 +1,27 @@
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError } = require('../utils/errors');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { findDuplicates } = require('../services/duplicateService');
+
+// @desc    Find existing records that look like the one being entered
+// @route   GET /api/duplicates/check
+// @access  Private (<type>:read)
+const checkDuplicates = asyncHandler(async (req, res) => {
+  const { type, excludeId, ...data } = req.query;
+
+  if (!(await hasPermission(req, type, 'read'))) {
+    throw new ForbiddenError(`User role ${req.role} is not allowed to read ${type}`);
+  }
+
+  const duplicates = await findDuplicates(req, type, data, { excludeId });
+
+  res.status(200).json({
+    success: true,
+    data: duplicates,
+    count: duplicates.length
+  });
+});
+
+module.exports = {
+  checkDuplicates
+};
@@ -2,6 +2,10 @@ const Expense = require('../models/Expense');
 const Settings = require('../models/Settings');
 const smsService = require('../services/smsService');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { snapshot, recordChange } = require('../services/auditService');
+const { assertLinksInOrganization } = require('../services/relationshipService');
+const { createHistoryHandler } = require('./auditController');
 
 // @desc    Get all expenses for the authenticated user
 // @route   GET /api/expenses
@@ -11,7 +15,7 @@ const getExpenses = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const expenses = await Expense.find({ createdBy: req.user.id })
+  const expenses = await Expense.find({ organization: req.organization._id })
     .populate('opportunity_id', 'title')
     .populate('company', 'name')
     .populate('contact', 'name')
@@ -19,7 +23,7 @@ const getExpenses = asyncHandler(async (req, res) => {
     .limit(limit)
     .sort({ date: -1 });
 
-  const total = await Expense.countDocuments({ createdBy: req.user.id });
+  const total = await Expense.countDocuments({ organization: req.organization._id });
 
   res.status(200).json({
     success: true,
@@ -39,7 +43,7 @@ const getExpenses = asyncHandler(async (req, res) => {
 const getExpense = asyncHandler(async (req, res) => {
   const expense = await Expense.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   })
   .populate('opportunity_id', 'title')
   .populate('company', 'name')
@@ -47,10 +51,7 @@ const getExpense = asyncHandler(async (req, res) => {
   .populate('approvedBy', 'name');
 
   if (!expense) {
-    return res.status(404).json({
-      success: false,
-      error: 'Expense not found'
-    });
+    throw new NotFoundError('Expense not found');
   }
 
   res.status(200).json({
@@ -63,13 +64,18 @@ const getExpense = asyncHandler(async (req, res) => {
 // @route   POST /api/expenses
 // @access  Private
 const createExpense = asyncHandler(async (req, res) => {
+  await assertLinksInOrganization('expenses', req.body, req.organization._id);
+
   const expenseData = {
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   };
 
   const expense = await Expense.create(expenseData);
 
+  await recordChange(req, 'create', 'expenses', expense);
+
   await expense.populate('opportunity_id', 'title');
   await expense.populate('company', 'name');
   await expense.populate('contact', 'name');
@@ -122,17 +128,18 @@ const createExpense = asyncHandler(async (req, res) => {
 const updateExpense = asyncHandler(async (req, res) => {
   const expense = await Expense.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!expense) {
-    return res.status(404).json({
-      success: false,
-      error: 'Expense not found'
-    });
+    throw new NotFoundError('Expense not found');
   }
 
-  // Update fields
+  await assertLinksInOrganization('expenses', req.body, req.organization._id);
+
+  const before = snapshot(expense);
+
+  // Update fields (approval fields are rejected by allowFields and set by approveExpense)
   Object.keys(req.body).forEach(key => {
     if (req.body[key] !== undefined) {
       expense[key] = req.body[key];
@@ -141,6 +148,8 @@ const updateExpense = asyncHandler(async (req, res) => {
 
   await expense.save();
 
+  await recordChange(req, 'update', 'expenses', expense, before);
+
   await expense.populate('opportunity_id', 'title');
   await expense.populate('company', 'name');
   await expense.populate('contact', 'name');
@@ -152,23 +161,73 @@ const updateExpense = asyncHandler(async (req, res) => {
   });
 });
 
+// Approval states an expense may move to from its current status
+const APPROVAL_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['reimbursed']
+};
+
+// @desc    Approve, reject or mark an expense as reimbursed
+// @route   PUT /api/expenses/:id/approve
+// @access  Private (expenses:approve)
+const approveExpense = asyncHandler(async (req, res) => {
+  const status = req.body.status || 'approved';
+
+  const expense = await Expense.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!expense) {
+    throw new NotFoundError('Expense not found');
+  }
+
+  const allowed = APPROVAL_TRANSITIONS[expense.status] || [];
+
+  if (!allowed.includes(status)) {
+    throw new BadRequestError(`Cannot change expense from ${expense.status} to ${status}`, {
+      code: 'INVALID_STATUS_TRANSITION'
+    });
+  }
+
+  const before = snapshot(expense);
+
+  expense.status = status;
+
+  if (status === 'reimbursed') {
+    expense.reimbursementDate = req.body.reimbursementDate || new Date();
+  } else {
+    expense.approvedBy = req.user.id;
+    expense.approvedAt = new Date();
+  }
+
+  await expense.save();
+
+  await recordChange(req, 'update', 'expenses', expense, before);
+
+  await expense.populate('approvedBy', 'name');
+
+  res.status(200).json({
+    success: true,
+    data: expense
+  });
+});
+
 // @desc    Delete expense
 // @route   DELETE /api/expenses/:id
 // @access  Private
 const deleteExpense = asyncHandler(async (req, res) => {
   const expense = await Expense.findOne({
     _id: req.params.id,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   if (!expense) {
-    return res.status(404).json({
-      success: false,
-      error: 'Expense not found'
-    });
+    throw new NotFoundError('Expense not found');
   }
 
-  await Expense.findByIdAndDelete(req.params.id);
+  await expense.softDelete(req.user._id);
+  await recordChange(req, 'delete', 'expenses', expense);
 
   res.status(200).json({
     success: true,
@@ -187,7 +246,7 @@ const getExpensesByCategory = asyncHandler(async (req, res) => {
 
   const expenses = await Expense.find({
     category,
-    createdBy: req.user.id
+    organization: req.organization._id
   })
   .populate('opportunity_id', 'title')
   .populate('company', 'name')
@@ -198,7 +257,7 @@ const getExpensesByCategory = asyncHandler(async (req, res) => {
 
   const total = await Expense.countDocuments({
     category,
-    createdBy: req.user.id
+    organization: req.organization._id
   });
 
   res.status(200).json({
@@ -219,15 +278,8 @@ const getExpensesByCategory = asyncHandler(async (req, res) => {
 const getExpenseSummary = asyncHandler(async (req, res) => {
   const { startDate, endDate } = req.query;
 
-  if (!startDate || !endDate) {
-    return res.status(400).json({
-      success: false,
-      error: 'Please provide startDate and endDate query parameters'
-    });
-  }
-
   const summary = await Expense.getExpenseSummary(
-    req.user.id,
+    req.organization._id,
     new Date(startDate),
     new Date(endDate)
   );
@@ -244,14 +296,7 @@ const getExpenseSummary = asyncHandler(async (req, res) => {
 const getMonthlyExpenses = asyncHandler(async (req, res) => {
   const { year } = req.query;
 
-  if (!year) {
-    return res.status(400).json({
-      success: false,
-      error: 'Please provide year query parameter'
-    });
-  }
-
-  const monthlyData = await Expense.getMonthlyExpenses(req.user.id, parseInt(year));
+  const monthlyData = await Expense.getMonthlyExpenses(req.organization._id, parseInt(year));
 
   res.status(200).json({
     success: true,
@@ -259,13 +304,18 @@ const getMonthlyExpenses = asyncHandler(async (req, res) => {
   });
 });
 
+// Change history: GET /api/expenses/:id/history
+const getExpenseHistory = createHistoryHandler(Expense, 'expenses');
+
 module.exports = {
   getExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
+  approveExpense,
   getExpensesByCategory,
   getExpenseSummary,
-  getMonthlyExpenses
+  getMonthlyExpenses,
+  getExpenseHistory
 };
\ No newline at end of file
@@ -1,7 +1,27 @@
+const mongoose = require('mongoose');
 const Contact = require('../models/Contact');
 const Company = require('../models/Company');
 const Opportunity = require('../models/Opportunity');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { recordCreates } = require('../services/auditService');
+const { splitDuplicateRows } = require('../services/duplicateService');
+
+// Imported rows keep their owner only when it is a member of the organization;
+// anything else (including legacy names like "Sales Team") goes to the importer
+const resolveOwner = (req, owner) =>
+  owner && mongoose.isValidObjectId(owner) && req.organization.isMember(owner)
+    ? owner
+    : req.user._id;
+
+// Report a skipped duplicate row like a failed insert
+const duplicateError = (duplicate) => ({
+  data: duplicate.data,
+  error: duplicate.duplicates.length > 0
+    ? 'Possible duplicate of an existing record'
+    : 'Possible duplicate of an earlier row',
+  duplicates: duplicate.duplicates,
+  duplicateOfRows: duplicate.duplicateOfRows
+});
 
 // @desc    Import bulk data
 // @route   POST /api/import
@@ -17,26 +37,35 @@ const importData = asyncHandler(async (req, res) => {
 
   // Import companies using bulk insert for better performance
   if (companies.length > 0) {
+    // Rows matching existing records or earlier rows are skipped unless ?allowDuplicate=true
+    const { rows: newCompanies, duplicates } = await splitDuplicateRows(req, 'companies', companies);
+    results.companies.failed = duplicates.length;
+    results.companies.errors = duplicates.map(duplicateError);
+
     try {
-      const companiesToInsert = companies.map(companyData => ({
+      const companiesToInsert = newCompanies.map(companyData => ({
         ...companyData,
-        createdBy: req.user.id
+        organization: req.organization._id,
+        createdBy: req.user.id,
+        owner: resolveOwner(req, companyData.owner)
       }));
       const insertedCompanies = await Company.insertMany(companiesToInsert, { ordered: false });
       results.companies.success = insertedCompanies.length;
+      await recordCreates(req, 'companies', insertedCompanies);
     } catch (error) {
       // Handle bulk insert errors
       if (error.writeErrors) {
         results.companies.success = error.result.nInserted || 0;
-        results.companies.failed = error.writeErrors.length;
-        results.companies.errors = error.writeErrors.map(err => ({
-          data: companies[err.index],
+        await recordCreates(req, 'companies', error.insertedDocs || []);
+        results.companies.failed += error.writeErrors.length;
+        results.companies.errors.push(...error.writeErrors.map(err => ({
+          data: newCompanies[err.index],
           error: err.errmsg
-        }));
+        })));
       } else {
-        results.companies.failed = companies.length;
+        results.companies.failed += newCompanies.length;
         results.companies.errors.push({
-          data: companies,
+          data: newCompanies,
           error: error.message
         });
       }
@@ -45,26 +74,35 @@ const importData = asyncHandler(async (req, res) => {
 
   // Import contacts using bulk insert for better performance
   if (contacts.length > 0) {
+    // Rows matching existing records or earlier rows are skipped unless ?allowDuplicate=true
+    const { rows: newContacts, duplicates } = await splitDuplicateRows(req, 'contacts', contacts);
+    results.contacts.failed = duplicates.length;
+    results.contacts.errors = duplicates.map(duplicateError);
+
     try {
-      const contactsToInsert = contacts.map(contactData => ({
+      const contactsToInsert = newContacts.map(contactData => ({
         ...contactData,
-        createdBy: req.user.id
+        organization: req.organization._id,
+        createdBy: req.user.id,
+        owner: resolveOwner(req, contactData.owner)
       }));
       const insertedContacts = await Contact.insertMany(contactsToInsert, { ordered: false });
       results.contacts.success = insertedContacts.length;
+      await recordCreates(req, 'contacts', insertedContacts);
     } catch (error) {
       // Handle bulk insert errors
       if (error.writeErrors) {
         results.contacts.success = error.result.nInserted || 0;
-        results.contacts.failed = error.writeErrors.length;
-        results.contacts.errors = error.writeErrors.map(err => ({
-          data: contacts[err.index],
+        await recordCreates(req, 'contacts', error.insertedDocs || []);
+        results.contacts.failed += error.writeErrors.length;
+        results.contacts.errors.push(...error.writeErrors.map(err => ({
+          data: newContacts[err.index],
           error: err.errmsg
-        }));
+        })));
       } else {
-        results.contacts.failed = contacts.length;
+        results.contacts.failed += newContacts.length;
         results.contacts.errors.push({
-          data: contacts,
+          data: newContacts,
           error: error.message
         });
       }
@@ -76,14 +114,18 @@ const importData = asyncHandler(async (req, res) => {
     try {
       const opportunitiesToInsert = opportunities.map(opportunityData => ({
         ...opportunityData,
-        createdBy: req.user.id
+        organization: req.organization._id,
+        createdBy: req.user.id,
+        owner: resolveOwner(req, opportunityData.owner)
       }));
       const insertedOpportunities = await Opportunity.insertMany(opportunitiesToInsert, { ordered: false });
       results.opportunities.success = insertedOpportunities.length;
+      await recordCreates(req, 'opportunities', insertedOpportunities);
     } catch (error) {
       // Handle bulk insert errors
       if (error.writeErrors) {
         results.opportunities.success = error.result.nInserted || 0;
+        await recordCreates(req, 'opportunities', error.insertedDocs || []);
         results.opportunities.failed = error.writeErrors.length;
         results.opportunities.errors = error.writeErrors.map(err => ({
           data: opportunities[err.index],
@@ -0,0 +1,166 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const mailService = require('../services/mailService');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { canGrantRole } = require('../middlewares/authMiddleware');
+const { AppError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Issue a new token on the invitation and email the link
+const sendInvite = async (invitation, inviter) => {
+  const token = invitation.generateToken();
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  return await mailService.sendInvitation(invitation, token, inviter);
+};
+
+// @desc    Invite a user
+// @route   POST /api/users/invitations
+// @access  Private/Admin
+const createInvitation = asyncHandler(async (req, res) => {
+  const { name, email, role } = req.body;
+
+  if (!email) {
+    throw new ValidationError('Please add an email', [{ field: 'email', message: 'is required' }]);
+  }
+
+  const roleName = role || 'user';
+
+  if (!(await canGrantRole(req, roleName))) {
+    throw new ForbiddenError(`Not allowed to grant the ${roleName} role`);
+  }
+
+  const userExists = await User.findOne({ email: email.toLowerCase() });
+
+  if (userExists) {
+    throw new ConflictError('User already exists. Add them through /api/organizations/:id/members instead.');
+  }
+
+  const pending = await Invitation.findOne({
+    email: email.toLowerCase(),
+    organization: req.organization._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (pending) {
+    throw new ConflictError('A pending invitation already exists for this email');
+  }
+
+  const invitation = new Invitation({
+    name,
+    email,
+    role: roleName,
+    invitedBy: req.user.id,
+    organization: req.organization._id
+  });
+
+  const result = await sendInvite(invitation, req.user);
+
+  await recordChange(req, 'create', 'invitations', invitation);
+
+  res.status(201).json({
+    success: true,
+    data: invitation,
+    emailSent: result.success
+  });
+});
+
+// @desc    Get invitations
+// @route   GET /api/users/invitations
+// @access  Private/Admin
+const getInvitations = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const query = {
+    organization: req.organization._id,
+    status: req.query.status || 'pending'
+  };
+
+  const invitations = await Invitation.find(query)
+    .populate('invitedBy', 'name email')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Invitation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: invitations,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Resend an invitation with a fresh link
+// @route   POST /api/users/invitations/:id/resend
+// @access  Private/Admin
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+    status: 'pending'
+  });
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const before = snapshot(invitation);
+  const result = await sendInvite(invitation, req.user);
+
+  await recordChange(req, 'update', 'invitations', invitation, before);
+
+  if (!result.success) {
+    throw new AppError('Email could not be sent', { code: 'EMAIL_NOT_SENT' });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invitation
+  });
+});
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private/Admin
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+    status: 'pending'
+  });
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const before = snapshot(invitation);
+
+  invitation.status = 'revoked';
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  await recordChange(req, 'update', 'invitations', invitation, before);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+};
@@ -0,0 +1,35 @@
+const asyncHandler = require('../middlewares/asyncHandler');
+const { TRASH_RETENTION_DAYS, purgeExpired } = require('../services/trashService');
+const { takeSnapshot } = require('../services/snapshotService');
+
+// @desc    Permanently delete records past the trash retention period
+// @route   GET /api/jobs/purge-trash
+// @access  Cron
+const purgeTrash = asyncHandler(async (req, res) => {
+  const purged = await purgeExpired(TRASH_RETENTION_DAYS);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      retentionDays: TRASH_RETENTION_DAYS,
+      purged
+    }
+  });
+});
+
+// @desc    Snapshot every open opportunity for pipeline trend reports
+// @route   GET /api/jobs/snapshot-pipeline
+// @access  Cron
+const snapshotPipeline = asyncHandler(async (req, res) => {
+  const result = await takeSnapshot();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  purgeTrash,
+  snapshotPipeline
+};
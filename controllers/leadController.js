@@ -3,6 +3,15 @@ const Contact = require('../models/Contact');
 const Company = require('../models/Company');
 const Opportunity = require('../models/Opportunity');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getOwnerFilter } = require('../services/ownershipService');
+const { snapshot, recordChange } = require('../services/auditService');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { createSharingHandlers } = require('./sharingController');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { createHistoryHandler } = require('./auditController');
+const { mergeRecords } = require('../services/mergeService');
+const { assertNoDuplicates } = require('../services/duplicateService');
 
 // @desc    Get all leads
 // @route   GET /api/leads
@@ -14,7 +23,7 @@ const getLeads = asyncHandler(async (req, res) => {
 
   const { status, priority, source } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   // Filter by status
   if (status) {
@@ -31,7 +40,16 @@ const getLeads = asyncHandler(async (req, res) => {
     query.source = source;
   }
 
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  await applyVisibility(req, 'leads', query);
+
   const leads = await Lead.find(query)
+    .populate('owner', 'name email')
     .skip(skip)
     .limit(limit)
     .sort({ created_at: -1 });
@@ -54,16 +72,13 @@ const getLeads = asyncHandler(async (req, res) => {
 // @route   GET /api/leads/:id
 // @access  Private
 const getLead = asyncHandler(async (req, res) => {
-  const lead = await Lead.findOne({
+  const lead = await Lead.findOne(await applyVisibility(req, 'leads', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!lead) {
-    return res.status(404).json({
-      success: false,
-      error: 'Lead not found'
-    });
+    throw new NotFoundError('Lead not found');
   }
 
   res.status(200).json({
@@ -76,13 +91,18 @@ const getLead = asyncHandler(async (req, res) => {
 // @route   POST /api/leads
 // @access  Private
 const createLead = asyncHandler(async (req, res) => {
+  await assertNoDuplicates(req, 'leads', req.body);
+
   const leadData = {
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   };
 
   const lead = await Lead.create(leadData);
 
+  await recordChange(req, 'create', 'leads', lead);
+
   res.status(201).json({
     success: true,
     data: lead
@@ -93,21 +113,26 @@ const createLead = asyncHandler(async (req, res) => {
 // @route   PUT /api/leads/:id
 // @access  Private
 const updateLead = asyncHandler(async (req, res) => {
-  const lead = await Lead.findOne({
+  const lead = await Lead.findOne(await applyVisibility(req, 'leads', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!lead) {
-    return res.status(404).json({
-      success: false,
-      error: 'Lead not found'
-    });
+    throw new NotFoundError('Lead not found');
+  }
+
+  if (!(await canEdit(req, 'leads', lead))) {
+    throw new ForbiddenError('Not authorized to change this lead');
   }
 
+  const before = snapshot(lead);
+
   Object.assign(lead, req.body);
   await lead.save();
 
+  await recordChange(req, 'update', 'leads', lead, before);
+
   res.status(200).json({
     success: true,
     data: lead
@@ -118,19 +143,21 @@ const updateLead = asyncHandler(async (req, res) => {
 // @route   DELETE /api/leads/:id
 // @access  Private
 const deleteLead = asyncHandler(async (req, res) => {
-  const lead = await Lead.findOne({
+  const lead = await Lead.findOne(await applyVisibility(req, 'leads', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!lead) {
-    return res.status(404).json({
-      success: false,
-      error: 'Lead not found'
-    });
+    throw new NotFoundError('Lead not found');
   }
 
-  await Lead.findByIdAndDelete(req.params.id);
+  if (!(await canEdit(req, 'leads', lead))) {
+    throw new ForbiddenError('Not authorized to change this lead');
+  }
+
+  await lead.softDelete(req.user._id);
+  await recordChange(req, 'delete', 'leads', lead);
 
   res.status(200).json({
     success: true,
@@ -142,11 +169,11 @@ const deleteLead = asyncHandler(async (req, res) => {
 // @route   GET /api/leads/hot/list
 // @access  Private
 const getHotLeads = asyncHandler(async (req, res) => {
-  const leads = await Lead.find({
-    createdBy: req.user.id,
+  const leads = await Lead.find(await applyVisibility(req, 'leads', {
+    organization: req.organization._id,
     status: 'Hot',
     priority: 'high'
-  }).sort({ created_at: -1 });
+  })).sort({ created_at: -1 });
 
   res.status(200).json({
     success: true,
@@ -158,21 +185,28 @@ const getHotLeads = asyncHandler(async (req, res) => {
 // @route   POST /api/leads/:id/convert
 // @access  Private
 const convertLead = asyncHandler(async (req, res) => {
-  const lead = await Lead.findOne({
+  const lead = await Lead.findOne(await applyVisibility(req, 'leads', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!lead) {
-    return res.status(404).json({
-      success: false,
-      error: 'Lead not found'
-    });
+    throw new NotFoundError('Lead not found');
+  }
+
+  if (!(await canEdit(req, 'leads', lead))) {
+    throw new ForbiddenError('Not authorized to change this lead');
   }
 
   const { create_company, create_opportunity } = req.body;
   const result = { contact: null, company: null, opportunity: null };
 
+  // Converting creates records in other modules, so check those permissions too
+  if ((create_company && !(await hasPermission(req, 'companies', 'create'))) ||
+      (create_opportunity && !(await hasPermission(req, 'opportunities', 'create')))) {
+    throw new ForbiddenError(`User role ${req.role} is not allowed to create the requested records`);
+  }
+
   // Create contact
   const contactData = {
     first_name: lead.name.split(' ')[0] || '',
@@ -180,7 +214,9 @@ const convertLead = asyncHandler(async (req, res) => {
     email: lead.email,
     phone: lead.phone,
     position: lead.position,
-    createdBy: req.user.id
+    organization: req.organization._id,
+    createdBy: req.user.id,
+    owner: lead.owner
   };
 
   const contact = await Contact.create(contactData);
@@ -193,7 +229,9 @@ const convertLead = asyncHandler(async (req, res) => {
       industry: lead.industry,
       website: lead.website,
       email: lead.email,
-      createdBy: req.user.id
+      organization: req.organization._id,
+      createdBy: req.user.id,
+      owner: lead.owner
     };
 
     const company = await Company.create(companyData);
@@ -209,8 +247,9 @@ const convertLead = asyncHandler(async (req, res) => {
       amount: lead.value,
       contact_id: contact._id,
       company_id: result.company?._id,
-      status: 'quality',
-      createdBy: req.user.id
+      organization: req.organization._id,
+      createdBy: req.user.id,
+      owner: lead.owner
     };
 
     const opportunity = await Opportunity.create(opportunityData);
@@ -218,9 +257,15 @@ const convertLead = asyncHandler(async (req, res) => {
   }
 
   // Update lead status
+  const before = snapshot(lead);
   lead.status = 'Won';
   await lead.save();
 
+  await recordChange(req, 'update', 'leads', lead, before);
+  await recordChange(req, 'create', 'contacts', contact);
+  if (result.company) await recordChange(req, 'create', 'companies', result.company);
+  if (result.opportunity) await recordChange(req, 'create', 'opportunities', result.opportunity);
+
   res.status(200).json({
     success: true,
     data: result,
@@ -232,8 +277,10 @@ const convertLead = asyncHandler(async (req, res) => {
 // @route   GET /api/leads/analytics/stats
 // @access  Private
 const getLeadStats = asyncHandler(async (req, res) => {
+  const match = await applyVisibility(req, 'leads', { organization: req.organization._id });
+
   const stats = await Lead.aggregate([
-    { $match: { createdBy: req.user.id } },
+    { $match: match },
     {
       $group: {
         _id: '$status',
@@ -254,9 +301,11 @@ const getLeadStats = asyncHandler(async (req, res) => {
 // @route   GET /api/leads/analytics/conversion
 // @access  Private
 const getConversionRate = asyncHandler(async (req, res) => {
-  const totalLeads = await Lead.countDocuments({ createdBy: req.user.id });
+  const query = await applyVisibility(req, 'leads', { organization: req.organization._id });
+
+  const totalLeads = await Lead.countDocuments(query);
   const convertedLeads = await Lead.countDocuments({
-    createdBy: req.user.id,
+    ...query,
     status: { $in: ['Won', 'won'] }
   });
 
@@ -272,6 +321,29 @@ const getConversionRate = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Merge duplicate leads into one
+// @route   POST /api/leads/merge
+// @access  Private
+const mergeLeads = asyncHandler(async (req, res) => {
+  const { survivor, losers, moved } = await mergeRecords(req, 'leads', req.body);
+
+  res.status(200).json({
+    success: true,
+    data: survivor,
+    merged: { losers, moved }
+  });
+});
+
+// Share grants: GET/POST /api/leads/:id/share, DELETE /api/leads/:id/share/:userId
+const {
+  getShares: getLeadShares,
+  shareRecord: shareLead,
+  unshareRecord: unshareLead
+} = createSharingHandlers(Lead, 'leads');
+
+// Change history: GET /api/leads/:id/history
+const getLeadHistory = createHistoryHandler(Lead, 'leads');
+
 module.exports = {
   getLeads,
   getLead,
@@ -281,5 +353,10 @@ module.exports = {
   getHotLeads,
   convertLead,
   getLeadStats,
-  getConversionRate
-};
\ No newline at end of file
+  getConversionRate,
+  getLeadShares,
+  shareLead,
+  unshareLead,
+  getLeadHistory,
+  mergeLeads
+};
@@ -1,5 +1,22 @@
 const Opportunity = require('../models/Opportunity');
+const Pipeline = require('../models/Pipeline');
+const PipelineSnapshot = require('../models/PipelineSnapshot');
+const Quota = require('../models/Quota');
+const Team = require('../models/Team');
+const User = require('../models/User');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { listPeriods } = require('../utils/periods');
+const { getOwnerFilter } = require('../services/ownershipService');
+const { assertLinksInOrganization } = require('../services/relationshipService');
+const { snapshot, recordChange } = require('../services/auditService');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { createSharingHandlers } = require('./sharingController');
+const { createHistoryHandler } = require('./auditController');
+const { getVelocity } = require('../services/velocityService');
+const { getWinLoss } = require('../services/winLossService');
+const { buildForecast } = require('../services/forecastService');
+const { getSnapshotDate, findSnapshotDate, compareSnapshots } = require('../services/snapshotService');
 
 // @desc    Get all opportunities
 // @route   GET /api/opportunities
@@ -9,9 +26,9 @@ const getOpportunities = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const { search, status, company_id } = req.query;
+  const { search, status, pipeline, stage, company_id } = req.query;
 
-  let query = { createdBy: req.user.id };
+  let query = { organization: req.organization._id };
 
   // Add search functionality
   if (search) {
@@ -21,17 +38,34 @@ const getOpportunities = asyncHandler(async (req, res) => {
     ];
   }
 
-  // Filter by status
+  // Filter by status (open, won or lost)
   if (status) {
     query.status = status;
   }
 
+  // Filter by pipeline and stage
+  if (pipeline) {
+    query.pipeline = pipeline;
+  }
+  if (stage) {
+    query.stage = stage;
+  }
+
   // Filter by company
   if (company_id) {
     query.company_id = company_id;
   }
 
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  await applyVisibility(req, 'opportunities', query);
+
   const opportunities = await Opportunity.find(query)
+    .populate('owner', 'name email')
     .populate('company_id', 'name industry')
     .populate('contact_id', 'first_name last_name email')
     .skip(skip)
@@ -56,18 +90,15 @@ const getOpportunities = asyncHandler(async (req, res) => {
 // @route   GET /api/opportunities/:id
 // @access  Private
 const getOpportunity = asyncHandler(async (req, res) => {
-  const opportunity = await Opportunity.findOne({
+  const opportunity = await Opportunity.findOne(await applyVisibility(req, 'opportunities', {
     _id: req.params.id,
-    createdBy: req.user.id
-  })
+    organization: req.organization._id
+  }))
   .populate('company_id', 'name industry website phone')
   .populate('contact_id', 'first_name last_name email phone position');
 
   if (!opportunity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Opportunity not found'
-    });
+    throw new NotFoundError('Opportunity not found');
   }
 
   res.status(200).json({
@@ -80,13 +111,18 @@ const getOpportunity = asyncHandler(async (req, res) => {
 // @route   POST /api/opportunities
 // @access  Private
 const createOpportunity = asyncHandler(async (req, res) => {
+  await assertLinksInOrganization('opportunities', req.body, req.organization._id);
+
   const opportunityData = {
     ...req.body,
+    organization: req.organization._id,
     createdBy: req.user.id
   };
 
   const opportunity = await Opportunity.create(opportunityData);
 
+  await recordChange(req, 'create', 'opportunities', opportunity);
+
   await opportunity.populate('company_id', 'name industry');
   await opportunity.populate('contact_id', 'first_name last_name email');
 
@@ -100,21 +136,29 @@ const createOpportunity = asyncHandler(async (req, res) => {
 // @route   PUT /api/opportunities/:id
 // @access  Private
 const updateOpportunity = asyncHandler(async (req, res) => {
-  const opportunity = await Opportunity.findOne({
+  const opportunity = await Opportunity.findOne(await applyVisibility(req, 'opportunities', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!opportunity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Opportunity not found'
-    });
+    throw new NotFoundError('Opportunity not found');
   }
 
+  if (!(await canEdit(req, 'opportunities', opportunity))) {
+    throw new ForbiddenError('Not authorized to change this opportunity');
+  }
+
+  await assertLinksInOrganization('opportunities', req.body, req.organization._id);
+
+  const before = snapshot(opportunity);
+
   Object.assign(opportunity, req.body);
+  opportunity.$locals.changedBy = req.user._id;
   await opportunity.save();
 
+  await recordChange(req, 'update', 'opportunities', opportunity, before);
+
   await opportunity.populate('company_id', 'name industry');
   await opportunity.populate('contact_id', 'first_name last_name email');
 
@@ -128,19 +172,21 @@ const updateOpportunity = asyncHandler(async (req, res) => {
 // @route   DELETE /api/opportunities/:id
 // @access  Private
 const deleteOpportunity = asyncHandler(async (req, res) => {
-  const opportunity = await Opportunity.findOne({
+  const opportunity = await Opportunity.findOne(await applyVisibility(req, 'opportunities', {
     _id: req.params.id,
-    createdBy: req.user.id
-  });
+    organization: req.organization._id
+  }));
 
   if (!opportunity) {
-    return res.status(404).json({
-      success: false,
-      error: 'Opportunity not found'
-    });
+    throw new NotFoundError('Opportunity not found');
+  }
+
+  if (!(await canEdit(req, 'opportunities', opportunity))) {
+    throw new ForbiddenError('Not authorized to change this opportunity');
   }
 
-  await Opportunity.findByIdAndDelete(req.params.id);
+  await opportunity.softDelete(req.user._id);
+  await recordChange(req, 'delete', 'opportunities', opportunity);
 
   res.status(200).json({
     success: true,
@@ -152,10 +198,10 @@ const deleteOpportunity = asyncHandler(async (req, res) => {
 // @route   GET /api/opportunities/company/:companyId
 // @access  Private
 const getOpportunitiesByCompany = asyncHandler(async (req, res) => {
-  const opportunities = await Opportunity.find({
+  const opportunities = await Opportunity.find(await applyVisibility(req, 'opportunities', {
     company_id: req.params.companyId,
-    createdBy: req.user.id
-  })
+    organization: req.organization._id
+  }))
   .populate('contact_id', 'first_name last_name email')
   .sort({ createdAt: -1 });
 
@@ -165,52 +211,363 @@ const getOpportunitiesByCompany = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get pipeline summary
+// @desc    Get pipeline summary: opportunities per stage, in pipeline order
 // @route   GET /api/opportunities/analytics/pipeline
 // @access  Private
 const getPipelineSummary = asyncHandler(async (req, res) => {
-  const pipeline = await Opportunity.aggregate([
-    { $match: { createdBy: req.user.id } },
+  await Pipeline.getDefault(req.organization._id);
+
+  const pipelineQuery = { organization: req.organization._id };
+  if (req.query.pipeline) {
+    pipelineQuery._id = req.query.pipeline;
+  }
+
+  const pipelines = await Pipeline.find(pipelineQuery).sort({ isDefault: -1, name: 1 });
+
+  const match = await applyVisibility(req, 'opportunities', {
+    organization: req.organization._id,
+    pipeline: { $in: pipelines.map(pipeline => pipeline._id) }
+  });
+
+  const totals = await Opportunity.aggregate([
+    { $match: match },
     {
       $group: {
-        _id: '$status',
+        _id: { pipeline: '$pipeline', stage: '$stage' },
         count: { $sum: 1 },
         totalValue: { $sum: '$amount' },
         avgValue: { $avg: '$amount' }
       }
-    },
-    { $sort: { _id: 1 } }
+    }
   ]);
 
+  const summary = pipelines.map(pipeline => ({
+    _id: pipeline._id,
+    name: pipeline.name,
+    isDefault: pipeline.isDefault,
+    stages: pipeline.stages.map(stage => {
+      const total = totals.find(item =>
+        item._id.pipeline.equals(pipeline._id) && item._id.stage === stage.key
+      );
+
+      return {
+        key: stage.key,
+        name: stage.name,
+        category: stage.category,
+        probability: stage.probability,
+        count: total ? total.count : 0,
+        totalValue: total ? total.totalValue : 0,
+        avgValue: total ? total.avgValue : 0
+      };
+    })
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
+// @desc    Get pipeline velocity: average days per stage, stage-to-stage
+//          conversion rates and average sales cycle length
+// @route   GET /api/opportunities/analytics/velocity
+// @access  Private
+const getPipelineVelocity = asyncHandler(async (req, res) => {
+  const { pipeline: pipelineId, sector, source, from, to } = req.query;
+
+  const pipeline = pipelineId
+    ? await Pipeline.findOne({ _id: pipelineId, organization: req.organization._id })
+    : await Pipeline.getDefault(req.organization._id);
+
+  if (!pipeline) {
+    throw new NotFoundError('Pipeline not found');
+  }
+
+  const query = { organization: req.organization._id, pipeline: pipeline._id };
+
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  if (sector) {
+    query.sector = sector;
+  }
+  if (source) {
+    query.source = source;
+  }
+
+  // Opportunities created in the date range
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  await applyVisibility(req, 'opportunities', query);
+
+  const opportunities = await Opportunity.find(query)
+    .select('stageHistory status createdAt')
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pipeline: { _id: pipeline._id, name: pipeline.name },
+      count: opportunities.length,
+      ...getVelocity(pipeline, opportunities)
+    }
+  });
+});
+
+// @desc    Get win/loss report: win rate, lost value and close reasons,
+//          overall and by sector, source, product pitched and competitor
+// @route   GET /api/opportunities/analytics/win-loss
+// @access  Private
+const getWinLossReport = asyncHandler(async (req, res) => {
+  const { pipeline, sector, source, from, to } = req.query;
+
+  const query = { organization: req.organization._id, status: { $in: ['won', 'lost'] } };
+
+  if (pipeline) {
+    query.pipeline = pipeline;
+  }
+
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  if (sector) {
+    query.sector = sector;
+  }
+  if (source) {
+    query.source = source;
+  }
+
+  // Opportunities closed in the date range
+  if (from || to) {
+    query.closedAt = {};
+    if (from) query.closedAt.$gte = new Date(from);
+    if (to) query.closedAt.$lte = new Date(to);
+  }
+
+  await applyVisibility(req, 'opportunities', query);
+
+  const opportunities = await Opportunity.find(query)
+    .select('status amount closeReason lostToCompetitor sector source products_pitched competitors.name')
+    .populate('lostToCompetitor', 'name')
+    .lean();
+
   res.status(200).json({
     success: true,
-    data: pipeline
+    data: getWinLoss(opportunities)
   });
 });
 
-// @desc    Get forecast data
+// Most periods one forecast request may cover
+const MAX_FORECAST_PERIODS = 36;
+
+// @desc    Get forecast against quota: closed-won, commit, best-case and
+//          pipeline totals per period and owner, with quota attainment
 // @route   GET /api/opportunities/analytics/forecast
 // @access  Private
 const getForecastData = asyncHandler(async (req, res) => {
-  const forecast = await Opportunity.aggregate([
-    { $match: { createdBy: req.user.id, status: { $ne: 'closed_win' }, status: { $ne: 'lost' } } },
-    {
-      $group: {
-        _id: '$forecast',
-        count: { $sum: 1 },
-        totalValue: { $sum: '$forecast_amount' },
-        avgValue: { $avg: '$forecast_amount' }
-      }
-    },
-    { $sort: { _id: 1 } }
+  const { period = 'quarter', from, to, team: teamId } = req.query;
+  const now = new Date();
+
+  const periods = listPeriods(from || now, to || from || now, period);
+
+  if (periods.length === 0 || periods.length > MAX_FORECAST_PERIODS) {
+    throw new ValidationError(`Pick a range of 1 to ${MAX_FORECAST_PERIODS} periods`, [
+      { field: 'to', location: 'query', message: `must be after from and within ${MAX_FORECAST_PERIODS} ${period}s of it` }
+    ]);
+  }
+
+  const range = { $gte: periods[0].start, $lt: periods[periods.length - 1].end };
+
+  // Won deals by close time, open ones by expected close date
+  const query = {
+    organization: req.organization._id,
+    $or: [
+      { status: 'won', closedAt: range },
+      { status: 'open', close_date: range }
+    ]
+  };
+
+  let owners = null;
+  let team = null;
+
+  if (teamId) {
+    team = await Team.findOne({ _id: teamId, organization: req.organization._id });
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+    owners = team.getUserIds();
+  }
+
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    owners = [String(owner)];
+  }
+
+  if (owners) {
+    query.owner = { $in: owners };
+  }
+
+  await applyVisibility(req, 'opportunities', query);
+
+  const [opportunities, quotas] = await Promise.all([
+    Opportunity.find(query)
+      .select('owner status amount forecastAmount forecast close_date closedAt')
+      .lean(),
+    Quota.find({ organization: req.organization._id, periodType: period, periodStart: range }).lean()
+  ]);
+
+  // Teams with a quota in the range; a single owner's forecast leaves them out
+  let teams = team ? [team] : [];
+  if (!team && !owner) {
+    teams = await Team.find({
+      organization: req.organization._id,
+      _id: { $in: quotas.filter(quota => quota.team).map(quota => quota.team) }
+    });
+  }
+
+  const forecast = buildForecast({
+    periodType: period,
+    periods,
+    opportunities,
+    quotas,
+    owners,
+    teams: teams.map(item => ({ _id: item._id, name: item.name, userIds: item.getUserIds() }))
+  });
+
+  // Show owners by name
+  const ownerIds = [...new Set(forecast.flatMap(item => item.owners.map(row => row.owner)))];
+  const users = await User.find({ _id: { $in: ownerIds } }).select('name email').lean();
+
+  forecast.forEach(item => item.owners.forEach(row => {
+    row.owner = users.find(user => String(user._id) === row.owner) || { _id: row.owner };
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      periodType: period,
+      periods: forecast
+    }
+  });
+});
+
+// @desc    Get the dates of the pipeline snapshots taken
+// @route   GET /api/opportunities/analytics/snapshots
+// @access  Private
+const getPipelineSnapshots = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const query = { organization: req.organization._id };
+
+  if (from || to) {
+    query.snapshotDate = {};
+    if (from) query.snapshotDate.$gte = getSnapshotDate(from);
+    if (to) query.snapshotDate.$lte = getSnapshotDate(to);
+  }
+
+  const dates = await PipelineSnapshot.distinct('snapshotDate', query);
+
+  res.status(200).json({
+    success: true,
+    data: dates.sort((a, b) => a - b)
+  });
+});
+
+// @desc    Compare the pipeline at two snapshot dates per owner: new, slipped,
+//          pulled-in, won, lost and removed opportunities and amount changes
+// @route   GET /api/opportunities/analytics/snapshots/compare
+// @access  Private
+const comparePipelineSnapshots = asyncHandler(async (req, res) => {
+  const { pipeline, from, to } = req.query;
+
+  const [fromDate, toDate] = await Promise.all([
+    findSnapshotDate(req.organization._id, from),
+    findSnapshotDate(req.organization._id, to || new Date())
+  ]);
+
+  if (!fromDate || !toDate) {
+    throw new NotFoundError(`No pipeline snapshot on or before ${fromDate ? to : from}`);
+  }
+  if (fromDate > toDate) {
+    throw new ValidationError('Compare an earlier snapshot with a later one', [
+      { field: 'to', location: 'query', message: 'must be after from' }
+    ]);
+  }
+
+  const query = { organization: req.organization._id, snapshotDate: { $in: [fromDate, toDate] } };
+
+  if (pipeline) {
+    query.pipeline = pipeline;
+  }
+
+  // Filter by owner (?owner=me or a user id)
+  const owner = getOwnerFilter(req);
+  if (owner) {
+    query.owner = owner;
+  }
+
+  const rows = await PipelineSnapshot.find(query).lean();
+
+  // Current status of the opportunities the user can see, deleted ones included
+  const visible = { organization: req.organization._id, _id: { $in: [...new Set(rows.map(row => String(row.opportunity)))] } };
+  await applyVisibility(req, 'opportunities', visible);
+
+  const [current, trashed] = await Promise.all([
+    Opportunity.find(visible).select('status').lean(),
+    Opportunity.find({ ...visible, deletedAt: { $ne: null } }).select('_id').lean()
   ]);
 
+  const outcomes = new Map([
+    ...current.map(item => [String(item._id), item.status]),
+    ...trashed.map(item => [String(item._id), 'deleted'])
+  ]);
+
+  const comparison = compareSnapshots(
+    rows.filter(row => row.snapshotDate.getTime() === fromDate.getTime()),
+    rows.filter(row => row.snapshotDate.getTime() === toDate.getTime()),
+    outcomes
+  );
+
+  // Show owners by name
+  const users = await User.find({ _id: { $in: comparison.owners.map(row => row.owner) } })
+    .select('name email')
+    .lean();
+
+  comparison.owners.forEach(row => {
+    row.owner = users.find(user => String(user._id) === row.owner) || (row.owner && { _id: row.owner });
+  });
+
   res.status(200).json({
     success: true,
-    data: forecast
+    data: {
+      from: fromDate,
+      to: toDate,
+      ...comparison
+    }
   });
 });
 
+// Share grants: GET/POST /api/opportunities/:id/share, DELETE /api/opportunities/:id/share/:userId
+const {
+  getShares: getOpportunityShares,
+  shareRecord: shareOpportunity,
+  unshareRecord: unshareOpportunity
+} = createSharingHandlers(Opportunity, 'opportunities');
+
+// Change history: GET /api/opportunities/:id/history
+const getOpportunityHistory = createHistoryHandler(Opportunity, 'opportunities');
+
 module.exports = {
   getOpportunities,
   getOpportunity,
@@ -219,5 +576,13 @@ module.exports = {
   deleteOpportunity,
   getOpportunitiesByCompany,
   getPipelineSummary,
-  getForecastData
-};
\ No newline at end of file
+  getPipelineVelocity,
+  getWinLossReport,
+  getForecastData,
+  getPipelineSnapshots,
+  comparePipelineSnapshots,
+  getOpportunityShares,
+  shareOpportunity,
+  unshareOpportunity,
+  getOpportunityHistory
+};
@@ -0,0 +1,261 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const asyncHandler = require('../middlewares/asyncHandler');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+const { clearOrganizationCache } = require('../middlewares/authMiddleware');
+const { setActiveOrganization } = require('../services/organizationService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Find an organization the current user belongs to
+const findMemberOrganization = (req) => Organization.findOne({
+  _id: req.params.id,
+  'members.user': req.user._id
+});
+
+// @desc    Get organizations of current user
+// @route   GET /api/organizations
+// @access  Private
+const getOrganizations = asyncHandler(async (req, res) => {
+  const organizations = await Organization.findForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: organizations.map(organization => ({
+      ...organization.toObject(),
+      memberRole: organization.getMember(req.user._id).role,
+      accessRole: organization.getAccessRole(req.user._id),
+      isActive: organization._id.equals(req.organization._id)
+    }))
+  });
+});
+
+// @desc    Get single organization
+// @route   GET /api/organizations/:id
+// @access  Private (members)
+const getOrganization = asyncHandler(async (req, res) => {
+  const organization = await findMemberOrganization(req)
+    .populate('members.user', 'name email');
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Create organization
+// @route   POST /api/organizations
+// @access  Private
+const createOrganization = asyncHandler(async (req, res) => {
+  // The creator keeps the role they hold in the organization they work in
+  const organization = await Organization.create({
+    name: req.body.name,
+    createdBy: req.user._id,
+    members: [{ user: req.user._id, role: 'owner', accessRole: req.role }]
+  });
+
+  await recordChange(req, 'create', 'organizations', organization);
+
+  res.status(201).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Update organization
+// @route   PUT /api/organizations/:id
+// @access  Private (owners)
+const updateOrganization = asyncHandler(async (req, res) => {
+  const organization = await findMemberOrganization(req);
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  if (!organization.isOwner(req.user._id)) {
+    throw new ForbiddenError('Only organization owners can change it');
+  }
+
+  const before = snapshot(organization);
+
+  if (req.body.name !== undefined) organization.name = req.body.name;
+  await organization.save();
+
+  clearOrganizationCache(organization._id);
+
+  await recordChange(req, 'update', 'organizations', organization, before);
+
+  res.status(200).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Make an organization the active one for current user
+// @route   POST /api/organizations/:id/switch
+// @access  Private (members)
+const switchOrganization = asyncHandler(async (req, res) => {
+  const organization = await findMemberOrganization(req);
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  await setActiveOrganization(req.user, organization._id);
+
+  res.status(200).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Add an existing user to an organization
+// @route   POST /api/organizations/:id/members
+// @access  Private (owners)
+const addMember = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  const organization = await findMemberOrganization(req);
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  if (!organization.isOwner(req.user._id)) {
+    throw new ForbiddenError('Only organization owners can add members');
+  }
+
+  const user = email && await User.findOne({ email: email.toLowerCase() });
+
+  if (!user) {
+    throw new NotFoundError('No user found with that email. Send an invitation instead.');
+  }
+
+  if (organization.isMember(user._id)) {
+    throw new ConflictError('User is already a member of this organization');
+  }
+
+  const before = snapshot(organization);
+
+  organization.addMember(user._id, role);
+  await organization.save();
+
+  clearOrganizationCache(organization._id);
+
+  await recordChange(req, 'update', 'organizations', organization, before, { addedMember: user._id });
+
+  res.status(201).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Change a member's role in an organization
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (owners)
+const updateMember = asyncHandler(async (req, res) => {
+  const organization = await findMemberOrganization(req);
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  if (!organization.isOwner(req.user._id)) {
+    throw new ForbiddenError('Only organization owners can change members');
+  }
+
+  const member = organization.getMember(req.params.userId);
+
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  const owners = organization.members.filter(m => m.role === 'owner');
+
+  if (member.role === 'owner' && req.body.role !== 'owner' && owners.length === 1) {
+    throw new BadRequestError('An organization must keep at least one owner');
+  }
+
+  const before = snapshot(organization);
+
+  member.role = req.body.role;
+  await organization.save();
+
+  clearOrganizationCache(organization._id);
+
+  await recordChange(req, 'update', 'organizations', organization, before, { updatedMember: member.user });
+
+  res.status(200).json({
+    success: true,
+    data: organization
+  });
+});
+
+// @desc    Remove a member from an organization (owners, or members leaving)
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private
+const removeMember = asyncHandler(async (req, res) => {
+  const organization = await findMemberOrganization(req);
+
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  const leaving = req.params.userId === req.user.id;
+
+  if (!leaving && !organization.isOwner(req.user._id)) {
+    throw new ForbiddenError('Only organization owners can remove members');
+  }
+
+  const member = organization.getMember(req.params.userId);
+
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  const owners = organization.members.filter(m => m.role === 'owner');
+
+  if (member.role === 'owner' && owners.length === 1) {
+    throw new BadRequestError('An organization must keep at least one owner');
+  }
+
+  const before = snapshot(organization);
+
+  // Removed members fall back to their personal workspace on their next request
+  organization.members = organization.members.filter(m => m !== member);
+  await organization.save();
+
+  await Team.updateMany(
+    { organization: organization._id },
+    { $pull: { members: member.user, managers: member.user } }
+  );
+
+  clearOrganizationCache(organization._id);
+
+  await recordChange(req, 'update', 'organizations', organization, before, { removedMember: member.user });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  switchOrganization,
+  addMember,
+  updateMember,
+  removeMember
+};
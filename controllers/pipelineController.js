@@ -0,0 +1,203 @@
+const Pipeline = require('../models/Pipeline');
+const Opportunity = require('../models/Opportunity');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { trashQuery } = require('../services/trashService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Count the opportunities matching a filter, those in the trash included
+const countOpportunities = async (organizationId, conditions) => {
+  const [active, trashed] = await Promise.all([
+    Opportunity.countDocuments({ ...conditions, organization: organizationId }),
+    Opportunity.countDocuments(trashQuery(organizationId, conditions))
+  ]);
+  return active + trashed;
+};
+
+// Make a pipeline the only default one of its organization
+const unsetOtherDefaults = (pipeline) => Pipeline.updateMany(
+  { organization: pipeline.organization, _id: { $ne: pipeline._id }, isDefault: true },
+  { isDefault: false }
+);
+
+// @desc    Get pipelines in the current organization
+// @route   GET /api/pipelines
+// @access  Private (pipelines:read)
+const getPipelines = asyncHandler(async (req, res) => {
+  await Pipeline.getDefault(req.organization._id);
+
+  const pipelines = await Pipeline.find({ organization: req.organization._id })
+    .sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: pipelines
+  });
+});
+
+// @desc    Get single pipeline
+// @route   GET /api/pipelines/:id
+// @access  Private (pipelines:read)
+const getPipeline = asyncHandler(async (req, res) => {
+  const pipeline = await Pipeline.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!pipeline) {
+    throw new NotFoundError('Pipeline not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: pipeline
+  });
+});
+
+// @desc    Create pipeline
+// @route   POST /api/pipelines
+// @access  Private (pipelines:create)
+const createPipeline = asyncHandler(async (req, res) => {
+  const { name, description, isDefault, stages, winReasons, lossReasons } = req.body;
+
+  // Make sure the workspace's default exists before another one can replace it
+  await Pipeline.getDefault(req.organization._id);
+
+  const pipeline = await Pipeline.create({
+    name,
+    description,
+    isDefault: !!isDefault,
+    stages,
+    winReasons,
+    lossReasons,
+    organization: req.organization._id,
+    createdBy: req.user.id
+  });
+
+  if (pipeline.isDefault) {
+    await unsetOtherDefaults(pipeline);
+  }
+
+  await recordChange(req, 'create', 'pipelines', pipeline);
+
+  res.status(201).json({
+    success: true,
+    data: pipeline
+  });
+});
+
+// @desc    Update pipeline (name, description, default flag, stages, close reasons)
+// @route   PUT /api/pipelines/:id
+// @access  Private (pipelines:update)
+const updatePipeline = asyncHandler(async (req, res) => {
+  const pipeline = await Pipeline.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!pipeline) {
+    throw new NotFoundError('Pipeline not found');
+  }
+
+  const { name, description, isDefault, stages, winReasons, lossReasons } = req.body;
+
+  if (isDefault === false && pipeline.isDefault) {
+    throw new ValidationError('Make another pipeline the default instead', [
+      { field: 'isDefault', message: 'the organization needs a default pipeline' }
+    ]);
+  }
+
+  // Stages can only be dropped once no opportunity is in them
+  if (stages !== undefined) {
+    const keys = stages.map(stage => stage.key);
+    const details = [];
+
+    for (const stage of pipeline.stages.filter(item => !keys.includes(item.key))) {
+      const count = await countOpportunities(req.organization._id, { pipeline: pipeline._id, stage: stage.key });
+      if (count > 0) {
+        details.push({ field: 'stages', message: `${count} opportunities are still in stage ${stage.key}` });
+      }
+    }
+
+    if (details.length > 0) {
+      throw new ConflictError('Move the opportunities out of removed stages first', {
+        code: 'STAGE_IN_USE',
+        details
+      });
+    }
+  }
+
+  const before = snapshot(pipeline);
+
+  if (name !== undefined) pipeline.name = name;
+  if (description !== undefined) pipeline.description = description;
+  if (isDefault !== undefined) pipeline.isDefault = isDefault;
+  if (stages !== undefined) pipeline.stages = stages;
+  if (winReasons !== undefined) pipeline.winReasons = winReasons;
+  if (lossReasons !== undefined) pipeline.lossReasons = lossReasons;
+
+  await pipeline.save();
+
+  if (pipeline.isDefault) {
+    await unsetOtherDefaults(pipeline);
+  }
+
+  await recordChange(req, 'update', 'pipelines', pipeline, before);
+
+  // Opportunities take the category of their stage as status
+  for (const stage of pipeline.stages) {
+    await Opportunity.updateMany(
+      { pipeline: pipeline._id, stage: stage.key, status: { $ne: stage.category } },
+      { status: stage.category }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: pipeline
+  });
+});
+
+// @desc    Delete pipeline
+// @route   DELETE /api/pipelines/:id
+// @access  Private (pipelines:delete)
+const deletePipeline = asyncHandler(async (req, res) => {
+  const pipeline = await Pipeline.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!pipeline) {
+    throw new NotFoundError('Pipeline not found');
+  }
+
+  if (pipeline.isDefault) {
+    throw new ConflictError('Make another pipeline the default before deleting this one', {
+      code: 'DEFAULT_PIPELINE'
+    });
+  }
+
+  const count = await countOpportunities(req.organization._id, { pipeline: pipeline._id });
+  if (count > 0) {
+    throw new ConflictError(`Move the ${count} opportunities in this pipeline elsewhere first`, {
+      code: 'PIPELINE_IN_USE'
+    });
+  }
+
+  await pipeline.deleteOne();
+
+  await recordChange(req, 'delete', 'pipelines', pipeline);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+};
@@ -0,0 +1,164 @@
+const Quota = require('../models/Quota');
+const Team = require('../models/Team');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Check that a quota's user or team belongs to the current organization
+const checkAssignee = async (req, { user, team }) => {
+  if (user && !req.organization.isMember(user)) {
+    throw new ValidationError('User must belong to this organization', [
+      { field: 'user', message: 'must be a member of this organization' }
+    ]);
+  }
+
+  if (team && !(await Team.exists({ _id: team, organization: req.organization._id }))) {
+    throw new ValidationError('Team not found', [
+      { field: 'team', message: 'must be a team of this organization' }
+    ]);
+  }
+};
+
+// @desc    Get quotas in the current organization
+// @route   GET /api/quotas
+// @access  Private (quotas:read)
+const getQuotas = asyncHandler(async (req, res) => {
+  const { user, team, periodType, from, to } = req.query;
+
+  const query = { organization: req.organization._id };
+
+  if (user) {
+    query.user = user === 'me' ? req.user._id : user;
+  }
+  if (team) {
+    query.team = team;
+  }
+  if (periodType) {
+    query.periodType = periodType;
+  }
+
+  // Quotas for periods starting in the date range
+  if (from || to) {
+    query.periodStart = {};
+    if (from) query.periodStart.$gte = new Date(from);
+    if (to) query.periodStart.$lte = new Date(to);
+  }
+
+  const quotas = await Quota.find(query)
+    .populate('user', 'name email')
+    .populate('team', 'name')
+    .sort({ periodStart: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: quotas
+  });
+});
+
+// @desc    Get single quota
+// @route   GET /api/quotas/:id
+// @access  Private (quotas:read)
+const getQuota = asyncHandler(async (req, res) => {
+  const quota = await Quota.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  })
+  .populate('user', 'name email')
+  .populate('team', 'name');
+
+  if (!quota) {
+    throw new NotFoundError('Quota not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: quota
+  });
+});
+
+// @desc    Set a quota for a user or team
+// @route   POST /api/quotas
+// @access  Private (quotas:create)
+const createQuota = asyncHandler(async (req, res) => {
+  const { user, team, periodType, periodStart, amount } = req.body;
+
+  await checkAssignee(req, { user, team });
+
+  const quota = await Quota.create({
+    user,
+    team,
+    periodType,
+    periodStart,
+    amount,
+    organization: req.organization._id,
+    createdBy: req.user.id
+  });
+
+  await recordChange(req, 'create', 'quotas', quota);
+
+  res.status(201).json({
+    success: true,
+    data: quota
+  });
+});
+
+// @desc    Update quota amount or period
+// @route   PUT /api/quotas/:id
+// @access  Private (quotas:update)
+const updateQuota = asyncHandler(async (req, res) => {
+  const quota = await Quota.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!quota) {
+    throw new NotFoundError('Quota not found');
+  }
+
+  const { periodType, periodStart, amount } = req.body;
+  const before = snapshot(quota);
+
+  if (periodType !== undefined) quota.periodType = periodType;
+  if (periodStart !== undefined) quota.periodStart = periodStart;
+  if (amount !== undefined) quota.amount = amount;
+
+  await quota.save();
+
+  await recordChange(req, 'update', 'quotas', quota, before);
+
+  res.status(200).json({
+    success: true,
+    data: quota
+  });
+});
+
+// @desc    Delete quota
+// @route   DELETE /api/quotas/:id
+// @access  Private (quotas:delete)
+const deleteQuota = asyncHandler(async (req, res) => {
+  const quota = await Quota.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!quota) {
+    throw new NotFoundError('Quota not found');
+  }
+
+  await quota.deleteOne();
+
+  await recordChange(req, 'delete', 'quotas', quota);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getQuotas,
+  getQuota,
+  createQuota,
+  updateQuota,
+  deleteQuota
+};
@@ -0,0 +1,170 @@
+const Role = require('../models/Role');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { clearRoleCache } = require('../middlewares/authMiddleware');
+const { snapshot, recordChange } = require('../services/auditService');
+const { RESOURCES, ACTIONS } = require('../config/permissions');
+
+// Count the members of the current organization holding a role
+const countHolders = (req, role) =>
+  req.organization.members.filter(member => member.accessRole === role.name).length;
+
+// Find a role the current organization can see: a built-in one or its own
+const findRole = (req) => Role.findOne({ _id: req.params.id, ...Role.availableTo(req.organization._id) });
+
+// @desc    Get the roles of the current organization, built-in ones first
+// @route   GET /api/roles
+// @access  Private (roles:read)
+const getRoles = asyncHandler(async (req, res) => {
+  await Role.ensureDefaults();
+
+  const roles = await Role.find(Role.availableTo(req.organization._id)).sort({ isSystem: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: roles
+  });
+});
+
+// @desc    Get the permission catalog (resources and actions)
+// @route   GET /api/roles/permissions
+// @access  Private (roles:read)
+const getPermissionCatalog = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      resources: RESOURCES,
+      actions: ACTIONS
+    }
+  });
+});
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private (roles:read)
+const getRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req);
+
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  const userCount = countHolders(req, role);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...role.toObject(),
+      userCount
+    }
+  });
+});
+
+// @desc    Create a role in the current organization
+// @route   POST /api/roles
+// @access  Private (roles:create)
+const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description, permissions } = req.body;
+
+  await Role.ensureDefaults();
+
+  // Names of built-in roles are taken in every organization
+  const roleExists = await Role.findByName(String(name || '').toLowerCase(), req.organization._id);
+
+  if (roleExists) {
+    throw new ConflictError('Role already exists');
+  }
+
+  const role = await Role.create({
+    name,
+    label,
+    description,
+    permissions,
+    organization: req.organization._id,
+    createdBy: req.user.id
+  });
+
+  clearRoleCache();
+
+  await recordChange(req, 'create', 'roles', role);
+
+  res.status(201).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private (roles:update)
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req);
+
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  // Built-in roles are defined in config/permissions.js and resynced from there
+  if (role.isSystem) {
+    throw new BadRequestError('Built-in roles cannot be changed');
+  }
+
+  const before = snapshot(role);
+  const { label, description, permissions } = req.body;
+
+  if (label !== undefined) role.label = label;
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+
+  await role.save();
+
+  clearRoleCache();
+
+  await recordChange(req, 'update', 'roles', role, before);
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:delete)
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req);
+
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  if (role.isSystem) {
+    throw new BadRequestError('Built-in roles cannot be deleted');
+  }
+
+  const userCount = countHolders(req, role);
+
+  if (userCount > 0) {
+    throw new ConflictError(`Role is assigned to ${userCount} user(s). Reassign them first.`, { code: 'ROLE_IN_USE' });
+  }
+
+  await role.deleteOne();
+
+  clearRoleCache();
+
+  await recordChange(req, 'delete', 'roles', role);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getRoles,
+  getPermissionCatalog,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -1,5 +1,8 @@
 const Settings = require('../models/Settings');
+const SecurityPolicy = require('../models/SecurityPolicy');
 const asyncHandler = require('../middlewares/asyncHandler');
+const { ConflictError } = require('../utils/errors');
+const { clearPolicyCache } = require('../middlewares/authMiddleware');
 
 // @desc    Get user settings
 // @route   GET /api/settings
@@ -32,10 +35,7 @@ const createSettings = asyncHandler(async (req, res) => {
   const existingSettings = await Settings.findOne({ createdBy: req.user.id });
 
   if (existingSettings) {
-    return res.status(400).json({
-      success: false,
-      error: 'Settings already exist for this user'
-    });
+    throw new ConflictError('Settings already exist for this user');
   }
 
   const settingsData = {
@@ -75,8 +75,42 @@ const updateSettings = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get workspace security policy
+// @route   GET /api/settings/security
+// @access  Private/Admin
+const getSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicy.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Update workspace security policy
+// @route   PUT /api/settings/security
+// @access  Private/Admin
+const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicy.getPolicy();
+
+  if (req.body.twoFactorRequiredRoles !== undefined) {
+    policy.twoFactorRequiredRoles = req.body.twoFactorRequiredRoles;
+  }
+  policy.updatedBy = req.user.id;
+  await policy.save();
+
+  clearPolicyCache();
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
 module.exports = {
   getSettings,
   createSettings,
-  updateSettings
+  updateSettings,
+  getSecurityPolicy,
+  updateSecurityPolicy
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Build share handlers for a model using the visibility plugin. The same
+// handlers back /:id/share on contacts, companies, opportunities and leads.
+const createSharingHandlers = (Model, resource) => {
+  const label = Model.modelName;
+
+  // Find a record the user can see, and check they may change it
+  const findEditableRecord = async (req) => {
+    const record = await Model.findOne(await applyVisibility(req, resource, {
+      _id: req.params.id,
+      organization: req.organization._id
+    })).populate('sharedWith.user', 'name email');
+
+    if (!record) {
+      throw new NotFoundError(`${label} not found`);
+    }
+
+    if (!(await canEdit(req, resource, record))) {
+      throw new ForbiddenError(`Not authorized to share this ${label.toLowerCase()}`);
+    }
+
+    return record;
+  };
+
+  // @desc    Get visibility and share grants of a record
+  // @route   GET /api/<resource>/:id/share
+  // @access  Private
+  const getShares = asyncHandler(async (req, res) => {
+    const record = await findEditableRecord(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        visibility: record.visibility,
+        team: record.team,
+        sharedWith: record.sharedWith
+      }
+    });
+  });
+
+  // @desc    Share a record with a user, or change their access
+  // @route   POST /api/<resource>/:id/share
+  // @access  Private
+  const shareRecord = asyncHandler(async (req, res) => {
+    const { user, access = 'read' } = req.body;
+
+    if (!user || !req.organization.isMember(user)) {
+      throw new ValidationError('Records can only be shared with members of this organization', [
+        { field: 'user', message: 'must be a member of this organization' }
+      ]);
+    }
+
+    const record = await findEditableRecord(req);
+    const before = snapshot(record);
+
+    const existing = record.getShare(user);
+
+    if (existing) {
+      existing.access = access;
+    } else {
+      record.sharedWith.push({ user, access, sharedBy: req.user._id });
+    }
+
+    await record.save();
+    await recordChange(req, 'update', resource, record, before);
+    await record.populate('sharedWith.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: record.sharedWith
+    });
+  });
+
+  // @desc    Stop sharing a record with a user
+  // @route   DELETE /api/<resource>/:id/share/:userId
+  // @access  Private
+  const unshareRecord = asyncHandler(async (req, res) => {
+    const record = await findEditableRecord(req);
+    const before = snapshot(record);
+
+    record.sharedWith = record.sharedWith.filter(
+      share => share.user._id.toString() !== req.params.userId
+    );
+
+    await record.save();
+    await recordChange(req, 'update', resource, record, before);
+
+    res.status(200).json({
+      success: true,
+      data: record.sharedWith
+    });
+  });
+
+  return { getShares, shareRecord, unshareRecord };
+};
+
+module.exports = {
+  createSharingHandlers
+};
@@ -0,0 +1,140 @@
+const Team = require('../models/Team');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Check that every user in the list belongs to the current organization
+const allMembersOfOrganization = (req, userIds = []) =>
+  userIds.every(userId => req.organization.isMember(userId));
+
+// @desc    Get teams in the current organization
+// @route   GET /api/teams
+// @access  Private (teams:read)
+const getTeams = asyncHandler(async (req, res) => {
+  const query = { organization: req.organization._id };
+
+  // ?mine=true limits the list to teams the user manages or belongs to
+  if (req.query.mine === 'true') {
+    query.$or = [{ members: req.user._id }, { managers: req.user._id }];
+  }
+
+  const teams = await Team.find(query)
+    .populate('managers', 'name email')
+    .populate('members', 'name email')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: teams
+  });
+});
+
+// @desc    Get single team
+// @route   GET /api/teams/:id
+// @access  Private (teams:read)
+const getTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  })
+  .populate('managers', 'name email')
+  .populate('members', 'name email');
+
+  if (!team) {
+    throw new NotFoundError('Team not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Create team
+// @route   POST /api/teams
+// @access  Private (teams:create)
+const createTeam = asyncHandler(async (req, res) => {
+  const { name, description, managers = [], members = [] } = req.body;
+
+  if (!allMembersOfOrganization(req, [...managers, ...members])) {
+    throw new ValidationError('Managers and members must belong to this organization', [
+      { field: 'members', message: 'must all be members of this organization' }
+    ]);
+  }
+
+  const team = await Team.create({
+    name,
+    description,
+    managers,
+    members,
+    organization: req.organization._id,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Update team (name, description, managers, members)
+// @route   PUT /api/teams/:id
+// @access  Private (teams:update)
+const updateTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!team) {
+    throw new NotFoundError('Team not found');
+  }
+
+  const { name, description, managers, members } = req.body;
+
+  if (!allMembersOfOrganization(req, [...(managers || []), ...(members || [])])) {
+    throw new ValidationError('Managers and members must belong to this organization', [
+      { field: 'members', message: 'must all be members of this organization' }
+    ]);
+  }
+
+  if (name !== undefined) team.name = name;
+  if (description !== undefined) team.description = description;
+  if (managers !== undefined) team.managers = managers;
+  if (members !== undefined) team.members = members;
+
+  await team.save();
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Delete team
+// @route   DELETE /api/teams/:id
+// @access  Private (teams:delete)
+const deleteTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findOne({
+    _id: req.params.id,
+    organization: req.organization._id
+  });
+
+  if (!team) {
+    throw new NotFoundError('Team not found');
+  }
+
+  await team.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
@@ -0,0 +1,117 @@
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { snapshot, recordChange } = require('../services/auditService');
+const { TRASH_MODELS, trashQuery, getPurgeDate } = require('../services/trashService');
+
+// Users see the trash of resources they may delete: everything they deleted
+// themselves, or every deleted record when they manage the resource.
+// Returns the extra query conditions, or null when the resource is off limits.
+const getTrashScope = async (req, resource) => {
+  if (!(await hasPermission(req, resource, 'delete'))) return null;
+  if (await hasPermission(req, resource, 'manage')) return {};
+  return { deletedBy: req.user._id };
+};
+
+// @desc    List deleted records, newest first
+// @route   GET /api/trash
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const resources = req.query.type ? [req.query.type] : Object.keys(TRASH_MODELS);
+
+  let records = [];
+  let total = 0;
+
+  for (const resource of resources) {
+    const scope = await getTrashScope(req, resource);
+    if (!scope) continue;
+
+    const query = trashQuery(req.organization._id, scope);
+    const Model = TRASH_MODELS[resource];
+
+    // Each type can fill at most the requested page on its own
+    const found = await Model.find(query)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .limit(skip + limit)
+      .lean();
+
+    records.push(...found.map(record => ({ ...record, type: resource, purgeAt: getPurgeDate(record.deletedAt) })));
+    total += await Model.countDocuments(query);
+  }
+
+  records = records
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .slice(skip, skip + limit);
+
+  res.status(200).json({
+    success: true,
+    data: records,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Restore a deleted record
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private
+const restoreRecord = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+
+  const scope = await getTrashScope(req, type);
+
+  if (!scope) {
+    throw new ForbiddenError(`User role ${req.role} is not allowed to restore ${type}`);
+  }
+
+  const record = await TRASH_MODELS[type].findOne(trashQuery(req.organization._id, { ...scope, _id: id }));
+
+  if (!record) {
+    throw new NotFoundError('Deleted record not found');
+  }
+
+  const before = snapshot(record);
+  await record.restore();
+
+  await recordChange(req, 'restore', type, record, before);
+
+  res.status(200).json({
+    success: true,
+    data: record
+  });
+});
+
+// @desc    Permanently delete a record from the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (trash:delete)
+const purgeRecord = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+
+  const record = await TRASH_MODELS[type].findOne(trashQuery(req.organization._id, { _id: id }));
+
+  if (!record) {
+    throw new NotFoundError('Deleted record not found');
+  }
+
+  await record.deleteOne();
+  await recordChange(req, 'purge', type, record);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreRecord,
+  purgeRecord
+};
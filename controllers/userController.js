@@ -1,5 +1,40 @@
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
 const asyncHandler = require('../middlewares/asyncHandler');
+const {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+const { clearUserCache, clearOrganizationCache, hasPermission, canGrantRole } = require('../middlewares/authMiddleware');
+const { unlockAccount } = require('../services/loginThrottleService');
+const mailService = require('../services/mailService');
+const { joinOrganization, removeFromAllOrganizations } = require('../services/organizationService');
+const { OWNED_MODELS, reassignRecords } = require('../services/ownershipService');
+const { recordBulkUpdate, recordAuthEvent } = require('../services/auditService');
+
+// Load a member of the current organization by ID; users of other workspaces
+// are reported as not found
+const findMember = async (req) => {
+  const user = req.organization.isMember(req.params.id) && await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+// A user as shown to the current organization, with the role held there
+const withRole = (req, user) => ({
+  ...user.toJSON(),
+  role: req.organization.getAccessRole(user._id)
+});
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -9,17 +44,20 @@ const getUsers = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const users = await User.find()
+  // Members of the current organization only
+  const query = { _id: { $in: req.organization.members.map(member => member.user) } };
+
+  const users = await User.find(query)
     .select('-password')
     .skip(skip)
     .limit(limit)
     .sort({ createdAt: -1 });
 
-  const total = await User.countDocuments();
+  const total = await User.countDocuments(query);
 
   res.status(200).json({
     success: true,
-    data: users,
+    data: users.map(user => withRole(req, user)),
     pagination: {
       page,
       limit,
@@ -33,51 +71,71 @@ const getUsers = asyncHandler(async (req, res) => {
 // @route   GET /api/users/:id
 // @access  Private
 const getUser = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password');
-
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      error: 'User not found'
-    });
-  }
+  const user = await findMember(req);
 
   res.status(200).json({
     success: true,
-    data: user
+    data: withRole(req, user)
   });
 });
 
-// @desc    Create user
+// @desc    Create a user in the current organization, for admins setting up
+//          accounts directly instead of inviting
 // @route   POST /api/users
-// @access  Private/Admin
+// @access  Private (users:create)
 const createUser = asyncHandler(async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, role, skipEmailVerification } = req.body;
+  const roleName = role || 'user';
+
+  if (!(await Role.isValidRole(roleName, req.organization._id))) {
+    throw new ValidationError(`${roleName} is not a valid role`, [
+      { field: 'role', message: 'is not a valid role' }
+    ]);
+  }
+
+  if (!(await canGrantRole(req, roleName))) {
+    throw new ForbiddenError(`Not allowed to grant the ${roleName} role`);
+  }
 
   // Check if user exists
   const userExists = await User.findOne({ email: email.toLowerCase() });
 
   if (userExists) {
-    return res.status(400).json({
-      success: false,
-      error: 'User already exists'
-    });
+    throw new ConflictError('User already exists');
   }
 
-  const user = await User.create({
+  const user = new User({
     name,
     email,
     password,
-    role: role || 'user'
+    isEmailVerified: !!skipEmailVerification,
+    emailVerifiedAt: skipEmailVerification ? new Date() : null
+  });
+
+  const verificationToken = skipEmailVerification ? null : user.getEmailVerificationToken();
+  await user.save();
+
+  // New users join the workspace of the admin creating them
+  await joinOrganization(req.organization._id, user, 'member', roleName);
+
+  await recordAuthEvent(req, 'create', user, {
+    actor: req.user,
+    changes: [{ field: 'role', before: null, after: roleName }]
   });
 
+  if (verificationToken) {
+    await mailService.sendEmailVerification(user, verificationToken);
+  }
+
   res.status(201).json({
     success: true,
     data: {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role,
+      role: roleName,
+      isEmailVerified: user.isEmailVerified,
+      activeOrganization: user.activeOrganization,
       createdAt: user.createdAt
     }
   });
@@ -87,23 +145,57 @@ const createUser = asyncHandler(async (req, res) => {
 // @route   PUT /api/users/:id
 // @access  Private
 const updateUser = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
+  const user = await findMember(req);
 
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      error: 'User not found'
-    });
+  const { name, email, role } = req.body;
+  const previousRole = req.organization.getAccessRole(user._id);
+
+  // Users may edit their own profile here, but not their own role
+  if (role && role !== previousRole && !(await hasPermission(req, 'users', 'update'))) {
+    throw new ForbiddenError('Not authorized to change user roles');
   }
 
-  const { name, email, role } = req.body;
+  if (role && !(await Role.isValidRole(role, req.organization._id))) {
+    throw new ValidationError(`${role} is not a valid role`, [
+      { field: 'role', message: 'is not a valid role' }
+    ]);
+  }
+
+  // Nobody may hand out, or take away, permissions they do not hold themselves
+  if (role && role !== previousRole) {
+    if (!(await canGrantRole(req, role))) {
+      throw new ForbiddenError(`Not allowed to grant the ${role} role`);
+    }
+
+    if (!(await canGrantRole(req, previousRole))) {
+      throw new ForbiddenError(`Not allowed to change the role of a user with the ${previousRole} role`);
+    }
+  }
 
   // Update fields
   if (name) user.name = name;
-  if (email) user.email = email;
-  if (role) user.role = role;
+  const verificationToken = user.changeEmail(email);
 
   await user.save();
+  clearUserCache(user._id);
+
+  if (verificationToken) {
+    await mailService.sendEmailVerification(user, verificationToken);
+  }
+
+  // The role only changes in the current organization
+  if (role && role !== previousRole) {
+    await Organization.updateOne(
+      { _id: req.organization._id, 'members.user': user._id },
+      { $set: { 'members.$.accessRole': role } }
+    );
+    clearOrganizationCache(req.organization._id);
+
+    await recordAuthEvent(req, 'role_change', user, {
+      actor: req.user,
+      changes: [{ field: 'role', before: previousRole, after: role }]
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -111,7 +203,7 @@ const updateUser = asyncHandler(async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role,
+      role: role || previousRole,
       updatedAt: user.updatedAt
     }
   });
@@ -121,16 +213,24 @@ const updateUser = asyncHandler(async (req, res) => {
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 const deleteUser = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
+  const user = await findMember(req);
 
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      error: 'User not found'
+  // Accounts shared with other workspaces are only removed from this one
+  const elsewhere = await Organization.exists({
+    _id: { $ne: req.organization._id },
+    isPersonal: false,
+    'members.user': user._id
+  });
+
+  if (elsewhere) {
+    throw new ConflictError('User belongs to other organizations; remove them from this one instead', {
+      code: 'USER_IN_OTHER_ORGANIZATIONS'
     });
   }
 
   await User.findByIdAndDelete(req.params.id);
+  await Session.revokeAllForUser(req.params.id, 'admin');
+  await removeFromAllOrganizations(req.params.id);
 
   res.status(200).json({
     success: true,
@@ -156,11 +256,17 @@ const getUserProfile = asyncHandler(async (req, res) => {
 const updateUserProfile = asyncHandler(async (req, res) => {
   const { name, email } = req.body;
 
-  const user = await User.findByIdAndUpdate(
-    req.user.id,
-    { name, email },
-    { new: true, runValidators: true }
-  ).select('-password');
+  const user = await User.findById(req.user.id);
+
+  if (name) user.name = name;
+  const verificationToken = user.changeEmail(email);
+
+  await user.save();
+  clearUserCache(user._id);
+
+  if (verificationToken) {
+    await mailService.sendEmailVerification(user, verificationToken);
+  }
 
   res.status(200).json({
     success: true,
@@ -178,21 +284,135 @@ const changePassword = asyncHandler(async (req, res) => {
 
   // Check current password
   if (!(await user.comparePassword(currentPassword))) {
-    return res.status(401).json({
-      success: false,
-      error: 'Current password is incorrect'
-    });
+    throw new UnauthorizedError('Current password is incorrect');
   }
 
   user.password = newPassword;
   await user.save();
 
+  await recordAuthEvent(req, 'password_change', user);
+
+  if (req.body.logoutOtherSessions) {
+    await Session.revokeAllForUser(user._id, 'password_change', req.sessionId);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Password changed successfully'
   });
 });
 
+// @desc    Get active sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await findMember(req);
+
+  const sessions = await Session.findActiveForUser(user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map(session => session.getSummary(req.sessionId)),
+    count: sessions.length
+  });
+});
+
+// @desc    Sign out one session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const deleteUserSession = asyncHandler(async (req, res) => {
+  await findMember(req);
+
+  const session = await Session.findActive(req.params.sessionId, req.params.id);
+
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await session.revoke('admin');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Sign out all sessions of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const deleteUserSessions = asyncHandler(async (req, res) => {
+  const user = await findMember(req);
+
+  const result = await Session.revokeAllForUser(user._id, 'admin');
+
+  res.status(200).json({
+    success: true,
+    data: { revoked: result.modifiedCount }
+  });
+});
+
+// @desc    Lift a login lockout on a user
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+  await findMember(req);
+
+  const user = await unlockAccount(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: user.lockUntil,
+      lastFailedLoginAt: user.lastFailedLoginAt,
+      lastFailedLoginIp: user.lastFailedLoginIp
+    }
+  });
+});
+
+// @desc    Transfer a user's records in the current organization to another user
+// @route   POST /api/users/:id/reassign
+// @access  Private/Admin
+const reassignUserRecords = asyncHandler(async (req, res) => {
+  const { to, resources, includeActivities } = req.body;
+
+  if (!to || !req.organization.isMember(to)) {
+    throw new ValidationError('Records can only be reassigned to a member of this organization', [
+      { field: 'to', message: 'must be a member of this organization' }
+    ]);
+  }
+
+  if (to === req.params.id) {
+    throw new BadRequestError('Records are already owned by this user');
+  }
+
+  const validResources = Object.keys(OWNED_MODELS);
+
+  if (resources !== undefined &&
+      (!Array.isArray(resources) || !resources.every(resource => validResources.includes(resource)))) {
+    throw new ValidationError(`Resources must be any of: ${validResources.join(', ')}`, [
+      { field: 'resources', message: `must be any of: ${validResources.join(', ')}` }
+    ]);
+  }
+
+  // The previous owner may already have left, so only the target is looked up
+  const moved = await reassignRecords(req.organization._id, req.params.id, to, {
+    resources,
+    includeActivities: !!includeActivities,
+    onMove: (resource, ids, field) => recordBulkUpdate(req, resource, ids, [
+      { field, before: req.params.id, after: to }
+    ])
+  });
+
+  res.status(200).json({
+    success: true,
+    data: moved
+  });
+});
+
 module.exports = {
   getUsers,
   getUser,
@@ -201,5 +421,10 @@ module.exports = {
   deleteUser,
   getUserProfile,
   updateUserProfile,
-  changePassword
+  changePassword,
+  getUserSessions,
+  deleteUserSession,
+  deleteUserSessions,
+  unlockUser,
+  reassignUserRecords
 };
\ No newline at end of file
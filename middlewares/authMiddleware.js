@@ -1,17 +1,133 @@
 // Simple in-memory cache for user lookups (resets on server restart)
 const userCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const LAST_SEEN_INTERVAL = 60 * 1000; // Only record session activity once a minute
+
+// The security policy changes rarely, so it is cached the same way
+let policyCache = null;
+const POLICY_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Roles are cached too; permission checks run on most requests
+const roleCache = new Map();
+const ROLE_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Organizations are looked up on every request to check membership
+const organizationCache = new Map();
+const ORGANIZATION_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Routes a user may still reach while required to set up two-factor
+const TWO_FACTOR_SETUP_ROUTES = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout', '/api/auth/sessions'];
+
+// How unverified email addresses are treated:
+// off - no restriction, limit - read-only access, block - auth routes only
+const EMAIL_VERIFICATION_POLICY = (process.env.EMAIL_VERIFICATION_POLICY || 'limit').toLowerCase();
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
 const asyncHandler = require('./asyncHandler');
+const { AppError, UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const getSecurityPolicy = async () => {
+  if (policyCache && (Date.now() - policyCache.timestamp) < POLICY_CACHE_TTL) {
+    return policyCache.policy;
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  policyCache = { policy, timestamp: Date.now() };
+  return policy;
+};
+
+const getOrganization = async (organizationId) => {
+  const key = organizationId.toString();
+  const cached = organizationCache.get(key);
+  if (cached && (Date.now() - cached.timestamp) < ORGANIZATION_CACHE_TTL) {
+    return cached.organization;
+  }
+
+  const organization = await Organization.findById(organizationId);
+  organizationCache.set(key, { organization, timestamp: Date.now() });
+  return organization;
+};
+
+// Make the user's personal workspace their active one. Used for accounts
+// that have no workspace yet or were removed from their active one.
+const fallBackToPersonal = async (user) => {
+  const organization = await Organization.ensurePersonal(user);
+
+  user.activeOrganization = organization._id;
+  await User.updateOne({ _id: user._id }, { activeOrganization: organization._id });
+
+  return organization;
+};
+
+// Resolve the workspace the request works in: the one an API key was issued
+// for, the X-Organization-Id header, or the user's active workspace
+const attachOrganization = async (req) => {
+  const requestedId = req.apiKey ? req.apiKey.organization : req.headers['x-organization-id'];
+  let organization;
+
+  if (requestedId) {
+    organization = mongoose.isValidObjectId(requestedId) && await getOrganization(requestedId);
+
+    if (!organization || !organization.isMember(req.user._id)) {
+      throw new ForbiddenError('You are not a member of this organization', { code: 'NOT_ORGANIZATION_MEMBER' });
+    }
+  } else {
+    organization = req.user.activeOrganization && await getOrganization(req.user.activeOrganization);
+
+    if (!organization || !organization.isMember(req.user._id)) {
+      organization = await fallBackToPersonal(req.user);
+    }
+  }
+
+  req.organization = organization;
+  // What the user may do comes from their role in this organization
+  req.role = organization.getAccessRole(req.user._id);
+};
+
+// Apply account-level restrictions once the user is known: required
+// two-factor enrollment and unverified email addresses
+const enforceAccountPolicies = async (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+  const policy = await getSecurityPolicy();
+
+  if (policy.requiresTwoFactor(req.role) && !req.user.twoFactor.enabled &&
+      !TWO_FACTOR_SETUP_ROUTES.some(route => path.startsWith(route))) {
+    throw new ForbiddenError('Two-factor authentication must be enabled for your role', {
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+
+  if (req.user.isEmailVerified || EMAIL_VERIFICATION_POLICY === 'off' || path.startsWith('/api/auth/')) {
+    return next();
+  }
+
+  if (EMAIL_VERIFICATION_POLICY === 'limit' && req.method === 'GET') {
+    return next();
+  }
+
+  throw new ForbiddenError('Please verify your email address to continue', {
+    code: 'EMAIL_VERIFICATION_REQUIRED'
+  });
+};
 
 // Protect routes - require authentication
 const protect = asyncHandler(async (req, res, next) => {
   let token;
+  let rawApiKey;
 
-  // Check for token in header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  // Check for an API key or token in header
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    rawApiKey = req.headers.authorization.split(' ')[1];
+  }
+
+  else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
   }
 
@@ -20,33 +136,70 @@ const protect = asyncHandler(async (req, res, next) => {
     token = req.cookies.token;
   }
 
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route'
-    });
+  if (!token && !rawApiKey) {
+    throw new UnauthorizedError('Not authorized to access this route');
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.id;
+    let userId;
+
+    if (rawApiKey) {
+      const apiKey = await ApiKey.findActiveByKey(rawApiKey);
+
+      if (!apiKey) {
+        throw new UnauthorizedError('Invalid or expired API key');
+      }
+
+      // Keys only reach the resource they are scoped for, taken from the
+      // router mount path (/api/contacts -> contacts) and the HTTP method
+      const resource = req.baseUrl.split('/')[2];
+      const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+
+      if (!apiKey.hasScope(resource, action)) {
+        throw new ForbiddenError(`API key does not have the ${resource}:${action} scope`);
+      }
+
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_INTERVAL) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+      }
+
+      req.apiKey = apiKey;
+      userId = apiKey.user.toString();
+    } else {
+      // Verify token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      userId = decoded.id;
+
+      // Tokens must belong to a session that has not been revoked. This is
+      // checked on every request, even when the user itself is cached.
+      const session = decoded.sid && await Session.findActive(decoded.sid, userId)
+        .select('_id lastUsedAt')
+        .lean();
+
+      if (!session) {
+        throw new UnauthorizedError('Session has expired or been revoked', { code: 'SESSION_REVOKED' });
+      }
+
+      req.sessionId = decoded.sid;
+
+      if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > LAST_SEEN_INTERVAL) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+      }
+    }
 
     // Check cache first
     const cached = userCache.get(userId);
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
       req.user = cached.user;
-      return next();
+      await attachOrganization(req);
+      return enforceAccountPolicies(req, res, next);
     }
 
     // Get user from database
     const user = await User.findById(userId);
 
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'No user found with this token'
-      });
+      throw new UnauthorizedError('No user found with this token');
     }
 
     // Cache the user
@@ -56,42 +209,98 @@ const protect = asyncHandler(async (req, res, next) => {
     });
 
     req.user = user;
-    next();
+    await attachOrganization(req);
+    return enforceAccountPolicies(req, res, next);
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route'
-    });
+    // Keep specific errors (an expired token tells clients to refresh);
+    // any other failure means not authorized
+    if (error instanceof AppError || error.name === 'TokenExpiredError') throw error;
+    throw new UnauthorizedError('Not authorized to access this route');
   }
 });
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: `User role ${req.user.role} is not authorized to access this route`
-      });
-    }
-    next();
-  };
+// Look up a role of an organization, caching it like users and the security policy
+const getRole = async (roleName, organizationId) => {
+  const key = `${organizationId}:${roleName}`;
+  const cached = roleCache.get(key);
+  if (cached && (Date.now() - cached.timestamp) < ROLE_CACHE_TTL) {
+    return cached.role;
+  }
+
+  await Role.ensureDefaults();
+  const role = await Role.findByName(roleName, organizationId);
+
+  roleCache.set(key, { role, timestamp: Date.now() });
+  return role;
 };
 
-// Check if user owns resource or is admin
-const ownerOrAdmin = (req, res, next) => {
-  if (req.user.role === 'admin' || req.user.id === req.params.id) {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      error: 'Not authorized to access this resource'
-    });
+// Check whether the user's role in the current organization grants an action
+// on a resource
+const hasPermission = async (req, resource, action) => {
+  const role = await getRole(req.role, req.organization._id);
+  return !!role && role.can(resource, action);
+};
+
+// Check whether the user may hand out a role in the current organization:
+// their own role must hold every permission of it, so nobody can grant more
+// than they have
+const canGrantRole = async (req, roleName) => {
+  const [own, granted] = await Promise.all([
+    getRole(req.role, req.organization._id),
+    getRole(roleName, req.organization._id)
+  ]);
+  if (!own || !granted) return false;
+
+  return granted.permissions.every(permission =>
+    permission.actions.every(action => own.can(permission.resource, action))
+  );
+};
+
+// Grant access when the user's role allows the action on the resource
+const checkPermission = (resource, action) => asyncHandler(async (req, res, next) => {
+  if (!(await hasPermission(req, resource, action))) {
+    throw new ForbiddenError(`User role ${req.role} is not allowed to ${action} ${resource}`);
+  }
+  next();
+});
+
+// Grant access to the user named in :id, or to anyone holding the permission
+const checkSelfOrPermission = (resource, action) => asyncHandler(async (req, res, next) => {
+  if (req.user.id === req.params.id || await hasPermission(req, resource, action)) {
+    return next();
   }
+
+  throw new ForbiddenError('Not authorized to access this resource');
+});
+
+// Drop a user from the lookup cache after their account changes
+const clearUserCache = (userId) => {
+  userCache.delete(userId.toString());
+};
+
+// Drop the cached security policy after an admin changes it
+const clearPolicyCache = () => {
+  policyCache = null;
+};
+
+// Drop cached roles after one is created, changed or deleted
+const clearRoleCache = () => {
+  roleCache.clear();
+};
+
+// Drop a cached organization after its details or members change
+const clearOrganizationCache = (organizationId) => {
+  organizationCache.delete(organizationId.toString());
 };
 
 module.exports = {
   protect,
-  authorize,
-  ownerOrAdmin
+  hasPermission,
+  canGrantRole,
+  checkPermission,
+  checkSelfOrPermission,
+  clearUserCache,
+  clearPolicyCache,
+  clearRoleCache,
+  clearOrganizationCache
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Scheduled jobs are called by the Vercel cron (see vercel.json), which sends
+// "Authorization: Bearer <CRON_SECRET>". Without a CRON_SECRET the jobs are off.
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(header);
+
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new UnauthorizedError('Invalid cron secret');
+  }
+
+  next();
+};
+
+module.exports = {
+  requireCronSecret
+};
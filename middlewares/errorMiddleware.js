@@ -1,53 +1,86 @@
-const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
-  // Log error
-  console.error(err);
+// Translate errors raised by Mongoose, MongoDB, JWT and the body parser into
+// AppErrors; anything else is an unexpected server error
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
 
-  // Mongoose bad ObjectId
+  // Mongoose bad ObjectId or value of the wrong type
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
+    if (err.path === '_id') {
+      return new NotFoundError('Resource not found');
+    }
+    return new ValidationError(`Invalid value for ${err.path}`, [
+      { field: err.path, message: `must be a valid ${err.kind}` }
+    ]);
   }
 
-  // Mongoose duplicate key
+  // MongoDB duplicate key, naming the duplicate field(s)
   if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
-    error = { message, statusCode: 400 };
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(`Duplicate value for ${fields.join(', ') || 'a unique field'}`, {
+      code: 'DUPLICATE_VALUE',
+      details: fields.map(field => ({ field, message: 'is already in use' }))
+    });
   }
 
   // Mongoose validation error
   if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+    const details = Object.values(err.errors).map(val => ({
+      field: val.path,
+      message: val.message
+    }));
+    return new ValidationError(details.map(detail => detail.message).join(', '), details);
   }
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = { message, statusCode: 401 };
+    return new UnauthorizedError('Invalid token', { code: 'INVALID_TOKEN' });
   }
 
   if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = { message, statusCode: 401 };
+    return new UnauthorizedError('Token expired', { code: 'TOKEN_EXPIRED' });
+  }
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+
+  return new AppError(process.env.NODE_ENV === 'development' ? err.message : 'Server Error');
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  // Log error
+  if (error.statusCode >= 500) {
+    console.error(`[${req.id}]`, err);
   }
 
-  res.status(error.statusCode || 500).json({
+  res.status(error.statusCode).json({
     success: false,
-    error: error.message || 'Server Error',
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+    ...(error.meta && { meta: error.meta }),
+    requestId: req.id,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
 const notFound = (req, res, next) => {
-  const error = new Error(`Not found - ${req.originalUrl}`);
-  res.status(404);
-  next(error);
+  next(new NotFoundError(`Not found - ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
 };
 
 module.exports = {
   errorHandler,
   notFound
-};
\ No newline at end of file
+};
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+// Records may only be owned by members of the organization they belong to
+const validateOwner = (req, res, next) => {
+  const { owner } = req.body;
+
+  if (owner === undefined) {
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(owner) || !req.organization.isMember(owner)) {
+    throw new ValidationError('Owner must be a member of this organization', [
+      { field: 'owner', location: 'body', message: 'must be a member of this organization' }
+    ]);
+  }
+
+  next();
+};
+
+module.exports = {
+  validateOwner
+};
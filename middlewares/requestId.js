@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Accept a caller's correlation id only if it looks like one
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+// Give every request an id, echoed in the X-Request-Id response header and in
+// error bodies so a failing call can be matched to the server logs
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = requestId;
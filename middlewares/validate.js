@@ -0,0 +1,30 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Run an express-validator schema (see validators/) before the controller and
+// stop with a 400 listing every invalid field
+const validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req);
+
+    if (result.isEmpty()) {
+      return next();
+    }
+
+    const details = result.array({ onlyFirstError: true }).map(error => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg
+    }));
+
+    throw new ValidationError(
+      `Validation failed: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`,
+      details
+    );
+  }
+];
+
+module.exports = {
+  validate
+};
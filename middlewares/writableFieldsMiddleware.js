@@ -0,0 +1,80 @@
+const { checkWritableFields, getFieldPermissions } = require('../config/writableFields');
+const asyncHandler = require('./asyncHandler');
+const { hasPermission } = require('./authMiddleware');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * List the actions granting extra writable fields on a resource (see
+ * config/writableFields.js) that the current user holds
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource name, e.g. leads
+ * @returns {string[]} Action names
+ */
+const getFieldActions = async (req, resource) => {
+  const actions = getFieldPermissions(resource);
+  const granted = await Promise.all(actions.map(action => hasPermission(req, resource, action)));
+
+  return actions.filter((action, index) => granted[index]);
+};
+
+// Field-level details for fields that may not be set
+const fieldDetails = ({ unknown, forbidden }, prefix = '') => [
+  ...forbidden.map(field => ({ field: `${prefix}${field}`, location: 'body', message: 'cannot be set' })),
+  ...unknown.map(field => ({ field: `${prefix}${field}`, location: 'body', message: 'is not a known field' }))
+];
+
+// Reject request bodies carrying fields the current user may not set
+// (see config/writableFields.js)
+const allowFields = (resource, operation) => asyncHandler(async (req, res, next) => {
+  const actions = await getFieldActions(req, resource);
+  const details = fieldDetails(checkWritableFields(resource, operation, actions, req.body));
+
+  if (details.length > 0) {
+    throw new ValidationError(
+      `Invalid fields: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`,
+      details,
+      { code: 'FIELD_NOT_WRITABLE' }
+    );
+  }
+
+  next();
+});
+
+// Same check for bulk imports, row by row. rowsByKey maps request body keys
+// holding arrays of records to their resource, e.g. { contacts: 'contacts' }
+const allowRowFields = (rowsByKey) => asyncHandler(async (req, res, next) => {
+  const details = [];
+  let invalidRows = 0;
+
+  for (const [key, resource] of Object.entries(rowsByKey)) {
+    if (!Array.isArray(req.body[key])) continue;
+
+    const actions = await getFieldActions(req, resource);
+
+    req.body[key].forEach((row, index) => {
+      const rowDetails = fieldDetails(
+        checkWritableFields(resource, 'create', actions, row),
+        `${key}[${index}].`
+      );
+
+      if (rowDetails.length > 0) {
+        invalidRows += 1;
+        details.push(...rowDetails);
+      }
+    });
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(`Invalid fields in ${invalidRows} imported row(s)`, details, {
+      code: 'FIELD_NOT_WRITABLE'
+    });
+  }
+
+  next();
+});
+
+module.exports = {
+  getFieldActions,
+  allowFields,
+  allowRowFields
+};
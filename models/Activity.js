@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const activitySchema = new mongoose.Schema({
   title: {
@@ -109,6 +110,12 @@ const activitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -140,6 +147,8 @@ const activitySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+activitySchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 activitySchema.index({ start_time: 1 });
 activitySchema.index({ end_time: 1 });
@@ -150,6 +159,7 @@ activitySchema.index({ company_id: 1 });
 activitySchema.index({ contact_id: 1 });
 activitySchema.index({ opportunity_id: 1 });
 activitySchema.index({ createdBy: 1 });
+activitySchema.index({ organization: 1, createdAt: -1 });
 activitySchema.index({ createdAt: -1 });
 
 // Virtual for duration calculation
@@ -220,11 +230,11 @@ activitySchema.statics.findOverdue = function() {
   .sort({ start_time: 1 });
 };
 
-activitySchema.statics.getActivityStats = async function(userId, startDate, endDate) {
+activitySchema.statics.getActivityStats = async function(organizationId, startDate, endDate) {
   return await this.aggregate([
     {
       $match: {
-        createdBy: mongoose.Types.ObjectId(userId),
+        organization: new mongoose.Types.ObjectId(organizationId),
         start_time: {
           $gte: startDate,
           $lte: endDate
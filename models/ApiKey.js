@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Resources an API key can be scoped to, each with read and write access
+const SCOPE_RESOURCES = ['contacts', 'companies', 'opportunities', 'activities', 'expenses', 'leads', 'competitors', 'import'];
+const SCOPES = SCOPE_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a key name'],
+    trim: true,
+    maxlength: [100, 'Key name cannot be more than 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Requests made with the key always work in this workspace
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: '{VALUE} is not a valid scope'
+      }
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Please add at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to hash a raw key
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Static method to generate a raw key; only its hash is stored
+apiKeySchema.statics.generateKey = function() {
+  const rawKey = `crm_${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    rawKey,
+    prefix: rawKey.slice(0, 12),
+    keyHash: this.hashKey(rawKey)
+  };
+};
+
+// Static method to find an active key from its raw value
+apiKeySchema.statics.findActiveByKey = function(rawKey) {
+  return this.findOne({
+    keyHash: this.hashKey(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Instance method to check access to a resource; write access implies read
+apiKeySchema.methods.hasScope = function(resource, action) {
+  if (this.scopes.includes(`${resource}:${action}`)) return true;
+  return action === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+ApiKey.SCOPE_RESOURCES = SCOPE_RESOURCES;
+
+module.exports = ApiKey;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Record changes and account events
+const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'purge',
+  'merge',
+  'login',
+  'login_failed',
+  'password_change',
+  'role_change'
+];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  // Workspace the change happened in; auth events use the user's active one
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Null for failed logins with an unknown email
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS
+  },
+  // Resource name (contacts, companies, ..., users) and record ID
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  changes: [changeSchema],
+  // Extra context, e.g. the email of a failed login
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
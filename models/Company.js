@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const visibilityPlugin = require('./plugins/visibility');
+const ownershipPlugin = require('./plugins/ownership');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -16,7 +19,7 @@ const companySchema = new mongoose.Schema({
     type: String,
     trim: true,
     match: [
-      /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/,
+      /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)$/,
       'Please add a valid website URL'
     ]
   },
@@ -107,6 +110,12 @@ const companySchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'critical'],
     default: 'medium'
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -122,11 +131,17 @@ const companySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Record owner, visibility (private, team, everyone) and share grants
+companySchema.plugin(ownershipPlugin);
+companySchema.plugin(visibilityPlugin);
+companySchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 companySchema.index({ name: 1 });
 companySchema.index({ industry: 1 });
 companySchema.index({ status: 1 });
 companySchema.index({ createdBy: 1 });
+companySchema.index({ organization: 1, createdAt: -1 });
 companySchema.index({ createdAt: -1 });
 
 // Virtual for associated contacts count
@@ -141,28 +156,10 @@ companySchema.virtual('contactsCount', {
 companySchema.virtual('opportunitiesCount', {
   ref: 'Opportunity',
   localField: '_id',
-  foreignField: 'company',
+  foreignField: 'company_id',
   count: true
 });
 
-// Pre-remove middleware to handle cascading deletes
-companySchema.pre('remove', async function(next) {
-  try {
-    // Update associated contacts to remove company reference
-    await mongoose.model('Contact').updateMany(
-      { company_id: this._id },
-      { $unset: { company_id: 1 } }
-    );
-    // Remove associated opportunities
-    await mongoose.model('Opportunity').deleteMany({ company: this._id });
-    // Remove associated activities
-    await mongoose.model('Activity').deleteMany({ company: this._id });
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 // Static method to find companies by industry
 companySchema.statics.findByIndustry = function(industry) {
   return this.find({ industry: new RegExp(industry, 'i'), status: 'active' });
@@ -182,8 +179,11 @@ companySchema.statics.searchCompanies = function(searchTerm) {
 };
 
 // Static method to get company statistics
-companySchema.statics.getStatistics = async function() {
+companySchema.statics.getStatistics = async function(organizationId) {
   return await this.aggregate([
+    {
+      $match: { organization: new mongoose.Types.ObjectId(organizationId) }
+    },
     {
       $group: {
         _id: '$status',
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const competitorSchema = new mongoose.Schema({
   name: {
@@ -52,6 +53,12 @@ const competitorSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Recent developments description cannot be more than 1000 characters']
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -63,10 +70,13 @@ const competitorSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+competitorSchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 competitorSchema.index({ name: 1 });
 competitorSchema.index({ status: 1 });
 competitorSchema.index({ createdBy: 1 });
+competitorSchema.index({ organization: 1, createdAt: -1 });
 competitorSchema.index({ createdAt: -1 });
 
 // Static method to search competitors
@@ -83,8 +93,11 @@ competitorSchema.statics.searchCompetitors = function(searchTerm) {
 };
 
 // Static method to get competitor statistics
-competitorSchema.statics.getStatistics = async function() {
+competitorSchema.statics.getStatistics = async function(organizationId) {
   return await this.aggregate([
+    {
+      $match: { organization: new mongoose.Types.ObjectId(organizationId) }
+    },
     {
       $group: {
         _id: '$status',
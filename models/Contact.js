@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const visibilityPlugin = require('./plugins/visibility');
+const ownershipPlugin = require('./plugins/ownership');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const contactSchema = new mongoose.Schema({
   first_name: {
@@ -62,6 +65,12 @@ const contactSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -77,10 +86,16 @@ const contactSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Record owner, visibility (private, team, everyone) and share grants
+contactSchema.plugin(ownershipPlugin);
+contactSchema.plugin(visibilityPlugin);
+contactSchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 contactSchema.index({ email: 1 });
 contactSchema.index({ company_id: 1 });
 contactSchema.index({ createdBy: 1 });
+contactSchema.index({ organization: 1, createdAt: -1 });
 contactSchema.index({ first_name: 1, last_name: 1 });
 contactSchema.index({ createdAt: -1 });
 
@@ -93,23 +108,10 @@ contactSchema.virtual('fullName').get(function() {
 contactSchema.virtual('opportunitiesCount', {
   ref: 'Opportunity',
   localField: '_id',
-  foreignField: 'contact',
+  foreignField: 'contact_id',
   count: true
 });
 
-// Pre-remove middleware to handle cascading deletes
-contactSchema.pre('remove', async function(next) {
-  try {
-    // Remove associated opportunities
-    await mongoose.model('Opportunity').deleteMany({ contact: this._id });
-    // Remove associated activities
-    await mongoose.model('Activity').deleteMany({ contact: this._id });
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 // Static method to find contacts by company
 contactSchema.statics.findByCompany = function(companyId) {
   return this.find({ company_id: companyId, isActive: true });
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const expenseSchema = new mongoose.Schema({
   title: {
@@ -115,6 +116,12 @@ const expenseSchema = new mongoose.Schema({
   reimbursementDate: {
     type: Date
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -130,11 +137,14 @@ const expenseSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+expenseSchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 expenseSchema.index({ date: -1 });
 expenseSchema.index({ category: 1 });
 expenseSchema.index({ status: 1 });
 expenseSchema.index({ createdBy: 1 });
+expenseSchema.index({ organization: 1, createdAt: -1 });
 expenseSchema.index({ opportunity_id: 1 });
 expenseSchema.index({ company: 1 });
 expenseSchema.index({ createdAt: -1 });
@@ -172,13 +182,13 @@ expenseSchema.pre('save', function(next) {
 });
 
 // Static methods
-expenseSchema.statics.findByDateRange = function(startDate, endDate, userId) {
+expenseSchema.statics.findByDateRange = function(startDate, endDate, organizationId) {
   return this.find({
     date: {
       $gte: startDate,
       $lte: endDate
     },
-    createdBy: userId
+    organization: organizationId
   })
   .populate('opportunity_id')
   .populate('company')
@@ -186,20 +196,20 @@ expenseSchema.statics.findByDateRange = function(startDate, endDate, userId) {
   .sort({ date: -1 });
 };
 
-expenseSchema.statics.findByCategory = function(category, userId) {
+expenseSchema.statics.findByCategory = function(category, organizationId) {
   return this.find({
     category,
-    createdBy: userId
+    organization: organizationId
   })
   .populate('opportunity_id')
   .sort({ date: -1 });
 };
 
-expenseSchema.statics.getExpenseSummary = async function(userId, startDate, endDate) {
+expenseSchema.statics.getExpenseSummary = async function(organizationId, startDate, endDate) {
   return await this.aggregate([
     {
       $match: {
-        createdBy: mongoose.Types.ObjectId(userId),
+        organization: new mongoose.Types.ObjectId(organizationId),
         date: {
           $gte: startDate,
           $lte: endDate
@@ -220,11 +230,11 @@ expenseSchema.statics.getExpenseSummary = async function(userId, startDate, endD
   ]);
 };
 
-expenseSchema.statics.getMonthlyExpenses = async function(userId, year) {
+expenseSchema.statics.getMonthlyExpenses = async function(organizationId, year) {
   return await this.aggregate([
     {
       $match: {
-        createdBy: mongoose.Types.ObjectId(userId),
+        organization: new mongoose.Types.ObjectId(organizationId),
         date: {
           $gte: new Date(year, 0, 1),
           $lt: new Date(year + 1, 0, 1)
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Role = require('./Role');
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+const invitationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  role: {
+    type: String,
+    default: 'user',
+    validate: {
+      validator: function(name) {
+        return Role.isValidRole(name, this.organization);
+      },
+      message: '{VALUE} is not a valid role'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Workspace the invited user joins on accepting
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Never expose the token hash, even right after it was generated
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual for whether a pending invitation can no longer be accepted
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Static method to hash an invitation token
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance method to issue a fresh token, invalidating any earlier link
+invitationSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Static method to find a pending, unexpired invitation by its token
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
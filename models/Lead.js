@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const visibilityPlugin = require('./plugins/visibility');
+const ownershipPlugin = require('./plugins/ownership');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const leadSchema = new mongoose.Schema({
   name: {
@@ -33,7 +36,7 @@ const leadSchema = new mongoose.Schema({
     type: String,
     trim: true,
     match: [
-      /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/,
+      /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)$/,
       'Please add a valid website URL'
     ]
   },
@@ -108,10 +111,11 @@ const leadSchema = new mongoose.Schema({
       message: 'Next follow-up date must be in the future'
     }
   },
-  assigned_to: {
-    type: String,
-    trim: true,
-    default: 'Sales Team'
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -156,13 +160,18 @@ const leadSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Record owner, visibility (private, team, everyone) and share grants
+leadSchema.plugin(ownershipPlugin);
+leadSchema.plugin(visibilityPlugin);
+leadSchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 leadSchema.index({ email: 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ priority: 1 });
 leadSchema.index({ source: 1 });
-leadSchema.index({ assigned_to: 1 });
 leadSchema.index({ createdBy: 1 });
+leadSchema.index({ organization: 1, createdAt: -1 });
 leadSchema.index({ score: -1 });
 leadSchema.index({ createdAt: -1 });
 
@@ -230,10 +239,10 @@ leadSchema.statics.searchLeads = function(searchTerm) {
   .sort({ createdAt: -1 });
 };
 
-leadSchema.statics.getLeadStats = async function(userId) {
+leadSchema.statics.getLeadStats = async function(organizationId) {
   return await this.aggregate([
     {
-      $match: { createdBy: mongoose.Types.ObjectId(userId) }
+      $match: { organization: new mongoose.Types.ObjectId(organizationId) }
     },
     {
       $group: {
@@ -249,9 +258,9 @@ leadSchema.statics.getLeadStats = async function(userId) {
   ]);
 };
 
-leadSchema.statics.getConversionRate = async function(userId, startDate, endDate) {
+leadSchema.statics.getConversionRate = async function(organizationId, startDate, endDate) {
   const converted = await this.countDocuments({
-    createdBy: userId,
+    organization: organizationId,
     'convertedTo.convertedAt': {
       $gte: startDate,
       $lte: endDate
@@ -259,7 +268,7 @@ leadSchema.statics.getConversionRate = async function(userId, startDate, endDate
   });
 
   const total = await this.countDocuments({
-    createdBy: userId,
+    organization: organizationId,
     createdAt: {
       $gte: startDate,
       $lte: endDate
@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const visibilityPlugin = require('./plugins/visibility');
+const ownershipPlugin = require('./plugins/ownership');
+const softDeletePlugin = require('./plugins/softDelete');
+const Pipeline = require('./Pipeline');
+const Competitor = require('./Competitor');
+const { STAGE_CATEGORIES, legacyStage } = require('../config/pipelines');
+
+// One entry per stage the opportunity entered, oldest first
+const stageChangeSchema = new mongoose.Schema({
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  stage: String,
+  status: String,
+  // Deal size when the stage was entered
+  amount: Number,
+  probability: Number,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const opportunitySchema = new mongoose.Schema({
   title: {
@@ -28,17 +55,37 @@ const opportunitySchema = new mongoose.Schema({
     default: 'USD',
     enum: ['USD', 'EUR', 'GBP', 'INR', 'JPY']
   },
+  // Set to the workspace's default pipeline when not given
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  // Key of one of the pipeline's stages; defaults to its first stage
+  stage: {
+    type: String,
+    trim: true
+  },
+  // Category of the stage (open, won or lost), kept in step on save
   status: {
     type: String,
-    enum: ['quality', 'meet_contact', 'meet_present', 'purpose', 'negotiate', 'closed_win', 'lost', 'not_responding', 'remarks'],
-    default: 'quality',
-    required: true
+    enum: STAGE_CATEGORIES,
+    default: 'open'
   },
-  stage: {
+  // Set on save; see recordStageChange
+  stageHistory: [stageChangeSchema],
+  // Required when closing as won or lost; one of the pipeline's win or loss reasons
+  closeReason: {
     type: String,
-    enum: ['lead', 'meet_contact', 'meet_present', 'not_responding'],
-    default: 'lead'
+    trim: true,
+    maxlength: [100, 'Close reason cannot be more than 100 characters']
   },
+  // Only for lost opportunities
+  lostToCompetitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competitor'
+  },
+  // When the opportunity entered a won or lost stage
+  closedAt: Date,
   status_remarks: {
     type: String,
     maxlength: [500, 'Status remarks cannot be more than 500 characters']
@@ -129,10 +176,11 @@ const opportunitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contact'
   },
-  owner: {
-    type: String,
-    trim: true,
-    default: 'Sales Team'
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -164,13 +212,21 @@ const opportunitySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Record owner, visibility (private, team, everyone) and share grants
+opportunitySchema.plugin(ownershipPlugin);
+opportunitySchema.plugin(visibilityPlugin);
+opportunitySchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 opportunitySchema.index({ company_id: 1 });
 opportunitySchema.index({ contact_id: 1 });
 opportunitySchema.index({ status: 1 });
+opportunitySchema.index({ organization: 1, pipeline: 1, stage: 1 });
+opportunitySchema.index({ organization: 1, status: 1, closedAt: -1 });
 opportunitySchema.index({ priority: 1 });
 opportunitySchema.index({ sector: 1 });
 opportunitySchema.index({ createdBy: 1 });
+opportunitySchema.index({ organization: 1, createdAt: -1 });
 opportunitySchema.index({ close_date: 1 });
 opportunitySchema.index({ createdAt: -1 });
 
@@ -188,6 +244,101 @@ opportunitySchema.virtual('daysToClose').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Check the stage against the pipeline, then derive the status and, unless
+// given, the probability from it. Closing needs a reason.
+opportunitySchema.pre('validate', async function() {
+  const changed = ['pipeline', 'stage', 'closeReason', 'lostToCompetitor'].some(path => this.isModified(path));
+  if (!this.isNew && this.pipeline && !changed) return;
+
+  // Not migrated yet (scripts/migratePipelines.js): the stage is in the old
+  // status and the probability is kept
+  const legacy = !this.isNew && !this.pipeline && !this.isModified('stage');
+  if (legacy) this.stage = legacyStage(this.status, this.stage);
+
+  const pipeline = this.pipeline
+    ? await Pipeline.findOne({ _id: this.pipeline, organization: this.organization })
+    : await Pipeline.getDefault(this.organization);
+
+  if (!pipeline) {
+    this.invalidate('pipeline', 'Pipeline not found');
+    return;
+  }
+
+  this.pipeline = pipeline._id;
+  if (!this.stage) this.stage = pipeline.stages[0].key;
+
+  const stage = pipeline.getStage(this.stage);
+
+  if (!stage) {
+    this.invalidate('stage', `Stage must be one of: ${pipeline.stages.map(item => item.key).join(', ')}`, this.stage);
+    return;
+  }
+
+  this.status = stage.category;
+
+  // A stage change brings the stage's probability unless one was given with it
+  const stageChanged = !legacy && this.isModified('stage') && !this.isModified('probability');
+  if (this.probability == null || stageChanged) {
+    this.probability = stage.probability;
+  }
+
+  // Opportunities closed before reasons existed keep closing without one
+  if (!legacy) {
+    await this.checkCloseReason(pipeline);
+  }
+
+  this.recordStageChange();
+});
+
+// Instance method to check the close reason and competitor against the
+// status, clearing them when the opportunity is (re)opened
+opportunitySchema.methods.checkCloseReason = async function(pipeline) {
+  if (this.status === 'open') {
+    this.closeReason = undefined;
+    this.lostToCompetitor = undefined;
+    this.closedAt = undefined;
+    return;
+  }
+
+  if (this.isModified('status') || !this.closedAt) {
+    this.closedAt = new Date();
+  }
+
+  const reasons = pipeline.getCloseReasons(this.status);
+
+  if (!this.closeReason) {
+    this.invalidate('closeReason', `A ${this.status === 'won' ? 'win' : 'loss'} reason is required`);
+  } else if (reasons.length > 0 && !reasons.includes(this.closeReason)) {
+    this.invalidate('closeReason', `Close reason must be one of: ${reasons.join(', ')}`, this.closeReason);
+  }
+
+  if (this.lostToCompetitor) {
+    if (this.status !== 'lost') {
+      this.invalidate('lostToCompetitor', 'Only lost opportunities can be lost to a competitor');
+    } else if (!(await Competitor.exists({ _id: this.lostToCompetitor, organization: this.organization }))) {
+      this.invalidate('lostToCompetitor', 'Competitor not found');
+    }
+  }
+};
+
+// Instance method to add the current stage to the history, unless it is
+// already the latest entry. The user is the one set with
+// opportunity.$locals.changedBy, or the creator.
+opportunitySchema.methods.recordStageChange = function() {
+  const last = this.stageHistory[this.stageHistory.length - 1];
+  if (last && last.stage === this.stage && String(last.pipeline) === String(this.pipeline)) return;
+
+  this.stageHistory.push({
+    pipeline: this.pipeline,
+    stage: this.stage,
+    status: this.status,
+    amount: this.amount,
+    probability: this.probability,
+    changedBy: this.$locals.changedBy || this.createdBy,
+    changedAt: new Date()
+  });
+};
+
 // Pre-save middleware
 opportunitySchema.pre('save', function(next) {
   // Auto-update forecast amount if not set
@@ -195,30 +346,6 @@ opportunitySchema.pre('save', function(next) {
     this.forecastAmount = this.amount;
   }
 
-  // Auto-set probability based on status if not set
-  if (this.probability === 0) {
-    switch (this.status) {
-      case 'lead':
-        this.probability = 10;
-        break;
-      case 'qualified':
-        this.probability = 30;
-        break;
-      case 'proposal':
-        this.probability = 60;
-        break;
-      case 'negotiation':
-        this.probability = 80;
-        break;
-      case 'won':
-        this.probability = 100;
-        break;
-      case 'lost':
-        this.probability = 0;
-        break;
-    }
-  }
-
   next();
 });
 
@@ -235,7 +362,7 @@ opportunitySchema.statics.getPipelineSummary = async function() {
   return await this.aggregate([
     {
       $group: {
-        _id: '$status',
+        _id: { pipeline: '$pipeline', stage: '$stage' },
         count: { $sum: 1 },
         totalValue: { $sum: '$amount' },
         avgProbability: { $avg: '$probability' },
@@ -245,7 +372,7 @@ opportunitySchema.statics.getPipelineSummary = async function() {
       }
     },
     {
-      $sort: { _id: 1 }
+      $sort: { '_id.pipeline': 1 }
     }
   ]);
 };
@@ -255,7 +382,7 @@ opportunitySchema.statics.getForecastByMonth = async function() {
     {
       $match: {
         close_date: { $exists: true },
-        status: { $nin: ['won', 'lost'] }
+        status: 'open'
       }
     },
     {
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ACCESS_ROLE } = require('../config/permissions');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Membership role only governs managing the workspace itself; what a
+  // user may do with CRM records comes from their accessRole
+  role: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  // Name of the role (see /api/roles) the user holds in this organization
+  accessRole: {
+    type: String,
+    default: DEFAULT_ACCESS_ROLE
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an organization name'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot be more than 100 characters']
+  },
+  members: [memberSchema],
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ createdBy: 1, isPersonal: 1 });
+
+// Instance method to find a user's membership
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString()) || null;
+};
+
+// Instance method to check whether a user belongs to the organization
+organizationSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+// Instance method to check whether a user may manage the organization
+organizationSchema.methods.isOwner = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && member.role === 'owner';
+};
+
+// Instance method to get the role a user holds in the organization
+organizationSchema.methods.getAccessRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.accessRole : null;
+};
+
+// Instance method to add a user, keeping an existing membership as is
+organizationSchema.methods.addMember = function(userId, role = 'member', accessRole = DEFAULT_ACCESS_ROLE) {
+  if (!this.isMember(userId)) {
+    this.members.push({ user: userId, role, accessRole });
+  }
+  return this.getMember(userId);
+};
+
+// Static method to find the organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ isPersonal: -1, name: 1 });
+};
+
+// Static method to find a user's personal workspace, creating it if needed
+organizationSchema.statics.ensurePersonal = async function(user) {
+  const existing = await this.findOne({ createdBy: user._id, isPersonal: true });
+  if (existing) return existing;
+
+  return this.create({
+    name: `${user.name}'s workspace`,
+    isPersonal: true,
+    createdBy: user._id,
+    members: [{ user: user._id, role: 'owner' }]
+  });
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
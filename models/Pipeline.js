@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { STAGE_CATEGORIES, DEFAULT_PIPELINE } = require('../config/pipelines');
+
+const stageSchema = new mongoose.Schema({
+  // Stored on opportunities, so it should not change once in use
+  key: {
+    type: String,
+    required: [true, 'Please add a stage key'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Stage key cannot be more than 50 characters'],
+    match: [/^[a-z0-9_]+$/, 'Stage key can only contain letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a stage name'],
+    trim: true,
+    maxlength: [100, 'Stage name cannot be more than 100 characters']
+  },
+  probability: {
+    type: Number,
+    required: [true, 'Please add a stage probability'],
+    min: [0, 'Probability cannot be less than 0'],
+    max: [100, 'Probability cannot be more than 100']
+  },
+  category: {
+    type: String,
+    enum: STAGE_CATEGORIES,
+    default: 'open'
+  }
+}, { _id: false });
+
+const pipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a pipeline name'],
+    trim: true,
+    maxlength: [100, 'Pipeline name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // New opportunities without a pipeline go to the workspace's default one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // In pipeline order
+  stages: {
+    type: [stageSchema],
+    validate: [
+      {
+        validator: stages => stages.some(stage => stage.category === 'open'),
+        message: 'A pipeline needs at least one open stage'
+      },
+      {
+        validator: stages => new Set(stages.map(stage => stage.key)).size === stages.length,
+        message: 'Stage keys must be unique within a pipeline'
+      }
+    ]
+  },
+  // Reasons offered when closing an opportunity as won or lost
+  winReasons: {
+    type: [{ type: String, trim: true, maxlength: [100, 'Reason cannot be more than 100 characters'] }],
+    default: () => [...DEFAULT_PIPELINE.winReasons]
+  },
+  lossReasons: {
+    type: [{ type: String, trim: true, maxlength: [100, 'Reason cannot be more than 100 characters'] }],
+    default: () => [...DEFAULT_PIPELINE.lossReasons]
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pipelineSchema.index({ organization: 1, name: 1 }, { unique: true });
+pipelineSchema.index({ organization: 1, isDefault: 1 });
+
+// Instance method to look up a stage by key
+pipelineSchema.methods.getStage = function(key) {
+  return this.stages.find(stage => stage.key === key) || null;
+};
+
+// Instance method to list the reasons accepted for closing as won or lost
+pipelineSchema.methods.getCloseReasons = function(category) {
+  if (category === 'won') return this.winReasons;
+  if (category === 'lost') return this.lossReasons;
+  return [];
+};
+
+// Static method to get the default pipeline of an organization, creating it
+// from config/pipelines.js the first time
+pipelineSchema.statics.getDefault = async function(organizationId) {
+  const existing = await this.findOne({ organization: organizationId, isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ ...DEFAULT_PIPELINE, isDefault: true, organization: organizationId });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      const created = await this.findOne({ organization: organizationId, isDefault: true });
+      if (created) return created;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Pipeline', pipelineSchema);
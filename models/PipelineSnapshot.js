@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// An open opportunity as it stood on a snapshot date; the daily snapshot job
+// writes one per open opportunity
+const pipelineSnapshotSchema = new mongoose.Schema({
+  // Day of the snapshot (UTC midnight)
+  snapshotDate: {
+    type: Date,
+    required: true
+  },
+  // When the job wrote this row; rows a rerun did not rewrite are dropped
+  takenAt: {
+    type: Date,
+    required: true
+  },
+  opportunity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Opportunity',
+    required: true
+  },
+  title: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  stage: String,
+  amount: Number,
+  forecastAmount: Number,
+  probability: Number,
+  close_date: Date,
+  forecast: String,
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  }
+});
+
+// Indexes for better query performance
+pipelineSnapshotSchema.index({ organization: 1, snapshotDate: 1, opportunity: 1 }, { unique: true });
+pipelineSnapshotSchema.index({ organization: 1, snapshotDate: 1, owner: 1 });
+
+module.exports = mongoose.model('PipelineSnapshot', pipelineSnapshotSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { PERIOD_TYPES, getPeriodStart, getPeriodEnd } = require('../utils/periods');
+
+// Sales target of a user or a team for one month, quarter or year
+const quotaSchema = new mongoose.Schema({
+  // Exactly one of user and team
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  periodType: {
+    type: String,
+    enum: PERIOD_TYPES,
+    required: [true, 'Please add a period type']
+  },
+  // Any date in the period; stored as the period's first day
+  periodStart: {
+    type: Date,
+    required: [true, 'Please add a period start']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a quota amount'],
+    min: [0, 'Quota amount cannot be negative']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+quotaSchema.index({ organization: 1, periodType: 1, periodStart: 1, user: 1, team: 1 }, { unique: true });
+
+// Virtual for the end of the period (exclusive)
+quotaSchema.virtual('periodEnd').get(function() {
+  if (!this.periodStart || !this.periodType) return null;
+  return getPeriodEnd(this.periodStart, this.periodType);
+});
+
+quotaSchema.pre('validate', function(next) {
+  if (!this.user === !this.team) {
+    this.invalidate('user', 'A quota is set for either a user or a team');
+  }
+
+  if (this.periodStart && PERIOD_TYPES.includes(this.periodType)) {
+    this.periodStart = getPeriodStart(this.periodStart, this.periodType);
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Quota', quotaSchema);
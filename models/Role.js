@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const {
+  RESOURCES,
+  ACTIONS,
+  DEFAULT_ROLES,
+  DEFAULT_ROLE_NAMES
+} = require('../config/permissions');
+
+const permissionSchema = new mongoose.Schema({
+  resource: {
+    type: String,
+    required: true,
+    enum: {
+      values: RESOURCES,
+      message: '{VALUE} is not a valid resource'
+    }
+  },
+  actions: [{
+    type: String,
+    enum: {
+      values: ACTIONS,
+      message: '{VALUE} is not a valid action'
+    }
+  }]
+}, { _id: false });
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores'],
+    maxlength: [50, 'Role name cannot be more than 50 characters']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  permissions: [permissionSchema],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Organization a custom role belongs to; null for the built-in roles,
+  // which every organization shares
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+// Instance method to check a single permission
+roleSchema.methods.can = function(resource, action) {
+  return this.permissions.some(permission =>
+    permission.resource === resource && permission.actions.includes(action)
+  );
+};
+
+let defaultsSynced = null;
+
+// Static method to create or refresh the built-in roles. Runs once per process.
+roleSchema.statics.ensureDefaults = function() {
+  if (!defaultsSynced) {
+    defaultsSynced = Promise.all(DEFAULT_ROLES.map(role =>
+      this.updateOne(
+        { name: role.name, organization: null },
+        { $set: { ...role, isSystem: true } },
+        { upsert: true }
+      )
+    )).catch(error => {
+      defaultsSynced = null;
+      throw error;
+    });
+  }
+  return defaultsSynced;
+};
+
+// Static method to build the filter matching the roles an organization can
+// use: the built-in ones and its own
+roleSchema.statics.availableTo = function(organizationId) {
+  return { organization: { $in: [null, organizationId] } };
+};
+
+// Static method to find a role by name among those an organization can use
+roleSchema.statics.findByName = function(name, organizationId) {
+  return this.findOne({ name, ...this.availableTo(organizationId) });
+};
+
+// Static method used by schemas that reference a role by name
+roleSchema.statics.isValidRole = async function(name, organizationId) {
+  if (DEFAULT_ROLE_NAMES.includes(name)) return true;
+  return !!(await this.exists({ name, ...this.availableTo(organizationId) }));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
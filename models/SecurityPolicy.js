@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Workspace-wide security settings managed by admins. Only one document exists.
+const securityPolicySchema = new mongoose.Schema({
+  twoFactorRequiredRoles: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the policy, creating the default one if missing
+securityPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findOne();
+  if (policy) return policy;
+  return await this.create({ twoFactorRequiredRoles: [] });
+};
+
+// Instance method to check whether a role must use two-factor authentication
+securityPolicySchema.methods.requiresTwoFactor = function(role) {
+  return this.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
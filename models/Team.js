@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a team name'],
+    trim: true,
+    maxlength: [100, 'Team name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Managers see every record owned by the team's members
+  managers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+teamSchema.index({ organization: 1, name: 1 }, { unique: true });
+teamSchema.index({ organization: 1, members: 1 });
+teamSchema.index({ organization: 1, managers: 1 });
+
+// Instance method to list everyone on the team, managers included
+teamSchema.methods.getUserIds = function() {
+  const ids = [...this.managers, ...this.members].map(id => id.toString());
+  return [...new Set(ids)];
+};
+
+// Instance method to check whether a user manages the team
+teamSchema.methods.isManager = function(userId) {
+  return this.managers.some(id => id.toString() === userId.toString());
+};
+
+// Static method to find the teams a user manages or belongs to
+teamSchema.statics.findForUser = function(organizationId, userId) {
+  return this.find({
+    organization: organizationId,
+    $or: [{ members: userId }, { managers: userId }]
+  });
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -25,23 +25,54 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
-  role: {
-    type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
-  },
   avatar: {
     type: String,
     default: null
   },
+  // Workspace used when a request does not name one in X-Organization-Id
+  activeOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Defaults to true so accounts created before verification existed keep
+  // working; register sets it to false explicitly
+  isEmailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
   },
+  lastLoginIp: {
+    type: String,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedLoginIp: {
+    type: String,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
   settings: {
     theme: {
       type: String,
@@ -53,8 +84,33 @@ const userSchema = new mongoose.Schema({
       push: { type: Boolean, default: true }
     }
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   resetPasswordToken: String,
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  emailVerificationToken: String,
+  emailVerificationExpire: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -65,6 +121,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Virtual for temporary lockout after too many failed logins
+userSchema.virtual('isLocked').get(function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+});
+
 // Virtual for user's full name (if needed)
 userSchema.virtual('fullName').get(function() {
   return this.name;
@@ -114,6 +175,43 @@ userSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Instance method to get email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  // Generate token
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  // Set expire
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+};
+
+// Instance method to change the email address. A new address has to be
+// verified again; returns the verification token to send, or null when the
+// address did not change.
+userSchema.methods.changeEmail = function(email) {
+  if (!email || email.toLowerCase() === this.email) return null;
+
+  this.email = email;
+  this.isEmailVerified = false;
+  this.emailVerifiedAt = null;
+  return this.getEmailVerificationToken();
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
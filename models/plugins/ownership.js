@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Adds an owner (the user responsible for the record) to a schema. Owners
+// start out as the creator and can later be changed or bulk reassigned.
+const ownershipPlugin = (schema) => {
+  schema.add({
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  });
+
+  schema.index({ organization: 1, owner: 1 });
+
+  // Default the owner to the creator
+  schema.pre('validate', function(next) {
+    if (!this.owner && this.createdBy) {
+      this.owner = this.createdBy;
+    }
+    next();
+  });
+};
+
+module.exports = ownershipPlugin;
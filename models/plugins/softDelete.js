@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Queries that skip deleted records unless they filter on deletedAt themselves
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+// Adds soft deletion to a schema: deleting a record only stamps deletedAt and
+// deletedBy, and deleted records are left out of queries and aggregations.
+// To reach them, filter on deletedAt, e.g. { deletedAt: { $ne: null } }.
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ organization: 1, deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    if (!('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const [first] = this.pipeline();
+
+    if (!(first && first.$match && 'deletedAt' in first.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Instance method to move a record to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Instance method to bring a record back from the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const VISIBILITY_LEVELS = ['private', 'team', 'everyone'];
+const SHARE_ACCESS = ['read', 'edit'];
+
+const shareSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  access: {
+    type: String,
+    enum: SHARE_ACCESS,
+    default: 'read'
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Adds record-level visibility and per-user share grants to a schema.
+// The rules themselves live in services/visibilityService.js.
+const visibilityPlugin = (schema) => {
+  schema.add({
+    // Defaults to everyone so records behave as before visibility existed
+    visibility: {
+      type: String,
+      enum: {
+        values: VISIBILITY_LEVELS,
+        message: '{VALUE} is not a valid visibility'
+      },
+      default: 'everyone'
+    },
+    // Team that can see the record when visibility is team; when empty,
+    // every team the owner belongs to can see it
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      default: null
+    },
+    sharedWith: [shareSchema]
+  });
+
+  schema.index({ organization: 1, visibility: 1 });
+  schema.index({ 'sharedWith.user': 1 });
+
+  // Instance method to find the share grant for a user (works whether or
+  // not sharedWith.user is populated)
+  schema.methods.getShare = function(userId) {
+    return this.sharedWith.find(share => share.user._id.toString() === userId.toString()) || null;
+  };
+};
+
+visibilityPlugin.VISIBILITY_LEVELS = VISIBILITY_LEVELS;
+visibilityPlugin.SHARE_ACCESS = SHARE_ACCESS;
+
+module.exports = visibilityPlugin;
@@ -7,10 +7,14 @@ const {
   deleteActivity,
   getUpcomingActivities,
   getOverdueActivities,
-  getActivitiesByDateRange
+  getActivitiesByDateRange,
+  getActivityHistory
 } = require('../controllers/activityController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/activityValidators');
 
 const router = express.Router();
 
@@ -18,17 +22,20 @@ const router = express.Router();
 router.use(protect);
 
 router.route('/')
-  .get(getActivities)
-  .post(createActivity);
+  .get(checkPermission('activities', 'read'), validate(schemas.getActivities), getActivities)
+  .post(checkPermission('activities', 'create'), allowFields('activities', 'create'), validate(schemas.createActivity), createActivity);
 
 router.route('/:id')
-  .get(getActivity)
-  .put(updateActivity)
-  .delete(deleteActivity);
+  .get(checkPermission('activities', 'read'), validate(schemas.getActivity), getActivity)
+  .put(checkPermission('activities', 'update'), allowFields('activities', 'update'), validate(schemas.updateActivity), updateActivity)
+  .delete(checkPermission('activities', 'delete'), validate(schemas.deleteActivity), deleteActivity);
+
+// Change history
+router.get('/:id/history', checkPermission('activities', 'read'), validate(schemas.getActivityHistory), getActivityHistory);
 
 // Special activity routes
-router.get('/upcoming/list', getUpcomingActivities);
-router.get('/overdue/list', getOverdueActivities);
-router.get('/range/date', getActivitiesByDateRange);
+router.get('/upcoming/list', checkPermission('activities', 'read'), validate(schemas.getUpcomingActivities), getUpcomingActivities);
+router.get('/overdue/list', checkPermission('activities', 'read'), getOverdueActivities);
+router.get('/range/date', checkPermission('activities', 'read'), validate(schemas.getActivitiesByDateRange), getActivitiesByDateRange);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auditValidators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', checkPermission('audit', 'read'), validate(schemas.getAuditLogs), getAuditLogs);
+
+module.exports = router;
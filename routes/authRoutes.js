@@ -2,28 +2,68 @@ const express = require('express');
 const {
   register,
   login,
+  loginTwoFactor,
+  refresh,
   getMe,
   updateDetails,
   updatePassword,
   logout,
   forgotPassword,
   resetPassword,
+  acceptInvite,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  deleteSession,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } = require('../controllers/authController');
+const {
+  createApiKey,
+  getApiKeys,
+  deleteApiKey
+} = require('../controllers/apiKeyController');
 
 const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/authValidators');
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
-router.get('/logout', logout);
-router.post('/forgotpassword', forgotPassword);
-router.put('/resetpassword/:resettoken', resetPassword);
+router.post('/register', validate(schemas.register), register);
+router.post('/login', validate(schemas.login), login);
+router.post('/login/2fa', validate(schemas.loginTwoFactor), loginTwoFactor);
+router.post('/refresh', refresh);
+router.route('/logout')
+  .get(logout)
+  .post(logout);
+router.post('/forgotpassword', validate(schemas.forgotPassword), forgotPassword);
+router.put('/resetpassword/:resettoken', validate(schemas.resetPassword), resetPassword);
+router.get('/verify/:token', validate(schemas.verifyEmail), verifyEmail);
+router.post('/accept-invite/:token', validate(schemas.acceptInvite), acceptInvite);
 
 router.use(protect); // All routes below require authentication
 
 router.get('/me', getMe);
-router.put('/updatedetails', updateDetails);
-router.put('/updatepassword', updatePassword);
+router.put('/updatedetails', validate(schemas.updateDetails), updateDetails);
+router.put('/updatepassword', validate(schemas.updatePassword), updatePassword);
+router.post('/verify/resend', resendVerification);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', validate(schemas.deleteSession), deleteSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', validate(schemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/disable', validate(schemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/recovery-codes', validate(schemas.regenerateRecoveryCodes), regenerateRecoveryCodes);
+
+// Personal API keys
+router.route('/api-keys')
+  .get(getApiKeys)
+  .post(validate(schemas.createApiKey), createApiKey);
+
+router.delete('/api-keys/:id', validate(schemas.deleteApiKey), deleteApiKey);
 
 module.exports = router;
\ No newline at end of file
@@ -5,30 +5,56 @@ const {
   createCompany,
   updateCompany,
   deleteCompany,
+  getCompanyDeletionPreview,
   getAllCompanies,
-  getCompanyStats
+  getCompanyStats,
+  getCompanyShares,
+  shareCompany,
+  unshareCompany,
+  getCompanyHistory,
+  mergeCompanies
 } = require('../controllers/companyController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validateOwner } = require('../middlewares/ownershipMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/companyValidators');
 
 const router = express.Router();
 
-// Get all companies for dropdown (public for now to fix auth issue)
-router.get('/all', getAllCompanies);
-
-// All other routes require authentication
+// All routes require authentication
 router.use(protect);
 
+// Get all companies for dropdown
+router.get('/all', checkPermission('companies', 'read'), getAllCompanies);
+
 router.route('/')
-  .get(getCompanies)
-  .post(createCompany);
+  .get(checkPermission('companies', 'read'), validate(schemas.getCompanies), getCompanies)
+  .post(checkPermission('companies', 'create'), allowFields('companies', 'create'), validate(schemas.createCompany), validateOwner, createCompany);
 
 router.route('/:id')
-  .get(getCompany)
-  .put(updateCompany)
-  .delete(deleteCompany);
+  .get(checkPermission('companies', 'read'), validate(schemas.getCompany), getCompany)
+  .put(checkPermission('companies', 'update'), allowFields('companies', 'update'), validate(schemas.updateCompany), validateOwner, updateCompany)
+  .delete(checkPermission('companies', 'delete'), validate(schemas.deleteCompany), deleteCompany);
+
+// What deleting would do to related records
+router.get('/:id/deletion-preview', checkPermission('companies', 'delete'), validate(schemas.getCompanyDeletionPreview), getCompanyDeletionPreview);
+
+// Change history
+router.get('/:id/history', checkPermission('companies', 'read'), validate(schemas.getCompanyHistory), getCompanyHistory);
+
+// Sharing with individual users
+router.route('/:id/share')
+  .get(checkPermission('companies', 'read'), validate(schemas.getCompanyShares), getCompanyShares)
+  .post(checkPermission('companies', 'update'), validate(schemas.shareCompany), shareCompany);
+
+router.delete('/:id/share/:userId', checkPermission('companies', 'update'), validate(schemas.unshareCompany), unshareCompany);
 
 // Company statistics
-router.get('/stats/overview', getCompanyStats);
+router.get('/stats/overview', checkPermission('companies', 'read'), getCompanyStats);
+
+// Merge duplicates into one record
+router.post('/merge', checkPermission('companies', 'update'), checkPermission('companies', 'delete'), validate(schemas.mergeCompanies), mergeCompanies);
 
 module.exports = router;
\ No newline at end of file
@@ -5,10 +5,14 @@ const {
   createCompetitor,
   updateCompetitor,
   deleteCompetitor,
-  getCompetitorStats
+  getCompetitorStats,
+  getCompetitorHistory
 } = require('../controllers/competitorController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/competitorValidators');
 
 const router = express.Router();
 
@@ -16,15 +20,19 @@ const router = express.Router();
 router.use(protect);
 
 router.route('/')
-  .get(getCompetitors)
-  .post(createCompetitor);
+  .get(checkPermission('competitors', 'read'), validate(schemas.getCompetitors), getCompetitors)
+  .post(checkPermission('competitors', 'create'), allowFields('competitors', 'create'), validate(schemas.createCompetitor), createCompetitor);
+
+// Statistics (registered before /:id so it is not captured as an id)
+router.route('/stats')
+  .get(checkPermission('competitors', 'read'), getCompetitorStats);
 
 router.route('/:id')
-  .get(getCompetitor)
-  .put(updateCompetitor)
-  .delete(deleteCompetitor);
+  .get(checkPermission('competitors', 'read'), validate(schemas.getCompetitor), getCompetitor)
+  .put(checkPermission('competitors', 'update'), allowFields('competitors', 'update'), validate(schemas.updateCompetitor), updateCompetitor)
+  .delete(checkPermission('competitors', 'delete'), validate(schemas.deleteCompetitor), deleteCompetitor);
 
-router.route('/stats')
-  .get(getCompetitorStats);
+// Change history
+router.get('/:id/history', checkPermission('competitors', 'read'), validate(schemas.getCompetitorHistory), getCompetitorHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -5,34 +5,60 @@ const {
   createContact,
   updateContact,
   deleteContact,
+  getContactDeletionPreview,
   getContactsByCompany,
   getAllContacts,
-  importContacts
+  importContacts,
+  getContactShares,
+  shareContact,
+  unshareContact,
+  getContactHistory,
+  mergeContacts
 } = require('../controllers/contactController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validateOwner } = require('../middlewares/ownershipMiddleware');
+const { allowFields, allowRowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/contactValidators');
 
 const router = express.Router();
 
-// Get all contacts for dropdown (public for now to fix auth issue)
-router.get('/all', getAllContacts);
-
-// All other routes require authentication
+// All routes require authentication
 router.use(protect);
 
+// Get all contacts for dropdown
+router.get('/all', checkPermission('contacts', 'read'), getAllContacts);
+
 router.route('/')
-  .get(getContacts)
-  .post(createContact);
+  .get(checkPermission('contacts', 'read'), validate(schemas.getContacts), getContacts)
+  .post(checkPermission('contacts', 'create'), allowFields('contacts', 'create'), validate(schemas.createContact), validateOwner, createContact);
 
 router.route('/:id')
-  .get(getContact)
-  .put(updateContact)
-  .delete(deleteContact);
+  .get(checkPermission('contacts', 'read'), validate(schemas.getContact), getContact)
+  .put(checkPermission('contacts', 'update'), allowFields('contacts', 'update'), validate(schemas.updateContact), validateOwner, updateContact)
+  .delete(checkPermission('contacts', 'delete'), validate(schemas.deleteContact), deleteContact);
+
+// What deleting would do to related records
+router.get('/:id/deletion-preview', checkPermission('contacts', 'delete'), validate(schemas.getContactDeletionPreview), getContactDeletionPreview);
+
+// Change history
+router.get('/:id/history', checkPermission('contacts', 'read'), validate(schemas.getContactHistory), getContactHistory);
+
+// Sharing with individual users
+router.route('/:id/share')
+  .get(checkPermission('contacts', 'read'), validate(schemas.getContactShares), getContactShares)
+  .post(checkPermission('contacts', 'update'), validate(schemas.shareContact), shareContact);
+
+router.delete('/:id/share/:userId', checkPermission('contacts', 'update'), validate(schemas.unshareContact), unshareContact);
 
 // Get contacts by company
-router.get('/company/:companyId', getContactsByCompany);
+router.get('/company/:companyId', checkPermission('contacts', 'read'), validate(schemas.getContactsByCompany), getContactsByCompany);
 
 // Import contacts
-router.post('/import', importContacts);
+router.post('/import', checkPermission('contacts', 'create'), allowRowFields({ contacts: 'contacts' }), validate(schemas.importContacts), importContacts);
+
+// Merge duplicates into one record
+router.post('/merge', checkPermission('contacts', 'update'), checkPermission('contacts', 'delete'), validate(schemas.mergeContacts), mergeContacts);
 
 module.exports = router;
\ No newline at end of file
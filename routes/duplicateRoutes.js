@@ -0,0 +1,16 @@
+const express = require('express');
+const { checkDuplicates } = require('../controllers/duplicateController');
+
+const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/duplicateValidators');
+
+const router = express.Router();
+
+// All routes require authentication; the record type's read permission is
+// checked in the controller
+router.use(protect);
+
+router.get('/check', validate(schemas.checkDuplicates), checkDuplicates);
+
+module.exports = router;
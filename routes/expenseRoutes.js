@@ -5,12 +5,17 @@ const {
   createExpense,
   updateExpense,
   deleteExpense,
+  approveExpense,
   getExpensesByCategory,
   getExpenseSummary,
-  getMonthlyExpenses
+  getMonthlyExpenses,
+  getExpenseHistory
 } = require('../controllers/expenseController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/expenseValidators');
 
 const router = express.Router();
 
@@ -18,19 +23,25 @@ const router = express.Router();
 router.use(protect);
 
 router.route('/')
-  .get(getExpenses)
-  .post(createExpense);
+  .get(checkPermission('expenses', 'read'), validate(schemas.getExpenses), getExpenses)
+  .post(checkPermission('expenses', 'create'), allowFields('expenses', 'create'), validate(schemas.createExpense), createExpense);
 
 router.route('/:id')
-  .get(getExpense)
-  .put(updateExpense)
-  .delete(deleteExpense);
+  .get(checkPermission('expenses', 'read'), validate(schemas.getExpense), getExpense)
+  .put(checkPermission('expenses', 'update'), allowFields('expenses', 'update'), validate(schemas.updateExpense), updateExpense)
+  .delete(checkPermission('expenses', 'delete'), validate(schemas.deleteExpense), deleteExpense);
+
+// Change history
+router.get('/:id/history', checkPermission('expenses', 'read'), validate(schemas.getExpenseHistory), getExpenseHistory);
+
+// Approval
+router.put('/:id/approve', checkPermission('expenses', 'approve'), allowFields('expenses', 'approve'), validate(schemas.approveExpense), approveExpense);
 
 // Category-based routes
-router.get('/category/:category', getExpensesByCategory);
+router.get('/category/:category', checkPermission('expenses', 'read'), validate(schemas.getExpensesByCategory), getExpensesByCategory);
 
 // Analytics routes
-router.get('/analytics/summary', getExpenseSummary);
-router.get('/analytics/monthly', getMonthlyExpenses);
+router.get('/analytics/summary', checkPermission('expenses', 'read'), validate(schemas.getExpenseSummary), getExpenseSummary);
+router.get('/analytics/monthly', checkPermission('expenses', 'read'), validate(schemas.getMonthlyExpenses), getMonthlyExpenses);
 
 module.exports = router;
\ No newline at end of file
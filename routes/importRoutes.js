@@ -1,13 +1,37 @@
 const express = require('express');
 const { importData, validateImportData } = require('../controllers/importController');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, hasPermission } = require('../middlewares/authMiddleware');
+const { allowRowFields } = require('../middlewares/writableFieldsMiddleware');
+const asyncHandler = require('../middlewares/asyncHandler');
+const { ForbiddenError } = require('../utils/errors');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/importValidators');
 
 const router = express.Router();
 
+// Imports create records in several modules; require create permission
+// for each kind of record present in the payload
+const checkImportPermissions = asyncHandler(async (req, res, next) => {
+  const resources = ['companies', 'contacts', 'opportunities']
+    .filter(resource => Array.isArray(req.body[resource]) && req.body[resource].length > 0);
+
+  for (const resource of resources) {
+    if (!(await hasPermission(req, resource, 'create'))) {
+      throw new ForbiddenError(`User role ${req.role} is not allowed to create ${resource}`);
+    }
+  }
+
+  next();
+});
+
 // All routes require authentication
 router.use(protect);
 
-router.post('/', importData);
-router.post('/validate', validateImportData);
+router.post('/', checkImportPermissions, allowRowFields({
+  companies: 'companies',
+  contacts: 'contacts',
+  opportunities: 'opportunities'
+}), validate(schemas.importData), importData);
+router.post('/validate', validate(schemas.validateImportData), validateImportData);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
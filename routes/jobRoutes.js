@@ -0,0 +1,14 @@
+const express = require('express');
+const { purgeTrash, snapshotPipeline } = require('../controllers/jobController');
+
+const { requireCronSecret } = require('../middlewares/cronMiddleware');
+
+const router = express.Router();
+
+// Scheduled jobs, run by the cron in vercel.json
+router.use(requireCronSecret);
+
+router.get('/purge-trash', purgeTrash);
+router.get('/snapshot-pipeline', snapshotPipeline);
+
+module.exports = router;
@@ -8,10 +8,19 @@ const {
   getHotLeads,
   convertLead,
   getLeadStats,
-  getConversionRate
+  getConversionRate,
+  getLeadShares,
+  shareLead,
+  unshareLead,
+  getLeadHistory,
+  mergeLeads
 } = require('../controllers/leadController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validateOwner } = require('../middlewares/ownershipMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/leadValidators');
 
 const router = express.Router();
 
@@ -19,20 +28,33 @@ const router = express.Router();
 router.use(protect);
 
 router.route('/')
-  .get(getLeads)
-  .post(createLead);
+  .get(checkPermission('leads', 'read'), validate(schemas.getLeads), getLeads)
+  .post(checkPermission('leads', 'create'), allowFields('leads', 'create'), validate(schemas.createLead), validateOwner, createLead);
 
 router.route('/:id')
-  .get(getLead)
-  .put(updateLead)
-  .delete(deleteLead);
+  .get(checkPermission('leads', 'read'), validate(schemas.getLead), getLead)
+  .put(checkPermission('leads', 'update'), allowFields('leads', 'update'), validate(schemas.updateLead), validateOwner, updateLead)
+  .delete(checkPermission('leads', 'delete'), validate(schemas.deleteLead), deleteLead);
+
+// Change history
+router.get('/:id/history', checkPermission('leads', 'read'), validate(schemas.getLeadHistory), getLeadHistory);
+
+// Sharing with individual users
+router.route('/:id/share')
+  .get(checkPermission('leads', 'read'), validate(schemas.getLeadShares), getLeadShares)
+  .post(checkPermission('leads', 'update'), validate(schemas.shareLead), shareLead);
+
+router.delete('/:id/share/:userId', checkPermission('leads', 'update'), validate(schemas.unshareLead), unshareLead);
 
 // Lead conversion
-router.post('/:id/convert', convertLead);
+router.post('/:id/convert', checkPermission('leads', 'update'), checkPermission('contacts', 'create'), validate(schemas.convertLead), convertLead);
 
 // Special lead routes
-router.get('/hot/list', getHotLeads);
-router.get('/analytics/stats', getLeadStats);
-router.get('/analytics/conversion', getConversionRate);
+router.get('/hot/list', checkPermission('leads', 'read'), getHotLeads);
+router.get('/analytics/stats', checkPermission('leads', 'read'), getLeadStats);
+router.get('/analytics/conversion', checkPermission('leads', 'read'), getConversionRate);
+
+// Merge duplicates into one record
+router.post('/merge', checkPermission('leads', 'update'), checkPermission('leads', 'delete'), validate(schemas.mergeLeads), mergeLeads);
 
 module.exports = router;
\ No newline at end of file
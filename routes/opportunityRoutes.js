@@ -7,10 +7,22 @@ const {
   deleteOpportunity,
   getOpportunitiesByCompany,
   getPipelineSummary,
-  getForecastData
+  getPipelineVelocity,
+  getWinLossReport,
+  getForecastData,
+  getPipelineSnapshots,
+  comparePipelineSnapshots,
+  getOpportunityShares,
+  shareOpportunity,
+  unshareOpportunity,
+  getOpportunityHistory
 } = require('../controllers/opportunityController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validateOwner } = require('../middlewares/ownershipMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/opportunityValidators');
 
 const router = express.Router();
 
@@ -18,19 +30,35 @@ const router = express.Router();
 router.use(protect);
 
 router.route('/')
-  .get(getOpportunities)
-  .post(createOpportunity);
+  .get(checkPermission('opportunities', 'read'), validate(schemas.getOpportunities), getOpportunities)
+  .post(checkPermission('opportunities', 'create'), allowFields('opportunities', 'create'), validate(schemas.createOpportunity), validateOwner, createOpportunity);
 
 router.route('/:id')
-  .get(getOpportunity)
-  .put(updateOpportunity)
-  .delete(deleteOpportunity);
+  .get(checkPermission('opportunities', 'read'), validate(schemas.getOpportunity), getOpportunity)
+  .put(checkPermission('opportunities', 'update'), allowFields('opportunities', 'update'), validate(schemas.updateOpportunity), validateOwner, updateOpportunity)
+  .delete(checkPermission('opportunities', 'delete'), validate(schemas.deleteOpportunity), deleteOpportunity);
+
+// Change history
+router.get('/:id/history', checkPermission('opportunities', 'read'), validate(schemas.getOpportunityHistory), getOpportunityHistory);
+
+// Sharing with individual users
+router.route('/:id/share')
+  .get(checkPermission('opportunities', 'read'), validate(schemas.getOpportunityShares), getOpportunityShares)
+  .post(checkPermission('opportunities', 'update'), validate(schemas.shareOpportunity), shareOpportunity);
+
+router.delete('/:id/share/:userId', checkPermission('opportunities', 'update'), validate(schemas.unshareOpportunity), unshareOpportunity);
 
 // Get opportunities by company
-router.get('/company/:companyId', getOpportunitiesByCompany);
+router.get('/company/:companyId', checkPermission('opportunities', 'read'), validate(schemas.getOpportunitiesByCompany), getOpportunitiesByCompany);
 
 // Pipeline and forecast data
-router.get('/analytics/pipeline', getPipelineSummary);
-router.get('/analytics/forecast', getForecastData);
+router.get('/analytics/pipeline', checkPermission('opportunities', 'read'), validate(schemas.getPipelineSummary), getPipelineSummary);
+router.get('/analytics/velocity', checkPermission('opportunities', 'read'), validate(schemas.getPipelineVelocity), getPipelineVelocity);
+router.get('/analytics/win-loss', checkPermission('opportunities', 'read'), validate(schemas.getWinLossReport), getWinLossReport);
+router.get('/analytics/forecast', checkPermission('opportunities', 'read'), validate(schemas.getForecastData), getForecastData);
+
+// Pipeline snapshots taken by the daily job
+router.get('/analytics/snapshots', checkPermission('opportunities', 'read'), validate(schemas.getPipelineSnapshots), getPipelineSnapshots);
+router.get('/analytics/snapshots/compare', checkPermission('opportunities', 'read'), validate(schemas.comparePipelineSnapshots), comparePipelineSnapshots);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  switchOrganization,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/organizationController');
+
+const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/organizationValidators');
+
+const router = express.Router();
+
+// All routes require authentication; membership is checked per organization
+router.use(protect);
+
+router.route('/')
+  .get(getOrganizations)
+  .post(validate(schemas.createOrganization), createOrganization);
+
+router.route('/:id')
+  .get(validate(schemas.getOrganization), getOrganization)
+  .put(validate(schemas.updateOrganization), updateOrganization);
+
+// Make this the workspace used when no X-Organization-Id header is sent
+router.post('/:id/switch', validate(schemas.switchOrganization), switchOrganization);
+
+// Members
+router.post('/:id/members', validate(schemas.addMember), addMember);
+
+router.route('/:id/members/:userId')
+  .put(validate(schemas.updateMember), updateMember)
+  .delete(validate(schemas.removeMember), removeMember);
+
+module.exports = router;
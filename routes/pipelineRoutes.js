@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+} = require('../controllers/pipelineController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/pipelineValidators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(checkPermission('pipelines', 'read'), getPipelines)
+  .post(checkPermission('pipelines', 'create'), allowFields('pipelines', 'create'), validate(schemas.createPipeline), createPipeline);
+
+router.route('/:id')
+  .get(checkPermission('pipelines', 'read'), validate(schemas.getPipeline), getPipeline)
+  .put(checkPermission('pipelines', 'update'), allowFields('pipelines', 'update'), validate(schemas.updatePipeline), updatePipeline)
+  .delete(checkPermission('pipelines', 'delete'), validate(schemas.deletePipeline), deletePipeline);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getQuotas,
+  getQuota,
+  createQuota,
+  updateQuota,
+  deleteQuota
+} = require('../controllers/quotaController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/quotaValidators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(checkPermission('quotas', 'read'), validate(schemas.getQuotas), getQuotas)
+  .post(checkPermission('quotas', 'create'), allowFields('quotas', 'create'), validate(schemas.createQuota), createQuota);
+
+router.route('/:id')
+  .get(checkPermission('quotas', 'read'), validate(schemas.getQuota), getQuota)
+  .put(checkPermission('quotas', 'update'), allowFields('quotas', 'update'), validate(schemas.updateQuota), updateQuota)
+  .delete(checkPermission('quotas', 'delete'), validate(schemas.deleteQuota), deleteQuota);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getRoles,
+  getPermissionCatalog,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/roleValidators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(checkPermission('roles', 'read'), getRoles)
+  .post(checkPermission('roles', 'create'), validate(schemas.createRole), createRole);
+
+// Resources and actions a role can be granted
+router.get('/permissions', checkPermission('roles', 'read'), getPermissionCatalog);
+
+router.route('/:id')
+  .get(checkPermission('roles', 'read'), validate(schemas.getRole), getRole)
+  .put(checkPermission('roles', 'update'), validate(schemas.updateRole), updateRole)
+  .delete(checkPermission('roles', 'delete'), validate(schemas.deleteRole), deleteRole);
+
+module.exports = router;
@@ -2,10 +2,15 @@ const express = require('express');
 const {
   getSettings,
   updateSettings,
-  createSettings
+  createSettings,
+  getSecurityPolicy,
+  updateSecurityPolicy
 } = require('../controllers/settingsController');
 
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/settingsValidators');
 
 const router = express.Router();
 
@@ -14,7 +19,12 @@ router.use(protect);
 
 router.route('/')
   .get(getSettings)
-  .post(createSettings)
-  .put(updateSettings);
+  .post(allowFields('settings', 'create'), validate(schemas.createSettings), createSettings)
+  .put(allowFields('settings', 'update'), validate(schemas.updateSettings), updateSettings);
+
+// Workspace security policy
+router.route('/security')
+  .get(checkPermission('security', 'read'), getSecurityPolicy)
+  .put(checkPermission('security', 'update'), validate(schemas.updateSecurityPolicy), updateSecurityPolicy);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam
+} = require('../controllers/teamController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/teamValidators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(checkPermission('teams', 'read'), validate(schemas.getTeams), getTeams)
+  .post(checkPermission('teams', 'create'), validate(schemas.createTeam), createTeam);
+
+router.route('/:id')
+  .get(checkPermission('teams', 'read'), validate(schemas.getTeam), getTeam)
+  .put(checkPermission('teams', 'update'), validate(schemas.updateTeam), updateTeam)
+  .delete(checkPermission('teams', 'delete'), validate(schemas.deleteTeam), deleteTeam);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreRecord,
+  purgeRecord
+} = require('../controllers/trashController');
+
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/trashValidators');
+
+const router = express.Router();
+
+// All routes require authentication; listing and restoring check the
+// record type's permissions in the controller
+router.use(protect);
+
+router.get('/', validate(schemas.getTrash), getTrash);
+
+router.post('/:type/:id/restore', validate(schemas.restoreRecord), restoreRecord);
+
+router.delete('/:type/:id', checkPermission('trash', 'delete'), validate(schemas.purgeRecord), purgeRecord);
+
+module.exports = router;
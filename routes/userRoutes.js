@@ -7,32 +7,72 @@ const {
   deleteUser,
   getUserProfile,
   updateUserProfile,
-  changePassword
+  changePassword,
+  getUserSessions,
+  deleteUserSession,
+  deleteUserSessions,
+  unlockUser,
+  reassignUserRecords
 } = require('../controllers/userController');
 
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+
+const {
+  protect,
+  checkPermission,
+  checkSelfOrPermission
+} = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/userValidators');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-// Admin only routes
-router.route('/')
-  .get(authorize('admin'), getUsers)
-  .post(authorize('admin'), createUser);
-
-router.route('/:id')
-  .get(getUser)
-  .put(updateUser)
-  .delete(authorize('admin'), deleteUser);
-
 // Profile routes (current user)
 router.route('/profile')
   .get(getUserProfile)
-  .put(updateUserProfile);
+  .put(validate(schemas.updateUserProfile), updateUserProfile);
 
 // Password change
-router.put('/change-password', changePassword);
+router.put('/change-password', validate(schemas.changePassword), changePassword);
+
+// User administration
+// Users are usually invited (see below); admins may also create them with a password
+router.route('/')
+  .get(checkPermission('users', 'read'), validate(schemas.getUsers), getUsers)
+  .post(checkPermission('users', 'create'), validate(schemas.createUser), createUser);
+
+// Invitations
+router.route('/invitations')
+  .get(checkPermission('users', 'read'), validate(schemas.getInvitations), getInvitations)
+  .post(checkPermission('users', 'create'), validate(schemas.createInvitation), createInvitation);
+
+router.delete('/invitations/:id', checkPermission('users', 'create'), validate(schemas.revokeInvitation), revokeInvitation);
+router.post('/invitations/:id/resend', checkPermission('users', 'create'), validate(schemas.resendInvitation), resendInvitation);
+
+router.route('/:id')
+  .get(checkPermission('users', 'read'), validate(schemas.getUser), getUser)
+  .put(checkSelfOrPermission('users', 'update'), validate(schemas.updateUser), updateUser)
+  .delete(checkPermission('users', 'delete'), validate(schemas.deleteUser), deleteUser);
+
+// Session management
+router.route('/:id/sessions')
+  .get(checkPermission('users', 'read'), validate(schemas.getUserSessions), getUserSessions)
+  .delete(checkPermission('users', 'update'), validate(schemas.deleteUserSessions), deleteUserSessions);
+
+router.delete('/:id/sessions/:sessionId', checkPermission('users', 'update'), validate(schemas.deleteUserSession), deleteUserSession);
+
+// Lift a login lockout
+router.post('/:id/unlock', checkPermission('users', 'update'), validate(schemas.unlockUser), unlockUser);
+
+// Hand a departing user's records to someone else
+router.post('/:id/reassign', checkPermission('users', 'update'), validate(schemas.reassignUserRecords), reassignUserRecords);
 
 module.exports = router;
\ No newline at end of file
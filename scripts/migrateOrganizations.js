@@ -0,0 +1,83 @@
+// Moves data created before organizations existed into workspaces.
+//
+// Every user gets a personal workspace (made active if they have none), and
+// each CRM record, invitation and API key without an organization is stamped
+// with the personal workspace of the user who created it. Safe to run more
+// than once; records that already have an organization are left alone.
+//
+// Usage: npm run migrate:organizations
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const ApiKey = require('../models/ApiKey');
+const Activity = require('../models/Activity');
+const Company = require('../models/Company');
+const Competitor = require('../models/Competitor');
+const Contact = require('../models/Contact');
+const Expense = require('../models/Expense');
+const Lead = require('../models/Lead');
+const Opportunity = require('../models/Opportunity');
+
+const CRM_MODELS = [Activity, Company, Competitor, Contact, Expense, Lead, Opportunity];
+
+const unassigned = { organization: { $exists: false } };
+
+const migrate = async () => {
+  await connectDB();
+
+  const counts = { users: 0, workspaces: 0 };
+
+  const users = await User.find().select('name activeOrganization');
+
+  for (const user of users) {
+    const hadWorkspace = await Organization.exists({ createdBy: user._id, isPersonal: true });
+    const organization = await Organization.ensurePersonal(user);
+
+    if (!hadWorkspace) counts.workspaces += 1;
+
+    if (!user.activeOrganization) {
+      await User.updateOne({ _id: user._id }, { activeOrganization: organization._id });
+    }
+
+    // organization is immutable on the models, so write through the driver
+    for (const Model of CRM_MODELS) {
+      const result = await Model.collection.updateMany(
+        { ...unassigned, createdBy: user._id },
+        { $set: { organization: organization._id } }
+      );
+      counts[Model.modelName] = (counts[Model.modelName] || 0) + result.modifiedCount;
+    }
+
+    await Invitation.updateMany(
+      { ...unassigned, invitedBy: user._id },
+      { organization: organization._id }
+    );
+
+    await ApiKey.updateMany(
+      { ...unassigned, user: user._id },
+      { organization: organization._id }
+    );
+
+    counts.users += 1;
+  }
+
+  console.log('Organization migration complete:', counts);
+
+  // Records whose creator no longer exists cannot be placed automatically
+  for (const Model of CRM_MODELS) {
+    const orphans = await Model.collection.countDocuments(unassigned);
+    if (orphans > 0) {
+      console.warn(`${orphans} ${Model.modelName} record(s) have no organization and no existing creator`);
+    }
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Organization migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
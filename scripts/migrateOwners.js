@@ -0,0 +1,92 @@
+// Gives every lead, opportunity, company and contact an owner user.
+//
+// Leads used a free-text assigned_to and opportunities a free-text owner,
+// both defaulting to "Sales Team". Where the text matches the name of a
+// member of the record's organization that user becomes the owner; otherwise
+// the record's creator does. Run after migrate:organizations. Safe to run
+// more than once.
+//
+// Usage: npm run migrate:owners
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
+const Lead = require('../models/Lead');
+const Opportunity = require('../models/Opportunity');
+
+// Records whose owner is missing or still a string
+const withoutOwner = { owner: { $not: { $type: 'objectId' } } };
+
+// Map lowercased member names to user IDs, per organization
+const memberNamesCache = new Map();
+
+const getMemberNames = async (organizationId) => {
+  const key = String(organizationId);
+  if (memberNamesCache.has(key)) return memberNamesCache.get(key);
+
+  const organization = await Organization.findById(organizationId).select('members.user');
+  const userIds = organization ? organization.members.map(member => member.user) : [];
+  const users = await User.find({ _id: { $in: userIds } }).select('name');
+
+  const names = new Map(users.map(user => [user.name.trim().toLowerCase(), user._id]));
+  memberNamesCache.set(key, names);
+  return names;
+};
+
+// Move a free-text owner field onto owner, matching member names
+const migrateTextOwners = async (Model, textField) => {
+  let migrated = 0;
+  const cursor = Model.collection.find(withoutOwner);
+
+  for await (const doc of cursor) {
+    const names = await getMemberNames(doc.organization);
+    const text = typeof doc[textField] === 'string' ? doc[textField].trim().toLowerCase() : '';
+    const owner = names.get(text) || doc.createdBy;
+
+    const update = { $set: { owner } };
+    if (textField !== 'owner') update.$unset = { [textField]: '' };
+
+    await Model.collection.updateOne({ _id: doc._id }, update);
+    migrated += 1;
+  }
+
+  return migrated;
+};
+
+// Records that never had an owner go to their creator
+const migrateMissingOwners = async (Model) => {
+  const result = await Model.collection.updateMany(
+    withoutOwner,
+    [{ $set: { owner: '$createdBy' } }]
+  );
+  return result.modifiedCount;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const counts = {
+    leads: await migrateTextOwners(Lead, 'assigned_to'),
+    opportunities: await migrateTextOwners(Opportunity, 'owner'),
+    companies: await migrateMissingOwners(Company),
+    contacts: await migrateMissingOwners(Contact)
+  };
+
+  // Leads that already had an owner may still carry the old field
+  await Lead.collection.updateMany(
+    { assigned_to: { $exists: true } },
+    { $unset: { assigned_to: '' } }
+  );
+
+  console.log('Owner migration complete:', counts);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Owner migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
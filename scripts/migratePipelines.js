@@ -0,0 +1,82 @@
+// Moves opportunities onto their workspace's default pipeline.
+//
+// Opportunities used to carry their stage in a fixed status enum (with the
+// old stage field filling in for not_responding and remarks). Each one
+// without a pipeline gets its workspace's default pipeline, the matching
+// stage (see legacyStage in config/pipelines.js) and the stage's category as
+// status. Probabilities are left as they are. Opportunities without a stage
+// history get one entry for their current stage, dated when they were
+// created, and closed ones without a close date take their last update as
+// one. Run after migrate:organizations. Safe to run more than once.
+//
+// Usage: npm run migrate:pipelines
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const Pipeline = require('../models/Pipeline');
+const Opportunity = require('../models/Opportunity');
+const { legacyStage } = require('../config/pipelines');
+
+const withoutPipeline = { pipeline: { $exists: false } };
+
+const migrate = async () => {
+  await connectDB();
+
+  let migrated = 0;
+  const pipelines = new Map();
+
+  // Through the driver so trashed opportunities are migrated too
+  const cursor = Opportunity.collection.find(withoutPipeline);
+
+  for await (const doc of cursor) {
+    const key = String(doc.organization);
+    if (!pipelines.has(key)) {
+      pipelines.set(key, await Pipeline.getDefault(doc.organization));
+    }
+
+    const pipeline = pipelines.get(key);
+    const stage = pipeline.getStage(legacyStage(doc.status, doc.stage)) || pipeline.stages[0];
+
+    await Opportunity.collection.updateOne(
+      { _id: doc._id },
+      { $set: { pipeline: pipeline._id, stage: stage.key, status: stage.category } }
+    );
+    migrated += 1;
+  }
+
+  const history = await Opportunity.collection.updateMany(
+    { pipeline: { $exists: true }, 'stageHistory.0': { $exists: false } },
+    [{
+      $set: {
+        stageHistory: [{
+          pipeline: '$pipeline',
+          stage: '$stage',
+          status: '$status',
+          amount: '$amount',
+          probability: '$probability',
+          changedBy: '$createdBy',
+          changedAt: '$createdAt'
+        }]
+      }
+    }]
+  );
+
+  const closed = await Opportunity.collection.updateMany(
+    { status: { $in: ['won', 'lost'] }, closedAt: { $exists: false } },
+    [{ $set: { closedAt: '$updatedAt' } }]
+  );
+
+  console.log('Pipeline migration complete:', {
+    opportunities: migrated,
+    workspaces: pipelines.size,
+    stageHistories: history.modifiedCount,
+    closeDates: closed.modifiedCount
+  });
+};
+
+migrate()
+  .catch(error => {
+    console.error('Pipeline migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
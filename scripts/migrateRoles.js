@@ -0,0 +1,81 @@
+// Moves roles from users to organization memberships.
+//
+// Every membership of a user gets the role the user held before roles became
+// per organization (the old field is then removed), and every custom role without an
+// organization is copied into each organization that has a member holding it,
+// then removed (roles nobody holds are dropped). The old unique index on
+// role names is replaced by one per organization. Safe to run more than
+// once; users and roles already migrated are left alone.
+//
+// Usage: npm run migrate:roles (run after `migrate:organizations`)
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Role = require('../models/Role');
+const { DEFAULT_ACCESS_ROLE } = require('../config/permissions');
+
+const migrate = async () => {
+  await connectDB();
+
+  const counts = { memberships: 0, roles: 0, copies: 0 };
+
+  // User.role is gone from the schema, so read and clear it through the driver
+  const users = await User.collection.find({ role: { $exists: true } }, { projection: { role: 1 } }).toArray();
+
+  for (const user of users) {
+    const result = await Organization.collection.updateMany(
+      { 'members.user': user._id },
+      { $set: { 'members.$[member].accessRole': user.role || DEFAULT_ACCESS_ROLE } },
+      { arrayFilters: [{ 'member.user': user._id }] }
+    );
+    counts.memberships += result.modifiedCount;
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { role: '' } });
+  }
+
+  // Role names used to be unique across all organizations; swap that index
+  // for the per-organization one before copying roles
+  await Role.syncIndexes();
+
+  // Custom roles created before they belonged to an organization
+  const globalRoles = await Role.find({ organization: null, isSystem: false });
+
+  for (const role of globalRoles) {
+    const holders = await Organization.find({ members: { $elemMatch: { accessRole: role.name } } }).select('_id');
+
+    for (const holder of holders) {
+      await Role.collection.updateOne(
+        { name: role.name, organization: holder._id },
+        {
+          $setOnInsert: {
+            name: role.name,
+            label: role.label,
+            description: role.description,
+            permissions: role.toObject().permissions,
+            isSystem: false,
+            organization: holder._id,
+            createdBy: role.createdBy,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      counts.copies += 1;
+    }
+
+    await role.deleteOne();
+    counts.roles += 1;
+  }
+
+  console.log('Role migration complete:', counts);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Role migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -19,24 +19,40 @@ if (missingVars.length > 0) {
   // Don't exit in serverless, but log the error
 }
 
+// Refuse to start in production without a mail transport that delivers
+if (process.env.NODE_ENV === 'production') {
+  require('./services/mailService').getTransport();
+}
+
 // DB
 const connectDB = require('./db');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const teamRoutes = require('./routes/teamRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const companyRoutes = require('./routes/companyRoutes');
 const opportunityRoutes = require('./routes/opportunityRoutes');
+const pipelineRoutes = require('./routes/pipelineRoutes');
+const quotaRoutes = require('./routes/quotaRoutes');
 const activityRoutes = require('./routes/activityRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const leadRoutes = require('./routes/leadRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const competitorRoutes = require('./routes/competitorRoutes');
 const importRoutes = require('./routes/importRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const duplicateRoutes = require('./routes/duplicateRoutes');
 
 // Error middleware
 const { errorHandler, notFound } = require('./middlewares/errorMiddleware');
+const requestId = require('./middlewares/requestId');
+const { ForbiddenError, TooManyRequestsError } = require('./utils/errors');
 
 // Connect DB (with error handling for serverless)
 try {
@@ -47,6 +63,12 @@ try {
 
 const app = express();
 
+// Vercel sits in front of the app; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
+/* ---------------- REQUEST ID ---------------- */
+app.use(requestId);
+
 /* ---------------- SECURITY ---------------- */
 app.use(helmet());
 
@@ -61,11 +83,13 @@ app.use(
       if (!origin || allowedOrigins.includes(origin)) {
         callback(null, true);
       } else {
-        callback(new Error('CORS not allowed'));
+        callback(new ForbiddenError('CORS not allowed', { code: 'CORS_NOT_ALLOWED' }));
       }
     },
+    credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Organization-Id', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id']
   })
 );
 
@@ -87,7 +111,8 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: process.env.NODE_ENV === 'development' ? 500 : 100,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: (req, res, next) => next(new TooManyRequestsError('Too many requests, please try again later'))
 });
 app.use(limiter);
 
@@ -103,15 +128,24 @@ app.get('/api/health', (req, res) => {
 /* ---------------- ROUTES ---------------- */
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/teams', teamRoutes);
 app.use('/api/contacts', contactRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/opportunities', opportunityRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/quotas', quotaRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/competitors', competitorRoutes);
 app.use('/api/import', importRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/jobs', jobRoutes);
 
 /* ---------------- ERRORS ---------------- */
 app.use(notFound);
@@ -0,0 +1,154 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'password', 'tokenHash'];
+
+/**
+ * Take a plain copy of a document to diff against later. ObjectIds and
+ * populated references are reduced to their ID.
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} Plain object
+ */
+const snapshot = (doc) => JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, virtuals: false })));
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change ({} for creates)
+ * @param {Object} after - Snapshot after the change ({} for deletes)
+ * @returns {Array} [{ field, before, after }]
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+// Who made the request and from where
+const requestContext = (req) => ({
+  organization: req.organization ? req.organization._id : null,
+  actor: req.user ? req.user._id : null,
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  requestId: req.id
+});
+
+// Auditing must never fail the request it describes
+const save = async (entries) => {
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+};
+
+// Actions after which the record is gone from normal use
+const REMOVAL_ACTIONS = ['delete', 'purge'];
+
+/**
+ * Record a create, update, delete, restore, purge or merge of a CRM record,
+ * role or organization
+ * @param {Object} req - Express request
+ * @param {string} action - create, update, delete, restore, purge or merge
+ * @param {string} entityType - Resource name, e.g. contacts, or organizations
+ * @param {Object} doc - The record (after the change; as it was for deletes)
+ * @param {Object} before - Snapshot taken before an update, restore or merge
+ * @param {Object} metadata - Extra details, e.g. the records merged
+ */
+const recordChange = async (req, action, entityType, doc, before = {}, metadata) => {
+  const removed = REMOVAL_ACTIONS.includes(action);
+  const changes = removed ? diff(snapshot(doc), {}) : diff(before, snapshot(doc));
+
+  // Saving an update that changed nothing is not worth a log entry
+  if (action === 'update' && changes.length === 0) return;
+
+  const context = requestContext(req);
+
+  await save([{
+    ...context,
+    // Changes to an organization belong to its own log, whichever one the request works in
+    organization: entityType === 'organizations' ? doc._id : context.organization,
+    action,
+    entityType,
+    entityId: doc._id,
+    changes,
+    metadata
+  }]);
+};
+
+/**
+ * Record the creation of many records at once (imports)
+ * @param {Object} req - Express request
+ * @param {string} entityType - Resource name, e.g. contacts
+ * @param {Array} docs - Created records
+ */
+const recordCreates = async (req, entityType, docs) => {
+  if (docs.length === 0) return;
+
+  const context = requestContext(req);
+  await save(docs.map(doc => ({
+    ...context,
+    action: 'create',
+    entityType,
+    entityId: doc._id,
+    changes: diff({}, snapshot(doc))
+  })));
+};
+
+/**
+ * Record the same field changes on many records (bulk updates and deletes)
+ * @param {Object} req - Express request
+ * @param {string} entityType - Resource name, e.g. contacts
+ * @param {Array} ids - IDs of the changed records
+ * @param {Array} changes - [{ field, before, after }]
+ * @param {string} action - update (default) or delete
+ */
+const recordBulkUpdate = async (req, entityType, ids, changes, action = 'update') => {
+  if (ids.length === 0) return;
+
+  const context = requestContext(req);
+  await save(ids.map(id => ({
+    ...context,
+    action,
+    entityType,
+    entityId: id,
+    changes
+  })));
+};
+
+/**
+ * Record a sign-in or account event
+ * @param {Object} req - Express request
+ * @param {string} action - login, login_failed, password_change, role_change, or create for
+ *   accounts set up by an admin
+ * @param {Object|null} user - User the event is about, null if unknown
+ * @param {Object} options - { actor (defaults to the user), organization (defaults to the current
+ *   one, then the user's active one), changes, metadata }
+ */
+const recordAuthEvent = async (req, action, user, options = {}) => {
+  const actor = options.actor !== undefined ? options.actor : user;
+  const organization = options.organization ||
+    (req.organization ? req.organization._id : (user && user.activeOrganization) || null);
+
+  await save([{
+    ...requestContext(req),
+    organization,
+    actor: actor ? actor._id : null,
+    action,
+    entityType: 'users',
+    entityId: user ? user._id : null,
+    changes: options.changes || [],
+    metadata: options.metadata
+  }]);
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordChange,
+  recordCreates,
+  recordBulkUpdate,
+  recordAuthEvent
+};
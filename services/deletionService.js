@@ -0,0 +1,265 @@
+const { ValidationError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { getCascadeRules } = require('../config/cascadeRules');
+const { TRASH_MODELS } = require('./trashService');
+const { recordChange, recordBulkUpdate } = require('./auditService');
+const { canEdit } = require('./visibilityService');
+
+// Resources whose records only some users may change (see visibilityService)
+const VISIBILITY_RESOURCES = ['contacts', 'companies', 'opportunities', 'leads'];
+
+// Path of the field a rule matches, e.g. attendees.contact
+const rulePath = (rule) => (rule.arrayOf ? `${rule.arrayOf}.${rule.field}` : rule.field);
+
+/**
+ * Read the cascade options of a delete request: ?cascade[<resource>]=<behaviour>
+ * overrides the default rules and ?reassignTo=<id> names the record to move
+ * related records to
+ * @param {Object} req - Express request
+ * @returns {Object} { cascade, reassignTo }
+ */
+const getCascadeOptions = (req) => ({
+  cascade: req.query.cascade,
+  reassignTo: req.query.reassignTo
+});
+
+/**
+ * Check the cascade options of a request against the rules of a resource
+ * @param {string} resource - Resource being deleted
+ * @param {Object} record - Record being deleted
+ * @param {Object} options - { cascade: { [relatedResource]: behaviour }, reassignTo }
+ * @returns {Object} Behaviour to apply per rule index
+ */
+const resolveBehaviours = async (resource, record, options) => {
+  const rules = getCascadeRules(resource);
+  const overrides = options.cascade || {};
+  const details = [];
+
+  Object.keys(overrides)
+    .filter(key => !rules.some(rule => rule.resource === key))
+    .forEach(key => details.push({
+      field: `cascade[${key}]`,
+      location: 'query',
+      message: `is not related to ${resource}`
+    }));
+
+  const behaviours = rules.map(rule => {
+    const behaviour = overrides[rule.resource] || rule.behaviour;
+
+    if (!rule.allowed.includes(behaviour)) {
+      details.push({
+        field: `cascade[${rule.resource}]`,
+        location: 'query',
+        message: `must be one of: ${rule.allowed.join(', ')}`
+      });
+    }
+
+    return behaviour;
+  });
+
+  if (behaviours.includes('reassign')) {
+    const { reassignTo } = options;
+    const target = reassignTo && reassignTo !== record._id.toString() &&
+      await TRASH_MODELS[resource].exists({ _id: reassignTo, organization: record.organization });
+
+    if (!target) {
+      details.push({
+        field: 'reassignTo',
+        location: 'query',
+        message: `must be another record of ${resource} in this organization`
+      });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError('Invalid cascade options', details);
+  }
+
+  return behaviours;
+};
+
+/**
+ * Work out what deleting a company or contact does to its related records,
+ * without changing anything
+ * @param {string} resource - Resource being deleted, e.g. companies
+ * @param {Object} record - Record being deleted
+ * @param {Object} options - { cascade: { [relatedResource]: behaviour }, reassignTo }
+ * @returns {Object} { resource, id, blocked, reassignTo, effects: [{ resource, field, behaviour, count, ids }] }
+ */
+const planDeletion = async (resource, record, options = {}) => {
+  const rules = getCascadeRules(resource);
+  const behaviours = await resolveBehaviours(resource, record, options);
+
+  const effects = [];
+
+  for (const [index, rule] of rules.entries()) {
+    const ids = await TRASH_MODELS[rule.resource]
+      .find({ organization: record.organization, [rulePath(rule)]: record._id })
+      .distinct('_id');
+
+    effects.push({
+      resource: rule.resource,
+      field: rulePath(rule),
+      behaviour: behaviours[index],
+      count: ids.length,
+      ids
+    });
+  }
+
+  return {
+    resource,
+    id: record._id,
+    blocked: effects.some(effect => effect.behaviour === 'block' && effect.count > 0),
+    reassignTo: behaviours.includes('reassign') ? options.reassignTo : null,
+    effects
+  };
+};
+
+/**
+ * Check that the user may change every record a deletion touches: their role
+ * must allow updating (or deleting) each related resource, and related
+ * records and the reassignment target must be ones they can edit
+ * @param {Object} req - Express request
+ * @param {Object} plan - Deletion plan (see planDeletion)
+ */
+const checkCascadeAccess = async (req, plan) => {
+  const details = [];
+
+  for (const effect of plan.effects) {
+    if (effect.count === 0 || effect.behaviour === 'block') continue;
+
+    const action = effect.behaviour === 'delete' ? 'delete' : 'update';
+    if (!(await hasPermission(req, effect.resource, action))) {
+      throw new ForbiddenError(`User role ${req.role} is not allowed to ${action} ${effect.resource}`);
+    }
+
+    if (!VISIBILITY_RESOURCES.includes(effect.resource)) continue;
+
+    const records = await TRASH_MODELS[effect.resource].find({ _id: { $in: effect.ids } });
+    let locked = 0;
+
+    for (const related of records) {
+      if (!(await canEdit(req, effect.resource, related))) locked += 1;
+    }
+
+    if (locked > 0) {
+      details.push({
+        field: `cascade[${effect.resource}]`,
+        location: 'query',
+        message: `${locked} related ${effect.resource} cannot be changed by you`
+      });
+    }
+  }
+
+  if (plan.reassignTo && VISIBILITY_RESOURCES.includes(plan.resource)) {
+    const target = await TRASH_MODELS[plan.resource].findById(plan.reassignTo);
+
+    if (!target || !(await canEdit(req, plan.resource, target))) {
+      details.push({
+        field: 'reassignTo',
+        location: 'query',
+        message: `must be a record of ${plan.resource} you can edit`
+      });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ForbiddenError('Related records you cannot change stand in the way of this deletion', {
+      code: 'CASCADE_FORBIDDEN',
+      details
+    });
+  }
+};
+
+// Build the updates applying one effect to the related records, as
+// [update, options] pairs
+const buildUpdates = (rule, effect, recordId, reassignTo, userId) => {
+  switch (effect.behaviour) {
+    case 'unlink':
+      if (rule.arrayOf) return [[{ $pull: { [rule.arrayOf]: { [rule.field]: recordId } } }]];
+      return [[rule.array ? { $pull: { [rule.field]: recordId } } : { [rule.field]: null }]];
+    case 'reassign':
+      if (rule.arrayOf) {
+        return [[
+          { $set: { [`${rule.arrayOf}.$[item].${rule.field}`]: reassignTo } },
+          { arrayFilters: [{ [`item.${rule.field}`]: recordId }] }
+        ]];
+      }
+      // Array fields get the new ID before losing the old one
+      return rule.array
+        ? [[{ $addToSet: { [rule.field]: reassignTo } }], [{ $pull: { [rule.field]: recordId } }]]
+        : [[{ [rule.field]: reassignTo }]];
+    case 'delete':
+      return [[{ deletedAt: new Date(), deletedBy: userId }]];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Delete a company or contact, applying the cascade rules to its related
+ * records first. The record and any deleted related records go to the trash.
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource being deleted, e.g. companies
+ * @param {Object} record - Record being deleted
+ * @param {Object} options - { cascade: { [relatedResource]: behaviour }, reassignTo }
+ * @returns {Object} The applied plan (see planDeletion)
+ */
+const deleteWithCascade = async (req, resource, record, options = {}) => {
+  const plan = await planDeletion(resource, record, options);
+
+  if (plan.blocked) {
+    throw new ConflictError('Cannot delete: related records block the deletion', {
+      code: 'DELETE_BLOCKED',
+      details: plan.effects
+        .filter(effect => effect.behaviour === 'block' && effect.count > 0)
+        .map(effect => ({
+          field: `cascade[${effect.resource}]`,
+          message: `${effect.count} related ${effect.resource} must be unlinked, reassigned or deleted first`
+        })),
+      meta: { plan }
+    });
+  }
+
+  await checkCascadeAccess(req, plan);
+
+  const rules = getCascadeRules(resource);
+
+  for (const [index, effect] of plan.effects.entries()) {
+    if (effect.count === 0) continue;
+
+    const updates = buildUpdates(rules[index], effect, record._id, plan.reassignTo, req.user._id);
+
+    for (const [update, updateOptions] of updates) {
+      await TRASH_MODELS[effect.resource].updateMany({ _id: { $in: effect.ids } }, update, updateOptions);
+    }
+
+    if (effect.behaviour === 'reassign' && rules[index].inverse) {
+      await TRASH_MODELS[resource].updateOne(
+        { _id: plan.reassignTo },
+        { $addToSet: { [rules[index].inverse]: { $each: effect.ids } } }
+      );
+    }
+
+    if (effect.behaviour === 'delete') {
+      await recordBulkUpdate(req, effect.resource, effect.ids, [
+        { field: 'deletedAt', before: null, after: new Date() }
+      ], 'delete');
+    } else if (updates.length > 0) {
+      await recordBulkUpdate(req, effect.resource, effect.ids, [
+        { field: effect.field, before: record._id, after: effect.behaviour === 'reassign' ? plan.reassignTo : null }
+      ]);
+    }
+  }
+
+  await record.softDelete(req.user._id);
+  await recordChange(req, 'delete', resource, record);
+
+  return plan;
+};
+
+module.exports = {
+  getCascadeOptions,
+  planDeletion,
+  deleteWithCascade
+};
@@ -0,0 +1,357 @@
+const Contact = require('../models/Contact');
+const Company = require('../models/Company');
+const Lead = require('../models/Lead');
+const { ConflictError } = require('../utils/errors');
+const { DUPLICATE_RULES, DUPLICATE_SUMMARY_FIELDS } = require('../config/duplicateRules');
+const { applyVisibility } = require('./visibilityService');
+
+// Models checked for duplicates, keyed by resource name
+const DUPLICATE_MODELS = {
+  contacts: Contact,
+  companies: Company,
+  leads: Lead
+};
+
+// Most candidates looked at per check
+const CANDIDATE_LIMIT = 50;
+
+// Phone numbers shorter than this are too vague to match on
+const MIN_PHONE_DIGITS = 7;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+// Lowercase, drop punctuation and ignored words
+const normalizeName = (value, ignoreWords = []) => normalizeText(value)
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(word => word && !ignoreWords.includes(word))
+  .join(' ');
+
+const normalizePhone = (value, digits) => String(value || '').replace(/\D/g, '').slice(-digits);
+
+// "https://www.Example.com/about" -> "example.com"
+const getDomain = (value) => {
+  const domain = normalizeText(value)
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/:?#]/)[0];
+
+  return domain.includes('.') ? domain : '';
+};
+
+// Similarity of two strings from 0 to 1, based on their edit distance
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+const fullName = (rule, record) => rule.fields.map(field => normalizeName(record[field], rule.ignoreWords)).join(' ').trim();
+
+/**
+ * Build the query condition finding candidates for a rule
+ * @param {Object} rule - Rule from config/duplicateRules.js
+ * @param {Object} data - Record being checked
+ * @returns {Object|null} Mongo condition, or null when the record has nothing to match on
+ */
+const ruleCondition = (rule, data) => {
+  switch (rule.type) {
+    case 'email': {
+      const email = normalizeText(data[rule.field]);
+      return email ? { [rule.field]: new RegExp(`^${escapeRegExp(email)}$`, 'i') } : null;
+    }
+    case 'phone': {
+      const digits = normalizePhone(data[rule.field], rule.digits);
+      // Stored numbers keep their formatting, so allow anything between digits
+      return digits.length >= MIN_PHONE_DIGITS
+        ? { [rule.field]: new RegExp(`${digits.split('').join('\\D*')}\\D*$`) }
+        : null;
+    }
+    case 'domain': {
+      const domain = getDomain(data[rule.field]);
+      return domain
+        ? { [rule.field]: new RegExp(`^([a-z]+://)?(www\\.)?${escapeRegExp(domain)}([/:?#]|$)`, 'i') }
+        : null;
+    }
+    case 'name': {
+      // Narrow down by the first letters; similarity is checked afterwards
+      const [first] = rule.fields;
+      const prefix = normalizeName(data[first], rule.ignoreWords).slice(0, 2);
+      return prefix && fullName(rule, data)
+        ? { [first]: new RegExp(`^\\W*${escapeRegExp(prefix)}`, 'i') }
+        : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a candidate matches the record under a rule
+ * @param {Object} rule - Rule from config/duplicateRules.js
+ * @param {Object} data - Record being checked
+ * @param {Object} candidate - Existing record
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, data, candidate) => {
+  switch (rule.type) {
+    case 'email':
+      return normalizeText(data[rule.field]) === normalizeText(candidate[rule.field]);
+    case 'phone': {
+      const digits = normalizePhone(data[rule.field], rule.digits);
+      return digits.length >= MIN_PHONE_DIGITS && digits === normalizePhone(candidate[rule.field], rule.digits);
+    }
+    case 'domain':
+      return getDomain(data[rule.field]) === getDomain(candidate[rule.field]);
+    case 'name': {
+      if (rule.sameField &&
+          normalizeText(data[rule.sameField]) !== normalizeText(candidate[rule.sameField])) {
+        return false;
+      }
+      return similarity(fullName(rule, data), fullName(rule, candidate)) >= rule.threshold;
+    }
+    default:
+      return false;
+  }
+};
+
+// Fields a rule reads, used to report which fields matched
+const ruleFields = (rule) => [...(rule.fields || [rule.field]), ...(rule.sameField ? [rule.sameField] : [])];
+
+// Fields loaded for each candidate
+const candidateFields = (resource, rules) => [
+  DUPLICATE_SUMMARY_FIELDS[resource],
+  ...rules.flatMap(ruleFields)
+].join(' ');
+
+/**
+ * Key a record is filed under for a rule when matching a whole batch: the
+ * normalized value for exact rules, the first letter of the name for names
+ * @param {Object} rule - Rule from config/duplicateRules.js
+ * @param {Object} record - Record or import row
+ * @returns {string|null} Key, or null when the record has nothing to match on
+ */
+const ruleKey = (rule, record) => {
+  switch (rule.type) {
+    case 'email':
+      return normalizeText(record[rule.field]) || null;
+    case 'phone': {
+      const digits = normalizePhone(record[rule.field], rule.digits);
+      return digits.length >= MIN_PHONE_DIGITS ? digits : null;
+    }
+    case 'domain':
+      return getDomain(record[rule.field]) || null;
+    case 'name':
+      return normalizeName(record[rule.fields[0]], rule.ignoreWords).charAt(0) || null;
+    default:
+      return null;
+  }
+};
+
+// Records filed by rule key, so a batch is matched without comparing every pair
+const createMatchIndex = (rules) => {
+  const buckets = rules.map(() => new Map());
+
+  const add = (record) => rules.forEach((rule, index) => {
+    const key = ruleKey(rule, record);
+    if (key === null) return;
+
+    if (!buckets[index].has(key)) buckets[index].set(key, []);
+    buckets[index].get(key).push(record);
+  });
+
+  // Records matching the given one under any rule
+  const find = (data) => {
+    const found = new Set();
+
+    rules.forEach((rule, index) => {
+      (buckets[index].get(ruleKey(rule, data)) || [])
+        .filter(record => ruleMatches(rule, data, record))
+        .forEach(record => found.add(record));
+    });
+
+    return [...found];
+  };
+
+  return { add, find };
+};
+
+/**
+ * Find existing records, among those the user can see, that look like the
+ * given one. Each rule is queried on its own so a crowd of similar names
+ * cannot push an exact email or phone match out of the candidates.
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Object} data - Record being created
+ * @param {Object} options - { excludeId: record to leave out, e.g. the one being edited }
+ * @returns {Array} Candidates, best match first, each with matchedOn (rule types) and matchedFields
+ */
+const findDuplicates = async (req, resource, data, options = {}) => {
+  const rules = DUPLICATE_RULES[resource] || [];
+  const select = candidateFields(resource, rules);
+
+  const lists = await Promise.all(rules.map(async rule => {
+    const condition = ruleCondition(rule, data);
+    if (!condition) return [];
+
+    const query = { organization: req.organization._id, ...condition };
+    if (options.excludeId) query._id = { $ne: options.excludeId };
+
+    return DUPLICATE_MODELS[resource]
+      .find(await applyVisibility(req, resource, query))
+      .select(select)
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+  }));
+
+  const candidates = [...new Map(lists.flat().map(candidate => [String(candidate._id), candidate])).values()];
+
+  return candidates
+    .map(candidate => {
+      const matched = rules.filter(rule => ruleMatches(rule, data, candidate));
+      return {
+        ...candidate,
+        matchedOn: matched.map(rule => rule.type),
+        matchedFields: [...new Set(matched.flatMap(ruleFields))]
+      };
+    })
+    .filter(candidate => candidate.matchedOn.length > 0)
+    .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+};
+
+// ?allowDuplicate=true creates the record even when it looks like a duplicate
+const allowsDuplicates = (req) => req.query.allowDuplicate === 'true';
+
+/**
+ * Refuse to create a record that looks like an existing one, unless the
+ * request allows duplicates
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Object} data - Record being created
+ */
+const assertNoDuplicates = async (req, resource, data) => {
+  if (allowsDuplicates(req)) return;
+
+  const duplicates = await findDuplicates(req, resource, data);
+  if (duplicates.length === 0) return;
+
+  const label = DUPLICATE_MODELS[resource].modelName.toLowerCase();
+  const fields = [...new Set(duplicates.flatMap(duplicate => duplicate.matchedFields))];
+
+  throw new ConflictError(`Possible duplicate of an existing ${label}`, {
+    code: 'DUPLICATE_RECORD',
+    details: fields.map(field => ({ field, message: `matches an existing ${label}` })),
+    meta: { duplicates }
+  });
+};
+
+// Import rows checked against existing records per query
+const ROW_BATCH_SIZE = 100;
+
+/**
+ * Load the existing records that may match a batch of import rows. Each rule
+ * is queried on its own, with at most CANDIDATE_LIMIT candidates per distinct
+ * value the rows look for, so neither a large import nor a crowd of similar
+ * names makes the query unbounded.
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Array} rules - Rules of the resource
+ * @param {Array} rows - Batch of import rows
+ * @returns {Array} Candidates
+ */
+const findBatchCandidates = async (req, resource, rules, rows) => {
+  const select = candidateFields(resource, rules);
+
+  const lists = await Promise.all(rules.map(async rule => {
+    const matches = rows.map(row => ruleCondition(rule, row)).filter(Boolean);
+    if (matches.length === 0) return [];
+
+    // Rows looking for the same value share one set of candidates
+    const [field] = Object.keys(matches[0]);
+    const patterns = [...new Map(matches.map(match => [String(match[field]), match[field]])).values()];
+
+    return DUPLICATE_MODELS[resource]
+      .find(await applyVisibility(req, resource, {
+        organization: req.organization._id,
+        [field]: { $in: patterns }
+      }))
+      .select(select)
+      .limit(CANDIDATE_LIMIT * patterns.length)
+      .lean();
+  }));
+
+  return [...new Map(lists.flat().map(candidate => [String(candidate._id), candidate])).values()];
+};
+
+/**
+ * Split import rows into new records and likely duplicates, unless the
+ * request allows duplicates. Rows are checked, ROW_BATCH_SIZE at a time,
+ * against existing records and against the earlier rows of the import.
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Array} rows - Rows to import
+ * @returns {Object} { rows: rows to insert, duplicates: [{ index, data, duplicates, duplicateOfRows }] };
+ *   duplicates lists matching record IDs, duplicateOfRows the indexes of matching earlier rows
+ */
+const splitDuplicateRows = async (req, resource, rows) => {
+  if (allowsDuplicates(req)) return { rows, duplicates: [] };
+
+  const rules = DUPLICATE_RULES[resource] || [];
+  const batch = createMatchIndex(rules);
+  const rowIndexes = new Map();
+
+  const unique = [];
+  const duplicates = [];
+
+  for (let start = 0; start < rows.length; start += ROW_BATCH_SIZE) {
+    const slice = rows.slice(start, start + ROW_BATCH_SIZE);
+    const existing = createMatchIndex(rules);
+
+    (await findBatchCandidates(req, resource, rules, slice)).forEach(existing.add);
+
+    slice.forEach((row, offset) => {
+      const index = start + offset;
+      const matches = existing.find(row);
+      const earlier = batch.find(row);
+
+      if (matches.length > 0 || earlier.length > 0) {
+        duplicates.push({
+          index,
+          data: row,
+          duplicates: matches.map(match => match._id),
+          duplicateOfRows: earlier.map(match => rowIndexes.get(match))
+        });
+      } else {
+        unique.push(row);
+        rowIndexes.set(row, index);
+        batch.add(row);
+      }
+    });
+  }
+
+  return { rows: unique, duplicates };
+};
+
+module.exports = {
+  DUPLICATE_MODELS,
+  findDuplicates,
+  assertNoDuplicates,
+  splitDuplicateRows
+};
@@ -0,0 +1,112 @@
+const { getPeriodStart } = require('../utils/periods');
+
+// Forecast category of an open opportunity -> total it counts towards.
+// Omitted deals are left out.
+const FORECAST_TOTALS = {
+  closed: 'commit',
+  commit: 'commit',
+  bestcase: 'bestCase',
+  'in-pipeline': 'pipeline'
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+const createRow = () => ({ closedWon: 0, commit: 0, bestCase: 0, pipeline: 0, quota: null });
+
+// Add attainment against the quota: closed-won alone, and with commit deals
+const withAttainment = (row) => ({
+  ...row,
+  attainment: percent(row.closedWon, row.quota),
+  commitAttainment: percent(row.closedWon + row.commit, row.quota)
+});
+
+const sumRows = (rows) => rows.reduce((total, row) => {
+  ['closedWon', 'commit', 'bestCase', 'pipeline'].forEach(field => { total[field] += row[field]; });
+  if (row.quota !== null) total.quota = (total.quota || 0) + row.quota;
+  return total;
+}, createRow());
+
+/**
+ * Total opportunities per period and owner against their quotas. Won deals
+ * count in the period they closed; open deals in the period of their close
+ * date, under their forecast category.
+ * @param {Object} options - {
+ *   periodType, periods: [{ start, end }],
+ *   opportunities: [{ owner, status, amount, forecastAmount, forecast, close_date, closedAt }],
+ *   quotas: [{ user, team, periodStart, amount }] of the period type,
+ *   owners: user IDs to report on (besides those with deals or quotas), or null for all,
+ *   teams: [{ _id, name, userIds }] teams with a quota to report on
+ * }
+ * @returns {Array} [{ start, end, owners: [{ owner, ...totals }], teams: [{ team, name, ...totals }], totals }];
+ *   totals are { closedWon, commit, bestCase, pipeline, quota, attainment, commitAttainment }
+ */
+const buildForecast = ({ periodType, periods, opportunities, quotas, owners = null, teams = [] }) => {
+  const byPeriod = new Map(periods.map(period => [period.start.getTime(), new Map()]));
+
+  const rowFor = (start, ownerId) => {
+    const rows = byPeriod.get(start.getTime());
+    if (!rows) return null;
+    if (!rows.has(ownerId)) rows.set(ownerId, createRow());
+    return rows.get(ownerId);
+  };
+
+  opportunities.forEach(opportunity => {
+    if (!opportunity.owner) return;
+    const ownerId = String(opportunity.owner);
+
+    if (opportunity.status === 'won' && opportunity.closedAt) {
+      const row = rowFor(getPeriodStart(opportunity.closedAt, periodType), ownerId);
+      if (row) row.closedWon += opportunity.amount || 0;
+      return;
+    }
+
+    const total = FORECAST_TOTALS[opportunity.forecast];
+    if (opportunity.status === 'open' && total && opportunity.close_date) {
+      const row = rowFor(getPeriodStart(opportunity.close_date, periodType), ownerId);
+      if (row) row[total] += opportunity.forecastAmount ?? opportunity.amount ?? 0;
+    }
+  });
+
+  quotas.filter(quota => quota.user).forEach(quota => {
+    const row = rowFor(new Date(quota.periodStart), String(quota.user));
+    if (row) row.quota = quota.amount;
+  });
+
+  (owners || []).forEach(ownerId => periods.forEach(period => rowFor(period.start, String(ownerId))));
+
+  return periods.map(period => {
+    const rows = byPeriod.get(period.start.getTime());
+    const ownerRows = [...rows.entries()]
+      .filter(([ownerId]) => !owners || owners.map(String).includes(ownerId))
+      .map(([owner, row]) => ({ owner, ...withAttainment(row) }));
+
+    const teamRows = teams
+      .map(team => {
+        const quota = quotas.find(item =>
+          item.team && String(item.team) === String(team._id) &&
+          new Date(item.periodStart).getTime() === period.start.getTime()
+        );
+        if (!quota) return null;
+
+        const members = team.userIds.map(String);
+        const total = sumRows([...rows.entries()]
+          .filter(([ownerId]) => members.includes(ownerId))
+          .map(([, row]) => row));
+
+        return { team: team._id, name: team.name, ...withAttainment({ ...total, quota: quota.amount }) };
+      })
+      .filter(Boolean);
+
+    return {
+      start: period.start,
+      end: period.end,
+      owners: ownerRows,
+      teams: teamRows,
+      totals: withAttainment(sumRows(ownerRows))
+    };
+  });
+};
+
+module.exports = {
+  buildForecast
+};
@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const FREE_ATTEMPTS = 2; // Failures allowed before delays start
+const MAX_DELAY_SECONDS = 60;
+
+const lockDuration = () => LOCK_MINUTES * 60 * 1000;
+
+// Seconds a client has to wait after `failures` consecutive failures:
+// 1s, 2s, 4s, ... capped at MAX_DELAY_SECONDS
+const progressiveDelay = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+// Remaining wait in seconds for a lock or delay, or 0 when allowed
+const getWait = ({ lockUntil, failures, lastFailureAt }) => {
+  const now = Date.now();
+
+  if (lockUntil && lockUntil.getTime() > now) {
+    return Math.ceil((lockUntil.getTime() - now) / 1000);
+  }
+
+  if (!lastFailureAt) return 0;
+
+  const nextAllowed = lastFailureAt.getTime() + progressiveDelay(failures) * 1000;
+  return nextAllowed > now ? Math.ceil((nextAllowed - now) / 1000) : 0;
+};
+
+/**
+ * Check whether a login attempt from an IP may proceed
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<number>} Seconds to wait, or 0 if allowed
+ */
+const checkIp = async (ipAddress) => {
+  const throttle = await LoginThrottle.findOne({ ipAddress }).lean();
+  if (!throttle) return 0;
+
+  return getWait(throttle);
+};
+
+/**
+ * Check whether a login attempt for an account may proceed
+ * @param {object} user - User document
+ * @returns {number} Seconds to wait, or 0 if allowed
+ */
+const checkAccount = (user) => {
+  return getWait({
+    lockUntil: user.lockUntil,
+    failures: user.failedLoginAttempts,
+    lastFailureAt: user.lastFailedLoginAt
+  });
+};
+
+/**
+ * Record a failed attempt against the IP and, if known, the account.
+ * Reaching the limit locks the account temporarily and restarts its count.
+ * @param {object|null} user - User document, or null for unknown emails
+ * @param {string} ipAddress - Client IP
+ */
+const recordFailure = async (user, ipAddress) => {
+  const now = new Date();
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { ipAddress },
+    {
+      $inc: { failures: 1 },
+      lastFailureAt: now,
+      expiresAt: new Date(now.getTime() + lockDuration())
+    },
+    { upsert: true, new: true }
+  );
+
+  if (throttle.failures >= MAX_IP_ATTEMPTS) {
+    throttle.lockUntil = new Date(now.getTime() + lockDuration());
+    throttle.failures = 0;
+    await throttle.save();
+  }
+
+  if (!user) return;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      lastFailedLoginAt: now,
+      lastFailedLoginIp: ipAddress
+    },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= MAX_ACCOUNT_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: new Date(now.getTime() + lockDuration()), failedLoginAttempts: 0 }
+    );
+  }
+};
+
+/**
+ * Record a successful login: clear failure tracking and stamp last login
+ * @param {object} user - User document
+ * @param {string} ipAddress - Client IP
+ */
+const recordSuccess = async (user, ipAddress) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: null,
+      lastLogin: new Date(),
+      lastLoginIp: ipAddress
+    }
+  );
+};
+
+/**
+ * Lift a lockout on an account
+ * @param {string} userId - User ID
+ */
+const unlockAccount = async (userId) => {
+  return await User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, lockUntil: null },
+    { new: true }
+  );
+};
+
+module.exports = {
+  checkIp,
+  checkAccount,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
@@ -0,0 +1,104 @@
+const templates = require('./mailTemplates');
+const { createTransportFromEnv } = require('./mailTransports');
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Swap the transport, e.g. a MemoryTransport in tests
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransportFromEnv();
+    }
+    return this.transport;
+  }
+
+  getFromAddress() {
+    return process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost';
+  }
+
+  async send({ to, subject, html, text }) {
+    try {
+      const result = await this.getTransport().send({
+        from: this.getFromAddress(),
+        to,
+        subject,
+        html,
+        text
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+    } catch (error) {
+      console.error('Failed to send email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async sendTemplate(templateName, to, data) {
+    const template = templates[templateName];
+
+    if (typeof template !== 'function') {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    return await this.send({ to, ...template(data) });
+  }
+
+  // Build a link into the frontend app, e.g. buildFrontendUrl('/reset-password/abc')
+  buildFrontendUrl(pathname) {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+    return `${base}${pathname}`;
+  }
+
+  async sendPasswordReset(user, resetToken, expiresInMinutes) {
+    // PASSWORD_RESET_URL may contain a :token placeholder for custom routes
+    const resetUrl = process.env.PASSWORD_RESET_URL
+      ? process.env.PASSWORD_RESET_URL.replace(':token', resetToken)
+      : this.buildFrontendUrl(`/reset-password/${resetToken}`);
+
+    return await this.sendTemplate('passwordReset', user.email, {
+      name: user.name,
+      resetUrl,
+      expiresInMinutes
+    });
+  }
+
+  async sendEmailVerification(user, verificationToken) {
+    // EMAIL_VERIFY_URL may contain a :token placeholder for custom routes
+    const verifyUrl = process.env.EMAIL_VERIFY_URL
+      ? process.env.EMAIL_VERIFY_URL.replace(':token', verificationToken)
+      : this.buildFrontendUrl(`/verify-email/${verificationToken}`);
+
+    return await this.sendTemplate('emailVerification', user.email, {
+      name: user.name,
+      verifyUrl
+    });
+  }
+
+  async sendInvitation(invitation, inviteToken, inviter) {
+    // INVITE_ACCEPT_URL may contain a :token placeholder for custom routes
+    const acceptUrl = process.env.INVITE_ACCEPT_URL
+      ? process.env.INVITE_ACCEPT_URL.replace(':token', inviteToken)
+      : this.buildFrontendUrl(`/accept-invite/${inviteToken}`);
+
+    return await this.sendTemplate('invitation', invitation.email, {
+      name: invitation.name,
+      inviterName: inviter.name,
+      acceptUrl,
+      expiresAt: invitation.expiresAt
+    });
+  }
+}
+
+module.exports = new MailService();
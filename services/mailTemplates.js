@@ -0,0 +1,106 @@
+// Email templates. Each template takes a data object and returns
+// { subject, html, text }; `layout` wraps the HTML body in shared markup.
+
+const APP_NAME = process.env.APP_NAME || 'CRM';
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:6px;padding:32px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#7b8794;">${escapeHtml(APP_NAME)}</p>
+    </div>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>
+      <p style="font-size:12px;color:#7b8794;">Or paste this link into your browser: ${escapeHtml(url)}</p>`;
+
+const passwordReset = ({ name, resetUrl, expiresInMinutes }) => {
+  const subject = `Reset your ${APP_NAME} password`;
+
+  return {
+    subject,
+    html: layout(subject, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes.</p>
+      ${button(resetUrl, 'Reset password')}
+      <p>If you did not request this, you can ignore this email and your password will stay the same.</p>`),
+    text: [
+      `Hi ${name},`,
+      '',
+      `We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email and your password will stay the same.'
+    ].join('\n')
+  };
+};
+
+const emailVerification = ({ name, verifyUrl }) => {
+  const subject = `Confirm your ${APP_NAME} email address`;
+
+  return {
+    subject,
+    html: layout(subject, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm that this is your email address. The link is valid for 24 hours.</p>
+      ${button(verifyUrl, 'Verify email')}
+      <p>If you did not create an account, you can ignore this email.</p>`),
+    text: [
+      `Hi ${name},`,
+      '',
+      'Please confirm that this is your email address. The link is valid for 24 hours.',
+      '',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+const invitation = ({ name, inviterName, acceptUrl, expiresAt }) => {
+  const subject = `${inviterName} invited you to ${APP_NAME}`;
+  const expiry = new Date(expiresAt).toDateString();
+
+  return {
+    subject,
+    html: layout(subject, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>${escapeHtml(inviterName)} has invited you to join ${escapeHtml(APP_NAME)}. Choose a password to activate your account.</p>
+      ${button(acceptUrl, 'Accept invitation')}
+      <p>This invitation expires on ${escapeHtml(expiry)}.</p>`),
+    text: [
+      `Hi ${name},`,
+      '',
+      `${inviterName} has invited you to join ${APP_NAME}. Choose a password to activate your account:`,
+      '',
+      acceptUrl,
+      '',
+      `This invitation expires on ${expiry}.`
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  layout,
+  button,
+  passwordReset,
+  emailVerification,
+  invitation
+};
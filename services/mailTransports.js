@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each transport exposes `send(message)` where message is
+// { from, to, subject, html, text } and resolves to { messageId }.
+
+class SmtpTransport {
+  constructor(options) {
+    // Loaded lazily so the other transports work without nodemailer installed
+    const nodemailer = require('nodemailer');
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Prints messages to the console; the default outside production. The body
+// carries reset, verification and invitation links, so it is only printed
+// when logBody is set.
+class ConsoleTransport {
+  constructor(options = {}) {
+    this.logBody = !!options.logBody;
+  }
+
+  async send(message) {
+    const messageId = `console-${Date.now()}`;
+    const body = this.logBody ? `\n${message.text}` : '';
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}${body}`);
+    return { messageId };
+  }
+}
+
+// Writes each message as a JSON file, handy for inspecting HTML output in dev
+class FileTransport {
+  constructor(options) {
+    this.directory = options.directory;
+  }
+
+  async send(message) {
+    const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+// Keeps messages in memory so tests can assert on what was sent
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `memory-${this.messages.length + 1}`;
+    this.messages.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Build the transport selected by EMAIL_TRANSPORT
+ * (smtp | console | file | memory). Defaults to smtp in production and to
+ * console everywhere else. Production only accepts smtp with an EMAIL_HOST:
+ * the other transports would print, store or drop messages carrying tokens.
+ * @throws {Error} When the configuration cannot deliver mail in production
+ */
+const createTransportFromEnv = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const transport = (process.env.EMAIL_TRANSPORT || (isProduction ? 'smtp' : 'console')).toLowerCase();
+
+  if (isProduction && transport !== 'smtp') {
+    throw new Error(`EMAIL_TRANSPORT=${transport} cannot be used in production; configure smtp`);
+  }
+
+  switch (transport) {
+    case 'smtp':
+      if (!process.env.EMAIL_HOST) {
+        throw new Error('EMAIL_HOST must be set to send mail over smtp');
+      }
+      return new SmtpTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: process.env.EMAIL_SECURE === 'true',
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      });
+    case 'file':
+      return new FileTransport({ directory: process.env.EMAIL_FILE_DIR || 'tmp/mail' });
+    case 'memory':
+      return new MemoryTransport();
+    case 'console':
+    default:
+      return new ConsoleTransport({ logBody: process.env.EMAIL_LOG_BODY === 'true' });
+  }
+};
+
+module.exports = {
+  SmtpTransport,
+  ConsoleTransport,
+  FileTransport,
+  MemoryTransport,
+  createTransportFromEnv
+};
@@ -0,0 +1,157 @@
+const Company = require('../models/Company');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const { getWritableFields } = require('../config/writableFields');
+const { getFieldActions } = require('../middlewares/writableFieldsMiddleware');
+const { DUPLICATE_MODELS } = require('./duplicateService');
+const { applyVisibility, canEdit } = require('./visibilityService');
+const { repointReferences, updateContactCompany } = require('./relationshipService');
+const { snapshot, recordChange, recordBulkUpdate } = require('./auditService');
+
+/**
+ * Load the records of a merge, survivor first, checking the user may edit
+ * every one of them
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Array} ids - Survivor ID followed by the loser IDs
+ * @returns {Array} Documents in the same order as the IDs
+ */
+const loadRecords = async (req, resource, ids) => {
+  const records = await DUPLICATE_MODELS[resource].find(await applyVisibility(req, resource, {
+    _id: { $in: ids },
+    organization: req.organization._id
+  }));
+
+  const label = DUPLICATE_MODELS[resource].modelName.toLowerCase();
+
+  return Promise.all(ids.map(async id => {
+    const record = records.find(candidate => candidate._id.toString() === id);
+
+    if (!record) {
+      throw new NotFoundError(`${DUPLICATE_MODELS[resource].modelName} ${id} not found`);
+    }
+
+    if (!(await canEdit(req, resource, record))) {
+      throw new ForbiddenError(`Not authorized to change ${label} ${id}`);
+    }
+
+    return record;
+  }));
+};
+
+/**
+ * Check the picked field values: each field must be writable by the user and
+ * each value must come from one of the merged records
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Object} fields - { [field]: ID of the record to take the value from }
+ * @param {Array} ids - IDs of the merged records
+ */
+const checkFields = async (req, resource, fields, ids) => {
+  const writable = getWritableFields(resource, 'update', await getFieldActions(req, resource));
+  const details = [];
+
+  Object.entries(fields).forEach(([field, id]) => {
+    if (!writable.includes(field)) {
+      details.push({ field: `fields.${field}`, location: 'body', message: 'cannot be merged' });
+    } else if (!ids.includes(id)) {
+      details.push({ field: `fields.${field}`, location: 'body', message: 'must be the survivor or one of the losers' });
+    }
+  });
+
+  if (details.length > 0) {
+    throw new ValidationError('Invalid merge fields', details);
+  }
+};
+
+/**
+ * Merge duplicate records into one. The survivor takes the picked field
+ * values, everything pointing at the losers is moved to it and the losers
+ * go to the trash.
+ * @param {Object} req - Express request
+ * @param {string} resource - contacts, companies or leads
+ * @param {Object} options - { survivor: ID, losers: [IDs], fields: { [field]: ID of the record to take it from } }
+ * @returns {Object} { survivor, losers: [IDs], moved: [{ resource, field, count }] }
+ */
+const mergeRecords = async (req, resource, { survivor: survivorId, losers: loserIds, fields }) => {
+  const picked = fields || {};
+  const ids = [...new Set([survivorId, ...loserIds])];
+
+  if (ids.length < 2) {
+    throw new ValidationError('Nothing to merge', [
+      { field: 'losers', location: 'body', message: 'must name records other than the survivor' }
+    ]);
+  }
+
+  await checkFields(req, resource, picked, ids);
+
+  const [survivor, ...losers] = await loadRecords(req, resource, ids);
+  const before = snapshot(survivor);
+  const oldCompanyId = survivor.company_id?.toString();
+
+  Object.entries(picked).forEach(([field, id]) => {
+    const source = losers.find(loser => loser._id.toString() === id);
+    if (source) survivor.set(field, source.get(field));
+  });
+
+  // Lead activities live on the lead itself, so they are copied over
+  if (resource === 'leads') {
+    losers.forEach(loser => {
+      loser.activities.forEach(activity => survivor.activities.push(activity.toObject()));
+    });
+  }
+
+  await survivor.save();
+
+  const moved = await repointReferences(
+    resource,
+    losers.map(loser => loser._id),
+    survivor._id,
+    req.organization._id
+  );
+
+  for (const { resource: related, field, ids: relatedIds } of moved) {
+    await recordBulkUpdate(req, related, relatedIds, [
+      { field, before: losers.map(loser => loser._id), after: survivor._id }
+    ]);
+  }
+
+  // A contact taking another company's value leaves its old company's list
+  const newCompanyId = survivor.company_id?.toString() || null;
+  if (resource === 'contacts' && newCompanyId !== (oldCompanyId || null)) {
+    await updateContactCompany(survivor._id, newCompanyId, req.organization._id, oldCompanyId || null);
+  }
+
+  // Re-pointing put the survivor in the losers' companies' lists too; it only
+  // belongs in its own company's
+  if (resource === 'contacts') {
+    await Company.updateMany(
+      { organization: req.organization._id, contacts: survivor._id, _id: { $ne: survivor.company_id } },
+      { $pull: { contacts: survivor._id } }
+    );
+  }
+
+  for (const loser of losers) {
+    await loser.softDelete(req.user._id);
+    await recordChange(req, 'delete', resource, loser, {}, { mergedInto: survivor._id });
+  }
+
+  // Reload to pick up links added while re-pointing, e.g. a company's contacts
+  const merged = await DUPLICATE_MODELS[resource].findById(survivor._id);
+
+  const summary = {
+    losers: losers.map(loser => loser._id),
+    moved: moved.map(({ resource: related, field, ids: relatedIds }) => ({
+      resource: related,
+      field,
+      count: relatedIds.length
+    }))
+  };
+
+  await recordChange(req, 'merge', resource, merged, before, summary);
+
+  return { survivor: merged, ...summary };
+};
+
+module.exports = {
+  mergeRecords
+};
@@ -0,0 +1,73 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { clearUserCache, clearOrganizationCache } = require('../middlewares/authMiddleware');
+
+/**
+ * Make an organization the one a user works in by default
+ * @param {Object} user - User document
+ * @param {string} organizationId - Organization ID
+ */
+const setActiveOrganization = async (user, organizationId) => {
+  user.activeOrganization = organizationId;
+  await User.updateOne({ _id: user._id }, { activeOrganization: organizationId });
+  clearUserCache(user._id);
+};
+
+/**
+ * Create a user's personal workspace (if missing) and make it active
+ * @param {Object} user - User document
+ * @returns {Object} The personal organization
+ */
+const createPersonalWorkspace = async (user) => {
+  const organization = await Organization.ensurePersonal(user);
+  await setActiveOrganization(user, organization._id);
+  return organization;
+};
+
+/**
+ * Add a user to an organization and make it their active one
+ * @param {string} organizationId - Organization ID
+ * @param {Object} user - User document
+ * @param {string} role - Membership role (owner or member)
+ * @param {string} accessRole - Role the user gets in the organization
+ * @returns {Object|null} The organization, or null if it no longer exists
+ */
+const joinOrganization = async (organizationId, user, role = 'member', accessRole) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) return null;
+
+  organization.addMember(user._id, role, accessRole);
+  await organization.save();
+  clearOrganizationCache(organization._id);
+
+  await setActiveOrganization(user, organization._id);
+  return organization;
+};
+
+/**
+ * Remove a user from every organization and team they belong to
+ * @param {string} userId - User ID
+ */
+const removeFromAllOrganizations = async (userId) => {
+  const organizations = await Organization.find({ 'members.user': userId }).select('_id');
+
+  await Organization.updateMany(
+    { 'members.user': userId },
+    { $pull: { members: { user: userId } } }
+  );
+
+  await Team.updateMany(
+    { $or: [{ members: userId }, { managers: userId }] },
+    { $pull: { members: userId, managers: userId } }
+  );
+
+  organizations.forEach(organization => clearOrganizationCache(organization._id));
+};
+
+module.exports = {
+  setActiveOrganization,
+  createPersonalWorkspace,
+  joinOrganization,
+  removeFromAllOrganizations
+};
@@ -0,0 +1,67 @@
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
+const Lead = require('../models/Lead');
+const Opportunity = require('../models/Opportunity');
+const Activity = require('../models/Activity');
+
+// Models with an owner, keyed by resource name
+const OWNED_MODELS = {
+  companies: Company,
+  contacts: Contact,
+  leads: Lead,
+  opportunities: Opportunity
+};
+
+// Activities that still need doing
+const OPEN_ACTIVITY_STATUSES = ['scheduled', 'overdue'];
+
+/**
+ * Turn the ?owner= query parameter into an owner condition
+ * @param {Object} req - Express request
+ * @returns {string|undefined} User ID to filter by, or undefined for no filter
+ */
+const getOwnerFilter = (req) => {
+  const { owner } = req.query;
+  if (!owner) return undefined;
+  return owner === 'me' ? req.user._id : owner;
+};
+
+/**
+ * Move every record one user owns in an organization to another user
+ * @param {string} organizationId - Organization ID
+ * @param {string} fromUserId - Current owner
+ * @param {string} toUserId - New owner
+ * @param {Object} options - { resources: resource names (default all), includeActivities: also move open activities,
+ *   onMove: called with (resource, ids, field) for every resource that had records moved }
+ * @returns {Object} Number of records moved per resource
+ */
+const reassignRecords = async (organizationId, fromUserId, toUserId, options = {}) => {
+  const resources = options.resources || Object.keys(OWNED_MODELS);
+  const moved = {};
+
+  const move = async (resource, Model, field, filter) => {
+    const ids = await Model.find({ ...filter, organization: organizationId, [field]: fromUserId }).distinct('_id');
+    const result = await Model.updateMany({ _id: { $in: ids } }, { [field]: toUserId });
+    moved[resource] = result.modifiedCount;
+
+    if (options.onMove && ids.length > 0) {
+      await options.onMove(resource, ids, field);
+    }
+  };
+
+  for (const resource of resources) {
+    await move(resource, OWNED_MODELS[resource], 'owner');
+  }
+
+  if (options.includeActivities) {
+    await move('activities', Activity, 'assignedTo', { status: { $in: OPEN_ACTIVITY_STATUSES } });
+  }
+
+  return moved;
+};
+
+module.exports = {
+  OWNED_MODELS,
+  getOwnerFilter,
+  reassignRecords
+};
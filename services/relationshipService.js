@@ -1,21 +1,26 @@
 const Contact = require('../models/Contact');
 const Company = require('../models/Company');
+const Opportunity = require('../models/Opportunity');
+const Activity = require('../models/Activity');
+const Expense = require('../models/Expense');
+const Lead = require('../models/Lead');
+const { NotFoundError } = require('../utils/errors');
 
 /**
  * Link a contact to a company (two-way relationship)
  * @param {string} contactId - Contact ID
  * @param {string} companyId - Company ID
- * @param {string} userId - User ID for authorization
+ * @param {string} organizationId - Organization the records must belong to
  */
-const linkContactToCompany = async (contactId, companyId, userId) => {
-  // Verify both exist and belong to user
+const linkContactToCompany = async (contactId, companyId, organizationId) => {
+  // Verify both exist and belong to the organization
   const [contact, company] = await Promise.all([
-    Contact.findOne({ _id: contactId, createdBy: userId }),
-    Company.findOne({ _id: companyId, createdBy: userId })
+    Contact.findOne({ _id: contactId, organization: organizationId }),
+    Company.findOne({ _id: companyId, organization: organizationId })
   ]);
 
-  if (!contact) throw new Error('Contact not found');
-  if (!company) throw new Error('Company not found');
+  if (!contact) throw new NotFoundError('Contact not found');
+  if (!company) throw new NotFoundError('Company not found');
 
   // Update contact's company_id
   contact.company_id = companyId;
@@ -34,24 +39,24 @@ const linkContactToCompany = async (contactId, companyId, userId) => {
  * Unlink a contact from a company (two-way relationship)
  * @param {string} contactId - Contact ID
  * @param {string} companyId - Company ID
- * @param {string} userId - User ID for authorization
+ * @param {string} organizationId - Organization the records must belong to
  */
-const unlinkContactFromCompany = async (contactId, companyId, userId) => {
-  // Verify both exist and belong to user
+const unlinkContactFromCompany = async (contactId, companyId, organizationId) => {
+  // Verify both exist and belong to the organization
   const [contact, company] = await Promise.all([
-    Contact.findOne({ _id: contactId, createdBy: userId }),
-    Company.findOne({ _id: companyId, createdBy: userId })
+    Contact.findOne({ _id: contactId, organization: organizationId }),
+    Company.findOne({ _id: companyId, organization: organizationId })
   ]);
 
-  if (!contact) throw new Error('Contact not found');
-  if (!company) throw new Error('Company not found');
+  if (!contact) throw new NotFoundError('Contact not found');
+  if (!company) throw new NotFoundError('Company not found');
 
   // Remove company_id from contact
   contact.company_id = null;
   await contact.save();
 
   // Remove contact from company's contacts array
-  company.contacts = company.contacts.filter(id => id.toString() !== contactId);
+  company.contacts = company.contacts.filter(id => id.toString() !== contactId.toString());
   await company.save();
 
   return { contact, company };
@@ -61,21 +66,21 @@ const unlinkContactFromCompany = async (contactId, companyId, userId) => {
  * Update all contacts for a company (replace entire contacts array)
  * @param {string} companyId - Company ID
  * @param {string[]} contactIds - Array of contact IDs
- * @param {string} userId - User ID for authorization
+ * @param {string} organizationId - Organization the records must belong to
  */
-const updateCompanyContacts = async (companyId, contactIds, userId) => {
-  // Verify company exists and belongs to user
-  const company = await Company.findOne({ _id: companyId, createdBy: userId });
-  if (!company) throw new Error('Company not found');
+const updateCompanyContacts = async (companyId, contactIds, organizationId) => {
+  // Verify company exists and belongs to the organization
+  const company = await Company.findOne({ _id: companyId, organization: organizationId });
+  if (!company) throw new NotFoundError('Company not found');
 
-  // Verify all contacts exist and belong to user
+  // Verify all contacts exist and belong to the organization
   const contacts = await Contact.find({
     _id: { $in: contactIds },
-    createdBy: userId
+    organization: organizationId
   });
 
   if (contacts.length !== contactIds.length) {
-    throw new Error('One or more contacts not found');
+    throw new NotFoundError('One or more contacts not found');
   }
 
   // Get previous contacts to update their company_id
@@ -87,7 +92,7 @@ const updateCompanyContacts = async (companyId, contactIds, userId) => {
 
   // Update company_id for new contacts
   await Contact.updateMany(
-    { _id: { $in: contactIds }, createdBy: userId },
+    { _id: { $in: contactIds }, organization: organizationId },
     { company_id: companyId }
   );
 
@@ -95,7 +100,7 @@ const updateCompanyContacts = async (companyId, contactIds, userId) => {
   const removedContactIds = previousContactIds.filter(id => !contactIds.includes(id));
   if (removedContactIds.length > 0) {
     await Contact.updateMany(
-      { _id: { $in: removedContactIds }, createdBy: userId },
+      { _id: { $in: removedContactIds }, organization: organizationId },
       { $unset: { company_id: 1 } }
     );
   }
@@ -107,39 +112,189 @@ const updateCompanyContacts = async (companyId, contactIds, userId) => {
  * Update contact's company (handles unlinking from old company and linking to new)
  * @param {string} contactId - Contact ID
  * @param {string} companyId - New company ID (null to unlink)
- * @param {string} userId - User ID for authorization
+ * @param {string} organizationId - Organization the records must belong to
+ * @param {string} previousCompanyId - Company the contact had before, when the
+ *   caller already saved the new one on the contact; read from the contact otherwise
  */
-const updateContactCompany = async (contactId, companyId, userId) => {
-  // Verify contact exists and belongs to user
-  const contact = await Contact.findOne({ _id: contactId, createdBy: userId });
-  if (!contact) throw new Error('Contact not found');
+const updateContactCompany = async (contactId, companyId, organizationId, previousCompanyId) => {
+  // Verify contact exists and belongs to the organization
+  const contact = await Contact.findOne({ _id: contactId, organization: organizationId });
+  if (!contact) throw new NotFoundError('Contact not found');
 
-  const oldCompanyId = contact.company_id;
+  const oldCompanyId = previousCompanyId !== undefined ? previousCompanyId : contact.company_id;
+
+  // Verify new company exists and belongs to the organization
+  const company = companyId && await Company.findOne({ _id: companyId, organization: organizationId });
+  if (companyId && !company) throw new NotFoundError('Company not found');
+
+  // Leave the old company's contacts list
+  if (oldCompanyId && oldCompanyId.toString() !== String(companyId || '')) {
+    await Company.updateOne(
+      { _id: oldCompanyId, organization: organizationId },
+      { $pull: { contacts: contact._id } }
+    );
+  }
 
   // If unlinking (companyId is null)
   if (!companyId) {
-    if (oldCompanyId) {
-      return await unlinkContactFromCompany(contactId, oldCompanyId, userId);
+    if (contact.company_id) {
+      contact.company_id = null;
+      await contact.save();
     }
     return { contact, company: null };
   }
 
-  // Verify new company exists and belongs to user
-  const company = await Company.findOne({ _id: companyId, createdBy: userId });
-  if (!company) throw new Error('Company not found');
+  // Link to new company
+  return await linkContactToCompany(contactId, companyId, organizationId);
+};
+
+// Models records can link to, with the error naming a missing one
+const LINK_TARGETS = {
+  companies: { Model: Company, notFound: 'Company not found' },
+  contacts: { Model: Contact, notFound: 'Contact not found' },
+  opportunities: { Model: Opportunity, notFound: 'Opportunity not found' }
+};
+
+// Fields linking a record to others, and what they link to. `attendees.contact`
+// is the contact of each subdocument in the attendees array.
+const LINKS = {
+  contacts: { company_id: 'companies' },
+  opportunities: { company_id: 'companies', contact_id: 'contacts' },
+  activities: {
+    company_id: 'companies',
+    contact_id: 'contacts',
+    'attendees.contact': 'contacts',
+    opportunity_id: 'opportunities'
+  },
+  expenses: { company: 'companies', contact: 'contacts', opportunity_id: 'opportunities' }
+};
+
+// The IDs a body sets on a link field; empty when it leaves the field alone
+const linkedIds = (data, path) => {
+  const [field, property] = path.split('.');
+  const value = data[field];
 
-  // Unlink from old company if different
-  if (oldCompanyId && oldCompanyId.toString() !== companyId) {
-    await unlinkContactFromCompany(contactId, oldCompanyId, userId);
+  if (!value) return [];
+  if (property) return Array.isArray(value) ? value.map(item => item && item[property]).filter(Boolean) : [];
+  return [value];
+};
+
+/**
+ * Make sure every record a create or update body links to exists in the
+ * organization, before the body is saved
+ * @param {string} resource - contacts, opportunities, activities or expenses
+ * @param {Object} data - Fields about to be saved
+ * @param {string} organizationId - Organization the linked records must belong to
+ * @throws {NotFoundError} when a linked record is missing or in another organization
+ */
+const assertLinksInOrganization = async (resource, data, organizationId) => {
+  const idsByTarget = {};
+
+  for (const [path, target] of Object.entries(LINKS[resource] || {})) {
+    idsByTarget[target] = (idsByTarget[target] || []).concat(linkedIds(data, path));
   }
 
-  // Link to new company
-  return await linkContactToCompany(contactId, companyId, userId);
+  for (const [target, ids] of Object.entries(idsByTarget)) {
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length === 0) continue;
+
+    const { Model, notFound } = LINK_TARGETS[target];
+    const found = await Model.countDocuments({ _id: { $in: uniqueIds }, organization: organizationId });
+
+    if (found !== uniqueIds.length) {
+      throw new NotFoundError(notFound);
+    }
+  }
+};
+
+// Fields of other records pointing at a contact or company. `array` fields
+// hold a list of IDs; `arrayOf` fields are a property of subdocuments in
+// that array.
+const REFERENCES = {
+  contacts: [
+    { resource: 'opportunities', Model: Opportunity, field: 'contact_id' },
+    { resource: 'activities', Model: Activity, field: 'contact_id' },
+    { resource: 'activities', Model: Activity, field: 'contact', arrayOf: 'attendees' },
+    { resource: 'expenses', Model: Expense, field: 'contact' },
+    { resource: 'leads', Model: Lead, field: 'convertedTo.contact' },
+    { resource: 'companies', Model: Company, field: 'contacts', array: true }
+  ],
+  companies: [
+    { resource: 'contacts', Model: Contact, field: 'company_id' },
+    { resource: 'opportunities', Model: Opportunity, field: 'company_id' },
+    { resource: 'activities', Model: Activity, field: 'company_id' },
+    { resource: 'expenses', Model: Expense, field: 'company' },
+    { resource: 'leads', Model: Lead, field: 'convertedTo.company' }
+  ]
+};
+
+// Point one reference at the survivor and return the IDs of the records changed
+const repointReference = async (reference, fromIds, toId, organizationId) => {
+  const { Model, field, array, arrayOf } = reference;
+  const path = arrayOf ? `${arrayOf}.${field}` : field;
+
+  const ids = await Model.find({ organization: organizationId, [path]: { $in: fromIds } }).distinct('_id');
+  if (ids.length === 0) return ids;
+
+  if (array) {
+    // Add the survivor before dropping the old IDs so the link is never lost
+    await Model.updateMany({ _id: { $in: ids } }, { $addToSet: { [field]: toId } });
+    await Model.updateMany({ _id: { $in: ids } }, { $pull: { [field]: { $in: fromIds } } });
+  } else if (arrayOf) {
+    await Model.updateMany(
+      { _id: { $in: ids } },
+      { $set: { [`${arrayOf}.$[item].${field}`]: toId } },
+      { arrayFilters: [{ [`item.${field}`]: { $in: fromIds } }] }
+    );
+  } else {
+    await Model.updateMany({ _id: { $in: ids } }, { [path]: toId });
+  }
+
+  return ids;
+};
+
+/**
+ * Move every reference to some contacts or companies over to another one of
+ * the same type, e.g. when merging duplicates. A company also takes over the
+ * contacts listed on the others.
+ * @param {string} resource - contacts or companies
+ * @param {string[]} fromIds - Records losing their references
+ * @param {string} toId - Record taking them over
+ * @param {string} organizationId - Organization the records belong to
+ * @returns {Array} [{ resource, field, ids }] for every reference that changed
+ */
+const repointReferences = async (resource, fromIds, toId, organizationId) => {
+  const changed = [];
+
+  for (const reference of REFERENCES[resource] || []) {
+    const ids = await repointReference(reference, fromIds, toId, organizationId);
+
+    if (ids.length > 0) {
+      changed.push({
+        resource: reference.resource,
+        field: reference.arrayOf ? `${reference.arrayOf}.${reference.field}` : reference.field,
+        ids
+      });
+    }
+  }
+
+  if (resource === 'companies') {
+    const contactIds = await Company.find({ _id: { $in: fromIds }, organization: organizationId })
+      .distinct('contacts');
+
+    if (contactIds.length > 0) {
+      await Company.updateOne({ _id: toId }, { $addToSet: { contacts: { $each: contactIds } } });
+    }
+  }
+
+  return changed;
 };
 
 module.exports = {
   linkContactToCompany,
   unlinkContactFromCompany,
   updateCompanyContacts,
-  updateContactCompany
+  updateContactCompany,
+  assertLinksInOrganization,
+  repointReferences
 };
\ No newline at end of file
@@ -0,0 +1,188 @@
+const Opportunity = require('../models/Opportunity');
+const PipelineSnapshot = require('../models/PipelineSnapshot');
+
+// Opportunity fields kept in a snapshot
+const SNAPSHOT_FIELDS = ['title', 'owner', 'pipeline', 'stage', 'amount', 'forecastAmount', 'probability', 'close_date', 'forecast'];
+
+// Snapshot rows written per bulk write
+const BATCH_SIZE = 500;
+
+// Ways an opportunity can change between two snapshots
+const CHANGE_TYPES = ['new', 'slipped', 'pulledIn', 'amountChanged', 'won', 'lost', 'removed'];
+
+/**
+ * Get the snapshot date of a moment: the start of its day (UTC)
+ * @param {Date|string} date - Any moment
+ * @returns {Date} UTC midnight of that day
+ */
+const getSnapshotDate = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+/**
+ * Snapshot every open opportunity, in all organizations. Running it again on
+ * the same day replaces that day's snapshot.
+ * @param {Date} date - Moment of the snapshot
+ * @returns {Object} { snapshotDate, opportunities }
+ */
+const takeSnapshot = async (date = new Date()) => {
+  const snapshotDate = getSnapshotDate(date);
+  const takenAt = new Date();
+  let operations = [];
+  let count = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await PipelineSnapshot.bulkWrite(operations, { ordered: false });
+    count += operations.length;
+    operations = [];
+  };
+
+  const cursor = Opportunity.find({ status: 'open' })
+    .select([...SNAPSHOT_FIELDS, 'organization'].join(' '))
+    .lean()
+    .cursor();
+
+  for await (const opportunity of cursor) {
+    const values = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, opportunity[field]]));
+
+    operations.push({
+      updateOne: {
+        filter: { organization: opportunity.organization, snapshotDate, opportunity: opportunity._id },
+        update: { $set: { ...values, takenAt } },
+        upsert: true
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Opportunities closed or deleted since an earlier run that day
+  await PipelineSnapshot.deleteMany({ snapshotDate, takenAt: { $lt: takenAt } });
+
+  return { snapshotDate, opportunities: count };
+};
+
+/**
+ * Find the latest snapshot of an organization taken on or before a date
+ * @param {string} organizationId - Organization ID
+ * @param {Date|string} date - Any moment
+ * @returns {Date|null} Snapshot date, or null when there is none
+ */
+const findSnapshotDate = async (organizationId, date) => {
+  const row = await PipelineSnapshot.findOne({
+    organization: organizationId,
+    snapshotDate: { $lte: getSnapshotDate(date) }
+  })
+    .sort({ snapshotDate: -1 })
+    .select('snapshotDate')
+    .lean();
+
+  return row ? row.snapshotDate : null;
+};
+
+const createTotals = () => ({
+  start: { count: 0, amount: 0 },
+  end: { count: 0, amount: 0 },
+  ...Object.fromEntries(CHANGE_TYPES.map(type => [type, { count: 0, amount: 0 }]))
+});
+
+const add = (total, amount) => {
+  total.count += 1;
+  total.amount += amount || 0;
+};
+
+const pick = (row) => row && {
+  stage: row.stage,
+  amount: row.amount,
+  probability: row.probability,
+  close_date: row.close_date,
+  forecast: row.forecast
+};
+
+/**
+ * Compare the pipeline at two snapshot dates, per owner. An opportunity is
+ * new when only in the later snapshot; won, lost or removed (deleted, or moved
+ * out of the compared rows, e.g. to another pipeline) when only in the earlier
+ * one; slipped or pulled in when its close date moved later or earlier, and
+ * counted under amountChanged (with the net change as amount) when its amount
+ * changed. Opportunities count towards their owner in the later snapshot when
+ * they are in it.
+ * @param {Array} fromRows - Snapshot rows of the earlier date
+ * @param {Array} toRows - Snapshot rows of the later date
+ * @param {Map} outcomes - Opportunity ID -> current status (won, lost, open or
+ *   deleted); opportunities missing from it are left out of the comparison
+ * @returns {Object} { owners: [{ owner, ...totals }], totals, opportunities: [{ opportunity,
+ *   title, owner, changes, from, to }] }; totals are { start, end, new, slipped, pulledIn,
+ *   amountChanged, won, lost, removed }, each { count, amount }
+ */
+const compareSnapshots = (fromRows, toRows, outcomes) => {
+  const fromById = new Map(fromRows.map(row => [String(row.opportunity), row]));
+  const toById = new Map(toRows.map(row => [String(row.opportunity), row]));
+  const ids = [...new Set([...fromById.keys(), ...toById.keys()])].filter(id => outcomes.has(id));
+
+  const totals = createTotals();
+  const byOwner = new Map();
+  const opportunities = [];
+
+  ids.forEach(id => {
+    const before = fromById.get(id);
+    const after = toById.get(id);
+    const latest = after || before;
+    const owner = latest.owner ? String(latest.owner) : null;
+
+    if (!byOwner.has(owner)) byOwner.set(owner, createTotals());
+    const groups = [totals, byOwner.get(owner)];
+    const changes = [];
+
+    if (before) groups.forEach(group => add(group.start, before.amount));
+    if (after) groups.forEach(group => add(group.end, after.amount));
+
+    if (!before) {
+      changes.push('new');
+    } else if (!after) {
+      const status = outcomes.get(id);
+      changes.push(['won', 'lost'].includes(status) ? status : 'removed');
+    } else {
+      const closeBefore = before.close_date ? new Date(before.close_date).getTime() : null;
+      const closeAfter = after.close_date ? new Date(after.close_date).getTime() : null;
+
+      if (closeBefore !== null && closeAfter !== null && closeAfter > closeBefore) changes.push('slipped');
+      if (closeBefore !== null && closeAfter !== null && closeAfter < closeBefore) changes.push('pulledIn');
+      if ((before.amount || 0) !== (after.amount || 0)) changes.push('amountChanged');
+    }
+
+    changes.forEach(type => {
+      const amount = type === 'amountChanged'
+        ? (after.amount || 0) - (before.amount || 0)
+        : latest.amount;
+      groups.forEach(group => add(group[type], amount));
+    });
+
+    if (changes.length > 0) {
+      opportunities.push({
+        opportunity: id,
+        title: latest.title,
+        owner,
+        changes,
+        from: pick(before) || null,
+        to: pick(after) || null
+      });
+    }
+  });
+
+  return {
+    owners: [...byOwner.entries()].map(([owner, row]) => ({ owner, ...row })),
+    totals,
+    opportunities
+  };
+};
+
+module.exports = {
+  getSnapshotDate,
+  takeSnapshot,
+  findSnapshotDate,
+  compareSnapshots
+};
@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without storing the raw secret anywhere
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return `${sessionId}.${secret}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return sessionId;
+};
+
+const getRefreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ipAddress: req.ip
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+/**
+ * Sign the short-lived token handed out between the password step and the
+ * two-factor step of login. It carries no session, so `protect` rejects it.
+ * @param {string} userId - User ID
+ */
+const signChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRE,
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} challengeToken - Token returned by login
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the session an access token is bound to
+ * @param {string} token - Access token presented by the client
+ * @returns {string|null} Session ID, or null if the token is invalid or expired
+ */
+const getAccessTokenSession = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start a new session (token family) and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {object} req - Express request, used for device and IP details
+ */
+const createSession = async (userId, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = buildRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    ...getClientInfo(req)
+  });
+
+  return {
+    session,
+    token: signAccessToken(userId, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Presenting a token that was
+ * already rotated revokes the whole session, since either the legitimate
+ * client or an attacker is holding a stolen copy.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} req - Express request, used for device and IP details
+ * @returns {Promise<object|null>} New tokens, or null if the token is not usable
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = buildRefreshToken(sessionId);
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      $push: { previousTokenHashes: presentedHash },
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('+previousTokenHashes');
+
+    if (existing && !existing.revokedAt && existing.previousTokenHashes.includes(presentedHash)) {
+      await existing.revoke('token_reuse');
+    }
+
+    return null;
+  }
+
+  return {
+    session,
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} reason - Revocation reason
+ */
+const revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({ _id: sessionId, revokedAt: null })
+    .select('+refreshTokenHash');
+
+  if (!session || session.refreshTokenHash !== hashToken(refreshToken)) return null;
+
+  return await session.revoke(reason);
+};
+
+/**
+ * Revoke a session by ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  getAccessTokenSession,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession
+};
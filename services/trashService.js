@@ -0,0 +1,68 @@
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
+const Lead = require('../models/Lead');
+const Opportunity = require('../models/Opportunity');
+const Activity = require('../models/Activity');
+const Expense = require('../models/Expense');
+const Competitor = require('../models/Competitor');
+
+// Models using the soft delete plugin, keyed by resource name
+const TRASH_MODELS = {
+  companies: Company,
+  contacts: Contact,
+  leads: Lead,
+  opportunities: Opportunity,
+  activities: Activity,
+  expenses: Expense,
+  competitors: Competitor
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted record stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Build the query matching deleted records of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} conditions - Extra conditions, e.g. { _id } or { deletedBy }
+ * @returns {Object} Mongo filter
+ */
+const trashQuery = (organizationId, conditions = {}) => ({
+  ...conditions,
+  organization: organizationId,
+  deletedAt: { $ne: null }
+});
+
+/**
+ * Work out when a deleted record will be purged
+ * @param {Date} deletedAt - When the record was deleted
+ * @returns {Date} Purge date
+ */
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently delete every record that has been in the trash longer than the
+ * retention period, in all organizations
+ * @param {number} retentionDays - Days to keep deleted records
+ * @returns {Object} Number of records purged per resource
+ */
+const purgeExpired = async (retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const purged = {};
+
+  for (const [resource, Model] of Object.entries(TRASH_MODELS)) {
+    const result = await Model.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+    purged[resource] = result.deletedCount;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_MODELS,
+  TRASH_RETENTION_DAYS,
+  trashQuery,
+  getPurgeDate,
+  purgeExpired
+};
@@ -0,0 +1,89 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+  : null);
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Work out how fast opportunities move through a pipeline, from their stage
+ * histories. Only time spent in a stage the opportunity has since left
+ * counts towards the stage's average.
+ * @param {Object} pipeline - Pipeline document
+ * @param {Array} opportunities - Opportunities in the pipeline, with stageHistory, status and createdAt
+ * @returns {Object} {
+ *   stages: [{ key, name, category, avgDays, exits }],
+ *   conversions: [{ from, to, entered, converted, rate }],
+ *   salesCycle: { won: { count, avgDays }, lost: { count, avgDays } }
+ * }
+ */
+const getVelocity = (pipeline, opportunities) => {
+  const pipelineId = String(pipeline._id);
+  const openKeys = pipeline.stages.filter(stage => stage.category === 'open').map(stage => stage.key);
+
+  // Steps a deal goes through: the open stages in order, then any won stage.
+  // A deal has passed every step up to the furthest one it reached, skipped
+  // ones included; lost stages are not a step.
+  const steps = [...openKeys, 'won'];
+  const stepOf = (key) => {
+    const stage = pipeline.getStage(key);
+    if (!stage) return -1;
+    return stage.category === 'won' ? openKeys.length : openKeys.indexOf(key);
+  };
+
+  const stageDays = new Map(pipeline.stages.map(stage => [stage.key, []]));
+  const reached = steps.map(() => 0);
+  const cycles = { won: [], lost: [] };
+
+  opportunities.forEach(opportunity => {
+    const history = (opportunity.stageHistory || [])
+      .filter(entry => String(entry.pipeline) === pipelineId);
+
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      if (next && stageDays.has(entry.stage)) {
+        stageDays.get(entry.stage).push(daysBetween(entry.changedAt, next.changedAt));
+      }
+    });
+
+    const furthest = Math.max(-1, ...history.map(entry => stepOf(entry.stage)));
+    for (let step = 0; step <= furthest; step++) {
+      reached[step] += 1;
+    }
+
+    if (cycles[opportunity.status]) {
+      const closed = [...history].reverse().find(entry => entry.status === opportunity.status);
+      if (closed) {
+        cycles[opportunity.status].push(daysBetween(opportunity.createdAt, closed.changedAt));
+      }
+    }
+  });
+
+  return {
+    stages: pipeline.stages.map(stage => ({
+      key: stage.key,
+      name: stage.name,
+      category: stage.category,
+      avgDays: average(stageDays.get(stage.key)),
+      exits: stageDays.get(stage.key).length
+    })),
+    conversions: steps.slice(0, -1).map((from, step) => ({
+      from,
+      to: steps[step + 1],
+      entered: reached[step],
+      converted: reached[step + 1],
+      rate: percent(reached[step + 1], reached[step])
+    })),
+    salesCycle: {
+      won: { count: cycles.won.length, avgDays: average(cycles.won) },
+      lost: { count: cycles.lost.length, avgDays: average(cycles.lost) }
+    }
+  };
+};
+
+module.exports = {
+  getVelocity
+};
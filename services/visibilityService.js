@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const { hasPermission } = require('../middlewares/authMiddleware');
+
+// Field holding the user a record belongs to
+const OWNER_FIELD = 'owner';
+
+/**
+ * Work out which teams and colleagues decide what the current user can see.
+ * Computed once per request and kept on req.visibility.
+ * @param {Object} req - Express request with user and organization
+ * @returns {Object} { teamIds, teammateIds, managedUserIds }
+ */
+const getVisibilityContext = async (req) => {
+  if (req.visibility) return req.visibility;
+
+  const teams = await Team.findForUser(req.organization._id, req.user._id);
+
+  const teammateIds = new Set();
+  const managedUserIds = new Set();
+
+  teams.forEach(team => {
+    const userIds = team.getUserIds();
+    userIds.forEach(id => teammateIds.add(id));
+
+    if (team.isManager(req.user._id)) {
+      userIds.forEach(id => managedUserIds.add(id));
+    }
+  });
+
+  req.visibility = {
+    teamIds: teams.map(team => team._id),
+    teammateIds: [...teammateIds],
+    managedUserIds: [...managedUserIds]
+  };
+
+  return req.visibility;
+};
+
+/**
+ * Check whether the user may see and change every record of a resource,
+ * regardless of visibility and ownership
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource name, e.g. contacts
+ */
+const canManageAll = (req, resource) => hasPermission(req, resource, 'manage');
+
+/**
+ * Build the query condition matching the records the user may see.
+ * Records are visible to their owner, the owner's team managers, users they
+ * are shared with, the owner's team (visibility team) and everyone in the
+ * organization (visibility everyone).
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource name, e.g. contacts
+ * @returns {Object} Mongo filter, empty when everything is visible
+ */
+const buildVisibilityFilter = async (req, resource) => {
+  if (await canManageAll(req, resource)) return {};
+
+  const { teamIds, teammateIds, managedUserIds } = await getVisibilityContext(req);
+  const userId = req.user._id;
+
+  // ObjectIds rather than strings, so the filter also works in aggregations
+  const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id));
+
+  return {
+    $or: [
+      { visibility: { $in: ['everyone', null] } },
+      { [OWNER_FIELD]: userId },
+      { 'sharedWith.user': userId },
+      { visibility: 'team', team: { $in: teamIds } },
+      { visibility: 'team', team: null, [OWNER_FIELD]: { $in: toObjectIds(teammateIds) } },
+      { [OWNER_FIELD]: { $in: toObjectIds(managedUserIds) } }
+    ]
+  };
+};
+
+/**
+ * Add the visibility condition to a query. Kept under $and so it does not
+ * clash with a search $or already on the query.
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource name, e.g. contacts
+ * @param {Object} query - Query to extend
+ * @returns {Object} The query
+ */
+const applyVisibility = async (req, resource, query) => {
+  const filter = await buildVisibilityFilter(req, resource);
+
+  if (Object.keys(filter).length > 0) {
+    query.$and = [...(query.$and || []), filter];
+  }
+
+  return query;
+};
+
+/**
+ * Check whether the user may change a record they can see: its owner, the
+ * owner's team managers, users holding an edit share, and users who manage
+ * the resource
+ * @param {Object} req - Express request
+ * @param {string} resource - Resource name, e.g. contacts
+ * @param {Object} record - Record document
+ */
+const canEdit = async (req, resource, record) => {
+  const ownerId = record[OWNER_FIELD] && record[OWNER_FIELD]._id.toString();
+
+  if (ownerId === req.user.id) return true;
+
+  const share = record.getShare(req.user._id);
+  if (share && share.access === 'edit') return true;
+
+  const { managedUserIds } = await getVisibilityContext(req);
+  if (ownerId && managedUserIds.includes(ownerId)) return true;
+
+  return canManageAll(req, resource);
+};
+
+module.exports = {
+  OWNER_FIELD,
+  getVisibilityContext,
+  buildVisibilityFilter,
+  applyVisibility,
+  canEdit
+};
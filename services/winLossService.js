@@ -0,0 +1,80 @@
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Values an opportunity is grouped under for each breakdown; deals can count
+// towards several products or competitors
+const DIMENSIONS = {
+  bySector: opportunity => [opportunity.sector || null],
+  bySource: opportunity => [opportunity.source || null],
+  byProduct: opportunity => [...new Set(opportunity.products_pitched || [])],
+  byCompetitor: opportunity => [...new Set([
+    ...(opportunity.competitors || []).map(competitor => competitor.name),
+    ...(opportunity.lostToCompetitor ? [opportunity.lostToCompetitor.name] : [])
+  ])]
+};
+
+const createGroup = (key) => ({ key, won: 0, lost: 0, wonValue: 0, lostValue: 0, reasons: new Map() });
+
+const addToGroup = (group, opportunity) => {
+  const { status, closeReason } = opportunity;
+  const amount = opportunity.amount || 0;
+
+  group[status] += 1;
+  group[`${status}Value`] += amount;
+
+  if (closeReason) {
+    const id = `${status}:${closeReason}`;
+    const reason = group.reasons.get(id) || { outcome: status, reason: closeReason, count: 0, value: 0 };
+    reason.count += 1;
+    reason.value += amount;
+    group.reasons.set(id, reason);
+  }
+};
+
+const summarize = ({ key, won, lost, wonValue, lostValue, reasons }) => ({
+  key,
+  won,
+  lost,
+  winRate: percent(won, won + lost),
+  wonValue,
+  lostValue,
+  reasons: [...reasons.values()].sort((a, b) => b.count - a.count)
+});
+
+/**
+ * Break closed opportunities down by outcome: win rate, won and lost value
+ * and close reasons, overall and per sector, source, product pitched and
+ * competitor
+ * @param {Array} opportunities - Won and lost opportunities, with lostToCompetitor populated
+ * @returns {Object} { totals, bySector, bySource, byProduct, byCompetitor }; each
+ *   group is { key, won, lost, winRate, wonValue, lostValue, reasons: [{ outcome, reason, count, value }] }
+ */
+const getWinLoss = (opportunities) => {
+  const totals = createGroup(null);
+  const breakdowns = Object.fromEntries(Object.keys(DIMENSIONS).map(name => [name, new Map()]));
+
+  opportunities.forEach(opportunity => {
+    addToGroup(totals, opportunity);
+
+    Object.entries(DIMENSIONS).forEach(([name, keysOf]) => {
+      keysOf(opportunity).forEach(key => {
+        const groups = breakdowns[name];
+        if (!groups.has(key)) groups.set(key, createGroup(key));
+        addToGroup(groups.get(key), opportunity);
+      });
+    });
+  });
+
+  return {
+    totals: summarize(totals),
+    ...Object.fromEntries(Object.entries(breakdowns).map(([name, groups]) => [
+      name,
+      [...groups.values()]
+        .map(summarize)
+        .sort((a, b) => (b.won + b.lost) - (a.won + a.lost))
+    ]))
+  };
+};
+
+module.exports = {
+  getWinLoss
+};
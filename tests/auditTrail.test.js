@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const AuditLog = require('../models/AuditLog');
+const { createRole, updateRole, deleteRole } = require('../controllers/roleController');
+const { updateMember } = require('../controllers/organizationController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const [ownerId, memberId] = [id(), id()];
+
+const createOrganization = () => {
+  const organization = new Organization({ name: 'Acme' });
+  organization.addMember(ownerId, 'owner', 'admin');
+  organization.addMember(memberId, 'member', 'sales_rep');
+  organization.save = jest.fn().mockResolvedValue(organization);
+  return organization;
+};
+
+const createReq = (organization, fields) => ({
+  user: { _id: ownerId, id: ownerId.toString() },
+  organization,
+  role: 'admin',
+  params: {},
+  body: {},
+  headers: {},
+  get: () => 'jest',
+  ip: '127.0.0.1',
+  ...fields
+});
+
+const createRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+// Run a handler and resolve with the error it passed to next
+const run = async (handler, req) => {
+  let error;
+  await handler(req, createRes(), (err) => { error = err; });
+  return error;
+};
+
+// The audit entries written so far
+const entries = () => AuditLog.insertMany.mock.calls.flatMap(([docs]) => docs);
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('role changes', () => {
+  const createCustomRole = (organization) => {
+    const role = new Role({
+      name: 'auditor',
+      organization: organization._id,
+      permissions: [{ resource: 'audit', actions: ['read'] }]
+    });
+    role.save = jest.fn().mockResolvedValue(role);
+    role.deleteOne = jest.fn().mockResolvedValue(role);
+    jest.spyOn(Role, 'findOne').mockResolvedValue(role);
+    return role;
+  };
+
+  it('records roles being created', async () => {
+    const organization = createOrganization();
+    jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+    jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Role, 'create').mockImplementation(async (fields) => new Role(fields));
+
+    await run(createRole, createReq(organization, {
+      body: { name: 'auditor', permissions: [{ resource: 'audit', actions: ['read'] }] }
+    }));
+
+    expect(entries()).toEqual([expect.objectContaining({
+      action: 'create',
+      entityType: 'roles',
+      organization: organization._id,
+      actor: ownerId
+    })]);
+  });
+
+  it('records the permissions a role gains or loses', async () => {
+    const organization = createOrganization();
+    const role = createCustomRole(organization);
+
+    await run(updateRole, createReq(organization, {
+      params: { id: role.id },
+      body: { permissions: [{ resource: 'audit', actions: ['read'] }, { resource: 'users', actions: ['read'] }] }
+    }));
+
+    const [entry] = entries();
+    expect(entry).toMatchObject({ action: 'update', entityType: 'roles', entityId: role._id });
+    expect(entry.changes.map(change => change.field)).toEqual(['permissions']);
+  });
+
+  it('records roles being deleted', async () => {
+    const organization = createOrganization();
+    const role = createCustomRole(organization);
+
+    await run(deleteRole, createReq(organization, { params: { id: role.id } }));
+
+    expect(role.deleteOne).toHaveBeenCalled();
+    expect(entries()).toEqual([expect.objectContaining({ action: 'delete', entityType: 'roles', entityId: role._id })]);
+  });
+});
+
+describe('membership changes', () => {
+  it('records a member\'s new role in the log of the organization changed', async () => {
+    const [current, changed] = [createOrganization(), createOrganization()];
+    jest.spyOn(Organization, 'findOne').mockResolvedValue(changed);
+
+    await run(updateMember, createReq(current, {
+      params: { id: changed.id, userId: memberId.toString() },
+      body: { role: 'owner' }
+    }));
+
+    const [entry] = entries();
+    expect(entry).toMatchObject({
+      action: 'update',
+      entityType: 'organizations',
+      entityId: changed._id,
+      organization: changed._id,
+      metadata: { updatedMember: memberId }
+    });
+    expect(entry.changes[0].field).toBe('members');
+    expect(entry.changes[0].after.find(member => member.user === memberId.toString()).role).toBe('owner');
+  });
+});
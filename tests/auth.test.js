@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const { protect } = require('../middlewares/authMiddleware');
+const { loginTwoFactor, logout, resetPassword } = require('../controllers/authController');
+const { signAccessToken, signChallengeToken, verifyChallengeToken } = require('../services/tokenService');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const createRes = () => ({
+  cookie: jest.fn(),
+  clearCookie: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn()
+});
+
+// Run middleware or a handler and resolve with the error it passed to next
+const run = async (handler, req, res = createRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  return error;
+};
+
+// Sessions kept in memory, revoked the way revokeSession does it
+const stubSessions = (sessions) => {
+  jest.spyOn(Session, 'findActive').mockImplementation((sessionId) => ({
+    select: () => ({
+      lean: async () => {
+        const session = sessions.get(sessionId.toString());
+        return session && !session.revokedAt ? session : null;
+      }
+    })
+  }));
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+    const session = sessions.get(_id.toString());
+    if (!session || session.revokedAt) return null;
+    return Object.assign(session, update);
+  });
+};
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('protect', () => {
+  it('rejects requests without a token', async () => {
+    const error = await run(protect, { headers: {}, cookies: {} });
+
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('rejects two-factor challenge tokens, which carry no session', async () => {
+    stubSessions(new Map());
+
+    const error = await run(protect, {
+      headers: { authorization: `Bearer ${signChallengeToken(userId)}` },
+      cookies: {}
+    });
+
+    expect(error.code).toBe('SESSION_REVOKED');
+  });
+});
+
+describe('logout', () => {
+  it('revokes the session of the access token, so the token stops working', async () => {
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const sessions = new Map([[sessionId, { _id: sessionId, lastUsedAt: new Date(), revokedAt: null }]]);
+    stubSessions(sessions);
+
+    const req = {
+      headers: { authorization: `Bearer ${signAccessToken(userId, sessionId)}` },
+      cookies: {},
+      body: {}
+    };
+    const res = createRes();
+
+    await run(logout, req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sessions.get(sessionId)).toMatchObject({ revokedReason: 'logout' });
+    expect(sessions.get(sessionId).revokedAt).toBeInstanceOf(Date);
+
+    const error = await run(protect, { ...req, body: undefined });
+    expect(error.code).toBe('SESSION_REVOKED');
+  });
+
+  it('also revokes the session of an access token sent as a cookie', async () => {
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const sessions = new Map([[sessionId, { _id: sessionId, revokedAt: null }]]);
+    stubSessions(sessions);
+
+    await run(logout, {
+      headers: {},
+      cookies: { token: signAccessToken(userId, sessionId) },
+      body: {}
+    });
+
+    expect(sessions.get(sessionId).revokedAt).toBeInstanceOf(Date);
+  });
+
+  it('succeeds without any token', async () => {
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+    const res = createRes();
+
+    await run(logout, { headers: {}, cookies: {}, body: {} }, res);
+
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('resetPassword', () => {
+  const createResetReq = () => ({
+    params: { resettoken: 'reset-token' },
+    body: { password: 'n3w-Passw0rd!' },
+    headers: {},
+    get: () => 'jest',
+    ip: '127.0.0.1'
+  });
+
+  const stubUser = (twoFactorEnabled) => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ada',
+      email: 'ada@example.com',
+      twoFactor: { enabled: twoFactorEnabled },
+      save: jest.fn()
+    };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(Session, 'create').mockImplementation(async (session) => session);
+    return user;
+  };
+
+  it('signs the user in when two-factor is off', async () => {
+    const user = stubUser(false);
+    const res = createRes();
+
+    await run(resetPassword, createResetReq(), res);
+
+    expect(user.password).toBe('n3w-Passw0rd!');
+    expect(Session.create).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.token).toEqual(expect.any(String));
+  });
+
+  it('only hands out a two-factor challenge when two-factor is on', async () => {
+    const user = stubUser(true);
+    const res = createRes();
+
+    await run(resetPassword, createResetReq(), res);
+
+    expect(user.save).toHaveBeenCalled();
+    expect(Session.create).not.toHaveBeenCalled();
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).not.toHaveProperty('token');
+    expect(data.twoFactorRequired).toBe(true);
+    expect(verifyChallengeToken(data.challengeToken)).toBe(user._id.toString());
+  });
+});
+
+describe('loginTwoFactor', () => {
+  const stubThrottle = (throttle) => {
+    jest.spyOn(LoginThrottle, 'findOne').mockReturnValue({ lean: async () => throttle });
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ failures: 1 });
+  };
+
+  it('refuses codes from an IP locked out by failed attempts', async () => {
+    stubThrottle({ lockUntil: new Date(Date.now() + 60 * 1000), failures: 0 });
+    const findById = jest.spyOn(User, 'findById');
+    const res = { ...createRes(), set: jest.fn() };
+
+    const error = await run(loginTwoFactor, {
+      body: { challengeToken: signChallengeToken(userId), code: '123456' },
+      ip: '127.0.0.1'
+    }, res);
+
+    expect(error.code).toBe('LOGIN_THROTTLED');
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('counts invalid challenge tokens against the IP', async () => {
+    stubThrottle(null);
+
+    const error = await run(loginTwoFactor, {
+      body: { challengeToken: 'forged', code: '123456' },
+      ip: '127.0.0.1'
+    });
+
+    expect(error.statusCode).toBe(401);
+    expect(LoginThrottle.findOneAndUpdate).toHaveBeenCalledWith(
+      { ipAddress: '127.0.0.1' }, expect.anything(), expect.anything()
+    );
+  });
+});
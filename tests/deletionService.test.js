@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
+const Opportunity = require('../models/Opportunity');
+const Activity = require('../models/Activity');
+const Expense = require('../models/Expense');
+const { hasPermission } = require('../middlewares/authMiddleware');
+const { canEdit } = require('../services/visibilityService');
+const { recordBulkUpdate } = require('../services/auditService');
+const { planDeletion, deleteWithCascade } = require('../services/deletionService');
+
+jest.mock('../middlewares/authMiddleware', () => ({
+  ...jest.requireActual('../middlewares/authMiddleware'),
+  hasPermission: jest.fn()
+}));
+jest.mock('../services/visibilityService');
+jest.mock('../services/auditService', () => ({
+  ...jest.requireActual('../services/auditService'),
+  recordChange: jest.fn(),
+  recordBulkUpdate: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+const userId = id();
+
+const req = {
+  user: { _id: userId, id: userId.toString() },
+  organization: { _id: organizationId },
+  role: 'sales_manager'
+};
+
+const createRecord = (Model, fields) => {
+  const record = new Model({ organization: organizationId, ...fields });
+  record.softDelete = jest.fn().mockResolvedValue(record);
+  return record;
+};
+
+// Related records found per model and field path, e.g. { 'Activity:attendees.contact': [ids] }
+const stubRelated = (related) => {
+  [Company, Contact, Opportunity, Activity, Expense].forEach(Model => {
+    jest.spyOn(Model, 'find').mockImplementation((filter) => ({
+      distinct: async () => {
+        const path = Object.keys(filter).find(key => key !== 'organization');
+        return related[`${Model.modelName}:${path}`] || [];
+      },
+      then: (resolve) => resolve([])
+    }));
+    jest.spyOn(Model, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Model, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Model, 'exists').mockResolvedValue({ _id: id() });
+    jest.spyOn(Model, 'findById').mockImplementation(async (recordId) => ({ _id: recordId }));
+  });
+};
+
+beforeEach(() => {
+  hasPermission.mockResolvedValue(true);
+  canEdit.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('deleting a company', () => {
+  it('is blocked by its opportunities unless they are moved', async () => {
+    const company = createRecord(Company, { name: 'Analytical Engines' });
+    stubRelated({ 'Opportunity:company_id': [id()] });
+
+    await expect(deleteWithCascade(req, 'companies', company)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'DELETE_BLOCKED'
+    });
+    expect(company.softDelete).not.toHaveBeenCalled();
+  });
+
+  it('moves opportunities and contacts to the company named in reassignTo', async () => {
+    const company = createRecord(Company, { name: 'Analytical Engines' });
+    const target = id().toString();
+    const [opportunityIds, contactIds] = [[id()], [id(), id()]];
+    stubRelated({ 'Opportunity:company_id': opportunityIds, 'Contact:company_id': contactIds });
+
+    await deleteWithCascade(req, 'companies', company, {
+      cascade: { opportunities: 'reassign', contacts: 'reassign' },
+      reassignTo: target
+    });
+
+    expect(Opportunity.updateMany).toHaveBeenCalledWith({ _id: { $in: opportunityIds } }, { company_id: target }, undefined);
+    expect(Contact.updateMany).toHaveBeenCalledWith({ _id: { $in: contactIds } }, { company_id: target }, undefined);
+    // The new company lists the contacts it took over
+    expect(Company.updateOne).toHaveBeenCalledWith({ _id: target }, { $addToSet: { contacts: { $each: contactIds } } });
+    expect(company.softDelete).toHaveBeenCalledWith(userId);
+  });
+});
+
+describe('deleting a contact', () => {
+  it('finds the activities it attends', async () => {
+    const contact = createRecord(Contact, { first_name: 'Ada', last_name: 'Lovelace' });
+    const activityIds = [id()];
+    stubRelated({ 'Activity:attendees.contact': activityIds });
+
+    const plan = await planDeletion('contacts', contact);
+
+    expect(plan.effects).toContainEqual({
+      resource: 'activities',
+      field: 'attendees.contact',
+      behaviour: 'unlink',
+      count: 1,
+      ids: activityIds
+    });
+  });
+
+  it('drops it from the attendees of its activities', async () => {
+    const contact = createRecord(Contact, { first_name: 'Ada', last_name: 'Lovelace' });
+    const [activityIds, companyIds] = [[id()], [id()]];
+    stubRelated({ 'Activity:attendees.contact': activityIds, 'Company:contacts': companyIds });
+
+    await deleteWithCascade(req, 'contacts', contact);
+
+    expect(Activity.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: activityIds } },
+      { $pull: { attendees: { contact: contact._id } } },
+      undefined
+    );
+    expect(Company.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: companyIds } },
+      { $pull: { contacts: contact._id } },
+      undefined
+    );
+    expect(recordBulkUpdate).toHaveBeenCalledWith(req, 'activities', activityIds, [
+      { field: 'attendees.contact', before: contact._id, after: null }
+    ]);
+  });
+
+  it('points its attendances at the contact named in reassignTo', async () => {
+    const contact = createRecord(Contact, { first_name: 'Ada', last_name: 'Lovelace' });
+    const target = id().toString();
+    const activityIds = [id()];
+    stubRelated({ 'Activity:attendees.contact': activityIds });
+
+    await deleteWithCascade(req, 'contacts', contact, { cascade: { activities: 'reassign' }, reassignTo: target });
+
+    expect(Activity.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: activityIds } },
+      { $set: { 'attendees.$[item].contact': target } },
+      { arrayFilters: [{ 'item.contact': contact._id }] }
+    );
+  });
+});
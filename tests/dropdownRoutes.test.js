@@ -0,0 +1,19 @@
+const express = require('express');
+const request = require('supertest');
+const contactRoutes = require('../routes/contactRoutes');
+const companyRoutes = require('../routes/companyRoutes');
+const { errorHandler } = require('../middlewares/errorMiddleware');
+
+const app = express();
+app.use('/api/contacts', contactRoutes);
+app.use('/api/companies', companyRoutes);
+app.use(errorHandler);
+
+describe('dropdown lists', () => {
+  it.each(['/api/contacts/all', '/api/companies/all'])('%s requires authentication', async (path) => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+});
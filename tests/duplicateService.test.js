@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const { applyVisibility } = require('../services/visibilityService');
+const { findDuplicates, assertNoDuplicates, splitDuplicateRows } = require('../services/duplicateService');
+
+jest.mock('../services/visibilityService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+
+const req = {
+  user: { _id: id() },
+  organization: { _id: organizationId },
+  role: 'sales_rep',
+  query: {}
+};
+
+// Existing contacts; each query returns those matching its condition, up to its limit
+const stubContacts = (contacts) => {
+  const queries = [];
+
+  jest.spyOn(Contact, 'find').mockImplementation((filter) => {
+    const query = { filter, limit: Infinity };
+    queries.push(query);
+
+    const chain = {
+      select: () => chain,
+      limit: (limit) => { query.limit = limit; return chain; },
+      lean: async () => {
+        const [field] = Object.keys(filter).filter(key => key !== 'organization' && key !== '_id');
+        const condition = filter[field];
+        const patterns = condition.$in || [condition];
+
+        return contacts
+          .filter(contact => patterns.some(pattern => pattern.test(contact[field] || '')))
+          .slice(0, query.limit);
+      }
+    };
+    return chain;
+  });
+
+  return queries;
+};
+
+const createContact = (fields) => ({ _id: id(), first_name: 'Ada', last_name: 'Lovelace', ...fields });
+
+beforeEach(() => {
+  applyVisibility.mockImplementation(async (request, resource, query) => query);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('findDuplicates', () => {
+  it('matches the same email whatever its case, and similar names at the same company', async () => {
+    const companyId = id();
+    const byEmail = createContact({ first_name: 'Grace', last_name: 'Hopper', email: 'ADA@example.com' });
+    const byName = createContact({ first_name: 'Ada', last_name: 'Lovelace.', company_id: companyId });
+    const elsewhere = createContact({ company_id: id() });
+    stubContacts([byEmail, byName, elsewhere]);
+
+    const duplicates = await findDuplicates(req, 'contacts', {
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email: 'ada@example.com',
+      company_id: companyId
+    });
+
+    expect(duplicates.map(duplicate => duplicate._id)).toEqual([byEmail._id, byName._id]);
+    expect(duplicates[0]).toMatchObject({ matchedOn: ['email'], matchedFields: ['email'] });
+  });
+});
+
+describe('assertNoDuplicates', () => {
+  it('refuses records that look like existing ones unless duplicates are allowed', async () => {
+    stubContacts([createContact({ phone: '+1 (555) 010-2030' })]);
+    const data = { first_name: 'Grace', last_name: 'Hopper', phone: '555 010 2030' };
+
+    await expect(assertNoDuplicates(req, 'contacts', data)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'DUPLICATE_RECORD'
+    });
+    await expect(assertNoDuplicates({ ...req, query: { allowDuplicate: 'true' } }, 'contacts', data))
+      .resolves.toBeUndefined();
+  });
+});
+
+describe('splitDuplicateRows', () => {
+  it('separates rows matching existing records or earlier rows', async () => {
+    const existing = createContact({ first_name: 'Grace', last_name: 'Hopper', email: 'grace@example.com' });
+    stubContacts([existing]);
+
+    const rows = [
+      { first_name: 'Alan', last_name: 'Turing', email: 'alan@example.com' },
+      { first_name: 'Grace', last_name: 'Brewster', email: 'Grace@example.com' },
+      { first_name: 'Alan', last_name: 'Turing', email: 'turing@example.com' }
+    ];
+
+    const result = await splitDuplicateRows(req, 'contacts', rows);
+
+    expect(result.rows).toEqual([rows[0]]);
+    expect(result.duplicates).toEqual([
+      { index: 1, data: rows[1], duplicates: [existing._id], duplicateOfRows: [] },
+      { index: 2, data: rows[2], duplicates: [], duplicateOfRows: [0] }
+    ]);
+  });
+
+  it('queries large imports in batches, with a bounded number of candidates per row', async () => {
+    const queries = stubContacts([]);
+    const rows = Array.from({ length: 250 }, (_, index) => ({
+      first_name: `Row${index}`,
+      last_name: 'Import',
+      email: `row${index}@example.com`
+    }));
+
+    const result = await splitDuplicateRows(req, 'contacts', rows);
+
+    expect(result.rows.length + result.duplicates.length).toBe(250);
+
+    const emailQueries = queries.filter(query => query.filter.email);
+    expect(emailQueries.map(query => query.filter.email.$in.length)).toEqual([100, 100, 50]);
+    emailQueries.forEach(query => expect(query.limit).toBe(50 * query.filter.email.$in.length));
+
+    // Every row's name starts with "ro", so the batch shares one capped name query
+    const nameQueries = queries.filter(query => query.filter.first_name);
+    expect(nameQueries).toHaveLength(3);
+    nameQueries.forEach(query => expect(query.limit).toBe(50));
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { getPeriodStart, listPeriods } = require('../utils/periods');
+const { buildForecast } = require('../services/forecastService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('periods', () => {
+  it('start on the first day of their month, quarter or year', () => {
+    const date = '2026-08-19T15:30:00Z';
+
+    expect(getPeriodStart(date, 'month')).toEqual(new Date('2026-08-01T00:00:00Z'));
+    expect(getPeriodStart(date, 'quarter')).toEqual(new Date('2026-07-01T00:00:00Z'));
+    expect(getPeriodStart(date, 'year')).toEqual(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  it('are listed when they overlap the range', () => {
+    const periods = listPeriods('2026-02-15', '2026-07-01', 'quarter');
+
+    expect(periods).toEqual([
+      { start: new Date('2026-01-01T00:00:00Z'), end: new Date('2026-04-01T00:00:00Z') },
+      { start: new Date('2026-04-01T00:00:00Z'), end: new Date('2026-07-01T00:00:00Z') },
+      { start: new Date('2026-07-01T00:00:00Z'), end: new Date('2026-10-01T00:00:00Z') }
+    ]);
+  });
+});
+
+describe('buildForecast', () => {
+  const [ada, grace, alan] = [id(), id(), id()];
+  const periods = listPeriods('2026-01-01', '2026-02-28', 'month');
+  const [january, february] = periods.map(period => period.start);
+
+  const opportunities = [
+    { owner: ada, status: 'won', amount: 500, closedAt: new Date('2026-01-20'), close_date: new Date('2026-02-10') },
+    { owner: ada, status: 'open', amount: 300, forecast: 'commit', close_date: new Date('2026-01-25') },
+    { owner: ada, status: 'open', amount: 400, forecastAmount: 200, forecast: 'bestcase', close_date: new Date('2026-01-31') },
+    { owner: ada, status: 'open', amount: 100, forecast: 'omitted', close_date: new Date('2026-01-31') },
+    { owner: grace, status: 'open', amount: 250, forecast: 'in-pipeline', close_date: new Date('2026-02-05') },
+    { owner: grace, status: 'lost', amount: 900, forecast: 'commit', close_date: new Date('2026-01-05') },
+    { owner: grace, status: 'open', amount: 700, forecast: 'commit', close_date: new Date('2026-05-01') }
+  ];
+
+  const quotas = [
+    { user: ada, periodStart: january, amount: 1000 },
+    { user: grace, periodStart: february, amount: 500 }
+  ];
+
+  it('totals deals per owner and period against their quotas', () => {
+    const [first, second] = buildForecast({ periodType: 'month', periods, opportunities, quotas });
+
+    // Won deals count when they closed, open deals at their close date;
+    // omitted, lost and out-of-range deals are left out
+    expect(first.owners).toEqual([{
+      owner: String(ada),
+      closedWon: 500,
+      commit: 300,
+      bestCase: 200,
+      pipeline: 0,
+      quota: 1000,
+      attainment: 50,
+      commitAttainment: 80
+    }]);
+    expect(second.owners).toEqual([{
+      owner: String(grace),
+      closedWon: 0,
+      commit: 0,
+      bestCase: 0,
+      pipeline: 250,
+      quota: 500,
+      attainment: 0,
+      commitAttainment: 0
+    }]);
+    expect(first.totals).toMatchObject({ closedWon: 500, quota: 1000, attainment: 50 });
+  });
+
+  it('lists the owners asked for, even without deals', () => {
+    const [first] = buildForecast({ periodType: 'month', periods, opportunities, quotas, owners: [alan] });
+
+    expect(first.owners).toEqual([{
+      owner: String(alan),
+      closedWon: 0,
+      commit: 0,
+      bestCase: 0,
+      pipeline: 0,
+      quota: null,
+      attainment: null,
+      commitAttainment: null
+    }]);
+    expect(first.totals.closedWon).toBe(0);
+  });
+
+  it('adds up team members against the team quota', () => {
+    const team = { _id: id(), name: 'Engines', userIds: [ada, grace] };
+    const teamQuotas = [...quotas, { team: team._id, periodStart: january, amount: 2000 }];
+
+    const [first, second] = buildForecast({
+      periodType: 'month',
+      periods,
+      opportunities,
+      quotas: teamQuotas,
+      teams: [team]
+    });
+
+    expect(first.teams).toEqual([{
+      team: team._id,
+      name: 'Engines',
+      closedWon: 500,
+      commit: 300,
+      bestCase: 200,
+      pipeline: 0,
+      quota: 2000,
+      attainment: 25,
+      commitAttainment: 40
+    }]);
+    // No team quota in February
+    expect(second.teams).toEqual([]);
+  });
+});
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Company = require('../models/Company');
+const { applyVisibility, canEdit } = require('../services/visibilityService');
+const { repointReferences, updateContactCompany } = require('../services/relationshipService');
+const { recordChange, recordBulkUpdate } = require('../services/auditService');
+const { getFieldActions } = require('../middlewares/writableFieldsMiddleware');
+const { mergeRecords } = require('../services/mergeService');
+
+jest.mock('../services/visibilityService');
+jest.mock('../services/relationshipService');
+jest.mock('../middlewares/writableFieldsMiddleware', () => ({
+  ...jest.requireActual('../middlewares/writableFieldsMiddleware'),
+  getFieldActions: jest.fn()
+}));
+jest.mock('../services/auditService', () => ({
+  ...jest.requireActual('../services/auditService'),
+  recordChange: jest.fn(),
+  recordBulkUpdate: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+const userId = id();
+
+const req = {
+  user: { _id: userId, id: userId.toString() },
+  organization: { _id: organizationId },
+  role: 'sales_rep'
+};
+
+const createContact = (fields) => {
+  const contact = new Contact({
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    organization: organizationId,
+    owner: userId,
+    ...fields
+  });
+  contact.save = jest.fn().mockResolvedValue(contact);
+  contact.softDelete = jest.fn().mockResolvedValue(contact);
+  return contact;
+};
+
+// Records the merge can load, in the order the database returns them
+const stubContacts = (records) => {
+  jest.spyOn(Contact, 'find').mockResolvedValue(records);
+  jest.spyOn(Contact, 'findById').mockImplementation(async (recordId) =>
+    records.find(record => record._id.equals(recordId)));
+};
+
+beforeEach(() => {
+  getFieldActions.mockResolvedValue([]);
+  applyVisibility.mockImplementation(async (request, resource, query) => query);
+  canEdit.mockResolvedValue(true);
+  repointReferences.mockResolvedValue([]);
+  updateContactCompany.mockResolvedValue();
+  jest.spyOn(Company, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('mergeRecords', () => {
+  it('needs at least one record other than the survivor', async () => {
+    const survivor = createContact();
+
+    await expect(mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [survivor.id]
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Nothing to merge' });
+  });
+
+  it('only takes writable fields, from the merged records', async () => {
+    const [survivor, loser] = [createContact(), createContact()];
+    stubContacts([survivor, loser]);
+
+    const error = await mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [loser.id],
+      fields: { owner: loser.id, email: id().toString() }
+    }).catch(err => err);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.details.map(detail => detail.field)).toEqual(['fields.owner', 'fields.email']);
+    expect(Contact.find).not.toHaveBeenCalled();
+  });
+
+  it('takes the owner for users allowed to assign records', async () => {
+    const [survivor, loser] = [createContact(), createContact({ owner: id() })];
+    stubContacts([survivor, loser]);
+    getFieldActions.mockResolvedValue(['assign']);
+
+    await mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [loser.id],
+      fields: { owner: loser.id }
+    });
+
+    expect(getFieldActions).toHaveBeenCalledWith(req, 'contacts');
+    expect(survivor.owner).toEqual(loser.owner);
+  });
+
+  it('refuses records the user cannot see', async () => {
+    const [survivor, loser] = [createContact(), createContact()];
+    stubContacts([survivor]);
+
+    await expect(mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [loser.id]
+    })).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(applyVisibility).toHaveBeenCalledWith(req, 'contacts', expect.objectContaining({ organization: organizationId }));
+  });
+
+  it('refuses records the user cannot edit', async () => {
+    const [survivor, loser] = [createContact(), createContact()];
+    stubContacts([survivor, loser]);
+    canEdit.mockImplementation(async (request, resource, record) => record !== loser);
+
+    await expect(mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [loser.id]
+    })).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(survivor.save).not.toHaveBeenCalled();
+    expect(loser.softDelete).not.toHaveBeenCalled();
+  });
+
+  it('moves the survivor to the company it took and trashes the losers', async () => {
+    const [oldCompanyId, newCompanyId] = [id(), id()];
+    const survivor = createContact({ company_id: oldCompanyId });
+    const loser = createContact({ email: 'ada@example.com', company_id: newCompanyId });
+    stubContacts([loser, survivor]);
+
+    const moved = [{ resource: 'activities', field: 'contact_id', ids: [id(), id()] }];
+    repointReferences.mockResolvedValue(moved);
+
+    const result = await mergeRecords(req, 'contacts', {
+      survivor: survivor.id,
+      losers: [loser.id],
+      fields: { email: loser.id, company_id: loser.id }
+    });
+
+    expect(survivor.email).toBe('ada@example.com');
+    expect(survivor.company_id).toEqual(newCompanyId);
+    expect(survivor.save).toHaveBeenCalled();
+
+    expect(repointReferences).toHaveBeenCalledWith('contacts', [loser._id], survivor._id, organizationId);
+    expect(recordBulkUpdate).toHaveBeenCalledWith(req, 'activities', moved[0].ids, expect.any(Array));
+
+    expect(updateContactCompany).toHaveBeenCalledWith(
+      survivor._id, newCompanyId.toString(), organizationId, oldCompanyId.toString()
+    );
+    expect(Company.updateMany).toHaveBeenCalledWith(
+      { organization: organizationId, contacts: survivor._id, _id: { $ne: survivor.company_id } },
+      { $pull: { contacts: survivor._id } }
+    );
+
+    expect(loser.softDelete).toHaveBeenCalledWith(userId);
+    expect(recordChange).toHaveBeenCalledWith(req, 'delete', 'contacts', loser, {}, { mergedInto: survivor._id });
+    expect(recordChange).toHaveBeenCalledWith(req, 'merge', 'contacts', survivor, expect.any(Object), expect.objectContaining({
+      losers: [loser._id]
+    }));
+
+    expect(result).toEqual({
+      survivor,
+      losers: [loser._id],
+      moved: [{ resource: 'activities', field: 'contact_id', count: 2 }]
+    });
+  });
+
+  it('keeps the survivor\'s company when it did not take another', async () => {
+    const companyId = id();
+    const survivor = createContact({ company_id: companyId });
+    const loser = createContact({ company_id: id() });
+    stubContacts([survivor, loser]);
+
+    await mergeRecords(req, 'contacts', { survivor: survivor.id, losers: [loser.id] });
+
+    expect(updateContactCompany).not.toHaveBeenCalled();
+    // The losers' companies stop listing the survivor
+    expect(Company.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: { $ne: companyId } }),
+      { $pull: { contacts: survivor._id } }
+    );
+  });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { hasPermission, clearRoleCache } = require('../middlewares/authMiddleware');
+const { getRoles } = require('../controllers/roleController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const userId = id();
+
+const createOrganization = (accessRole) => {
+  const organization = new Organization({ name: 'Acme', owner: userId });
+  organization.addMember(userId, 'owner', accessRole);
+  return organization;
+};
+
+const createReq = (organization) => ({
+  user: { _id: userId, id: userId.toString() },
+  organization,
+  role: organization.getAccessRole(userId)
+});
+
+// Roles kept in memory, matched the way Role.availableTo filters them
+const stubRoles = (roles) => {
+  const available = ({ organization }) => roles.filter(role =>
+    organization.$in.some(orgId => String(orgId) === String(role.organization)));
+
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'findOne').mockImplementation(async (filter) =>
+    available(filter).find(role => role.name === filter.name) || null);
+  jest.spyOn(Role, 'exists').mockImplementation(async (filter) =>
+    available(filter).some(role => role.name === filter.name));
+  jest.spyOn(Role, 'find').mockImplementation((filter) => ({
+    sort: async () => available(filter)
+  }));
+};
+
+beforeEach(() => {
+  clearRoleCache();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('roles per organization', () => {
+  const [acme, globex] = [createOrganization('admin'), createOrganization('user')];
+
+  const custom = new Role({
+    name: 'auditor',
+    organization: acme._id,
+    permissions: [{ resource: 'audit', actions: ['read'] }]
+  });
+
+  beforeEach(() => {
+    stubRoles([
+      new Role({ name: 'admin', organization: null, permissions: [{ resource: 'users', actions: ['update'] }] }),
+      new Role({ name: 'user', organization: null, permissions: [{ resource: 'users', actions: ['read'] }] }),
+      custom
+    ]);
+  });
+
+  it('gives a user the role they hold in each organization', async () => {
+    expect(createReq(acme).role).toBe('admin');
+    expect(createReq(globex).role).toBe('user');
+
+    await expect(hasPermission(createReq(acme), 'users', 'update')).resolves.toBe(true);
+    await expect(hasPermission(createReq(globex), 'users', 'update')).resolves.toBe(false);
+  });
+
+  it('only lets the organization a custom role belongs to use it', async () => {
+    const inAcme = { ...createReq(acme), role: 'auditor' };
+    const inGlobex = { ...createReq(globex), role: 'auditor' };
+
+    await expect(hasPermission(inAcme, 'audit', 'read')).resolves.toBe(true);
+    await expect(hasPermission(inGlobex, 'audit', 'read')).resolves.toBe(false);
+    await expect(Role.isValidRole('auditor', globex._id)).resolves.toBe(false);
+  });
+
+  it('lists the built-in roles and the organization\'s own', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await getRoles(createReq(globex), res, jest.fn());
+
+    expect(res.json.mock.calls[0][0].data.map(role => role.name)).toEqual(['admin', 'user']);
+  });
+});
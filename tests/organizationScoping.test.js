@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Contact = require('../models/Contact');
+const Company = require('../models/Company');
+const Organization = require('../models/Organization');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { protect } = require('../middlewares/authMiddleware');
+const { getUser } = require('../controllers/userController');
+const { createContact } = require('../controllers/contactController');
+const { signAccessToken } = require('../services/tokenService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// An organization the user belongs to with the given role, or not at all
+const createOrganization = (userId, accessRole) => {
+  const organization = new Organization({ name: 'Acme' });
+  if (accessRole) organization.addMember(userId, 'member', accessRole);
+  return organization;
+};
+
+const createRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+// Run middleware or a handler and resolve with the error it passed to next
+const run = async (handler, req, res = createRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  return error;
+};
+
+describe('protect', () => {
+  // Users are cached by ID, so every test gets its own
+  const createUser = () => new User({ name: 'Ada', email: 'ada@example.com', isEmailVerified: true });
+
+  // Sign the user in with an active session, working in the given organizations
+  const signIn = (user, organizations) => {
+    const sessionId = id().toString();
+
+    jest.spyOn(Session, 'findActive').mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: sessionId, lastUsedAt: new Date() }) })
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(SecurityPolicy, 'getPolicy').mockResolvedValue({ requiresTwoFactor: () => false });
+    jest.spyOn(Organization, 'findById').mockImplementation(async (organizationId) =>
+      organizations.find(organization => organization._id.equals(organizationId)) || null);
+
+    return (headers = {}) => ({
+      headers: { authorization: `Bearer ${signAccessToken(user._id.toString(), sessionId)}`, ...headers },
+      cookies: {},
+      method: 'GET',
+      originalUrl: '/api/contacts'
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('works in the organization named by the header, with the role held there', async () => {
+    const user = createUser();
+    const [active, other] = [createOrganization(user._id, 'admin'), createOrganization(user._id, 'read_only')];
+    user.activeOrganization = active._id;
+    const createReq = signIn(user, [active, other]);
+
+    const req = createReq({ 'x-organization-id': other.id });
+    const error = await run(protect, req);
+
+    expect(error).toBeUndefined();
+    expect(req.organization).toBe(other);
+    expect(req.role).toBe('read_only');
+  });
+
+  it('refuses organizations the user is not a member of', async () => {
+    const foreign = createOrganization(id());
+    const createReq = signIn(createUser(), [foreign]);
+
+    const error = await run(protect, createReq({ 'x-organization-id': foreign.id }));
+
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('NOT_ORGANIZATION_MEMBER');
+  });
+
+  it('falls back to the personal workspace when removed from the active one', async () => {
+    const user = createUser();
+    const left = createOrganization(id());
+    user.activeOrganization = left._id;
+    const createReq = signIn(user, [left]);
+    const personal = createOrganization(user._id, 'user');
+    jest.spyOn(Organization, 'ensurePersonal').mockResolvedValue(personal);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const req = createReq();
+    await run(protect, req);
+
+    expect(req.organization).toBe(personal);
+    expect(req.role).toBe('user');
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { activeOrganization: personal._id });
+  });
+});
+
+describe('scoped controllers', () => {
+  const userId = id();
+  const organization = createOrganization(userId, 'admin');
+
+  const createReq = (fields) => ({
+    user: { _id: userId, id: userId.toString() },
+    organization,
+    role: 'admin',
+    params: {},
+    query: {},
+    body: {},
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not show users of other organizations', async () => {
+    const findById = jest.spyOn(User, 'findById');
+
+    const error = await run(getUser, createReq({ params: { id: id().toString() } }));
+
+    expect(error.statusCode).toBe(404);
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('does not create contacts at companies of other organizations', async () => {
+    jest.spyOn(Company, 'countDocuments').mockResolvedValue(0);
+    const create = jest.spyOn(Contact, 'create');
+
+    const error = await run(createContact, createReq({
+      query: { allowDuplicate: 'true' },
+      body: { first_name: 'Ada', last_name: 'Lovelace', company_id: id().toString() }
+    }));
+
+    expect(error).toMatchObject({ statusCode: 404, message: 'Company not found' });
+    expect(Company.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ organization: organization._id }));
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { DEFAULT_ROLES } = require('../config/permissions');
+const {
+  hasPermission,
+  canGrantRole,
+  checkPermission,
+  checkSelfOrPermission,
+  clearRoleCache
+} = require('../middlewares/authMiddleware');
+const { updateRole, deleteRole } = require('../controllers/roleController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const userId = id();
+
+const createReq = (role, fields) => ({
+  user: { _id: userId, id: userId.toString() },
+  organization: { _id: id(), members: [] },
+  role,
+  params: {},
+  ...fields
+});
+
+// Run middleware or a handler and resolve with the error it passed to next,
+// or 'next' when it let the request through
+const run = async (handler, req) => {
+  let result;
+  await handler(req, { status: jest.fn().mockReturnThis(), json: jest.fn() }, (err) => { result = err || 'next'; });
+  return result;
+};
+
+beforeEach(() => {
+  clearRoleCache();
+
+  // The built-in roles, as synced from config/permissions.js
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'findOne').mockImplementation(async ({ name }) => {
+    const role = DEFAULT_ROLES.find(candidate => candidate.name === name);
+    return role ? new Role({ ...role, isSystem: true }) : null;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('built-in roles', () => {
+  it.each([
+    ['sales_rep', 'contacts', 'create', true],
+    ['sales_rep', 'contacts', 'export', false],
+    ['sales_rep', 'users', 'read', false],
+    ['sales_manager', 'quotas', 'update', true],
+    ['sales_manager', 'contacts', 'assign', true],
+    ['finance_approver', 'expenses', 'approve', true],
+    ['finance_approver', 'contacts', 'update', false],
+    ['read_only', 'opportunities', 'read', true],
+    ['read_only', 'opportunities', 'update', false],
+    ['admin', 'roles', 'delete', true]
+  ])('%s may %s:%s: %s', async (role, resource, action, allowed) => {
+    await expect(hasPermission(createReq(role), resource, action)).resolves.toBe(allowed);
+  });
+
+  it('grants nothing to roles that do not exist', async () => {
+    await expect(hasPermission(createReq('ghost'), 'contacts', 'read')).resolves.toBe(false);
+  });
+
+  it('looks each role up once while it is cached', async () => {
+    const req = createReq('sales_rep');
+
+    await hasPermission(req, 'contacts', 'read');
+    await hasPermission(req, 'leads', 'update');
+
+    expect(Role.findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('checkPermission', () => {
+  it('lets the request through when the role holds the permission', async () => {
+    await expect(run(checkPermission('expenses', 'approve'), createReq('finance_approver'))).resolves.toBe('next');
+  });
+
+  it('refuses it otherwise, naming the role', async () => {
+    const error = await run(checkPermission('expenses', 'approve'), createReq('sales_rep'));
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toBe('User role sales_rep is not allowed to approve expenses');
+  });
+});
+
+describe('checkSelfOrPermission', () => {
+  it('lets users reach their own account without the permission', async () => {
+    const req = createReq('read_only', { params: { id: userId.toString() } });
+
+    await expect(run(checkSelfOrPermission('users', 'update'), req)).resolves.toBe('next');
+  });
+
+  it('needs the permission for other accounts', async () => {
+    const req = createReq('read_only', { params: { id: id().toString() } });
+
+    await expect(run(checkSelfOrPermission('users', 'update'), req)).resolves.toMatchObject({ statusCode: 403 });
+    await expect(run(checkSelfOrPermission('users', 'update'), { ...req, role: 'admin' })).resolves.toBe('next');
+  });
+});
+
+describe('canGrantRole', () => {
+  it('allows roles whose permissions the granter holds', async () => {
+    await expect(canGrantRole(createReq('sales_manager'), 'sales_rep')).resolves.toBe(true);
+    await expect(canGrantRole(createReq('admin'), 'finance_approver')).resolves.toBe(true);
+  });
+
+  it('refuses roles holding more, and roles that do not exist', async () => {
+    await expect(canGrantRole(createReq('sales_manager'), 'admin')).resolves.toBe(false);
+    await expect(canGrantRole(createReq('sales_manager'), 'finance_approver')).resolves.toBe(false);
+    await expect(canGrantRole(createReq('admin'), 'ghost')).resolves.toBe(false);
+  });
+});
+
+describe('role administration', () => {
+  it('keeps built-in roles as defined', async () => {
+    const role = new Role({ ...DEFAULT_ROLES[0], isSystem: true });
+    Role.findOne.mockResolvedValue(role);
+    const req = createReq('admin', { params: { id: role.id }, body: { label: 'Boss' } });
+
+    await expect(run(updateRole, req)).resolves.toMatchObject({ statusCode: 400 });
+    await expect(run(deleteRole, req)).resolves.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses to delete a custom role members still hold', async () => {
+    const organization = new Organization({ name: 'Acme' });
+    organization.addMember(id(), 'member', 'auditor');
+
+    const role = new Role({ name: 'auditor', organization: organization._id });
+    role.deleteOne = jest.fn();
+    Role.findOne.mockResolvedValue(role);
+
+    const error = await run(deleteRole, createReq('admin', { organization, params: { id: role.id } }));
+
+    expect(error.code).toBe('ROLE_IN_USE');
+    expect(role.deleteOne).not.toHaveBeenCalled();
+  });
+});
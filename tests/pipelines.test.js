@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Pipeline = require('../models/Pipeline');
+const Opportunity = require('../models/Opportunity');
+const { DEFAULT_PIPELINE } = require('../config/pipelines');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+
+const createPipeline = (fields) => new Pipeline({ ...DEFAULT_PIPELINE, organization: organizationId, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Pipeline', () => {
+  it('needs at least one open stage', async () => {
+    const pipeline = createPipeline({
+      stages: [{ key: 'won', name: 'Won', probability: 100, category: 'won' }]
+    });
+
+    await expect(pipeline.validate()).rejects.toMatchObject({
+      errors: { stages: expect.objectContaining({ message: 'A pipeline needs at least one open stage' }) }
+    });
+  });
+
+  it('needs unique stage keys', async () => {
+    const pipeline = createPipeline({
+      stages: [
+        { key: 'demo', name: 'Demo', probability: 30 },
+        { key: 'Demo', name: 'Second demo', probability: 50 }
+      ]
+    });
+
+    await expect(pipeline.validate()).rejects.toMatchObject({
+      errors: { stages: expect.objectContaining({ message: 'Stage keys must be unique within a pipeline' }) }
+    });
+  });
+
+  it('looks up stages and the reasons for closing them', () => {
+    const pipeline = createPipeline({ winReasons: ['Price'], lossReasons: [] });
+
+    expect(pipeline.getStage('negotiate')).toMatchObject({ name: 'Negotiation', probability: 80 });
+    expect(pipeline.getStage('unknown')).toBeNull();
+    expect(pipeline.getCloseReasons('won')).toEqual(['Price']);
+    expect(pipeline.getCloseReasons('lost')).toEqual([]);
+    expect(pipeline.getCloseReasons('open')).toEqual([]);
+  });
+
+  describe('getDefault', () => {
+    it('returns the existing default pipeline', async () => {
+      const existing = createPipeline({ isDefault: true });
+      jest.spyOn(Pipeline, 'findOne').mockResolvedValue(existing);
+      const create = jest.spyOn(Pipeline, 'create');
+
+      await expect(Pipeline.getDefault(organizationId)).resolves.toBe(existing);
+      expect(Pipeline.findOne).toHaveBeenCalledWith({ organization: organizationId, isDefault: true });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('creates it from the defaults the first time', async () => {
+      jest.spyOn(Pipeline, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Pipeline, 'create').mockImplementation(async (data) => createPipeline(data));
+
+      const pipeline = await Pipeline.getDefault(organizationId);
+
+      expect(pipeline).toMatchObject({ name: 'Sales', isDefault: true });
+      expect(pipeline.organization).toEqual(organizationId);
+    });
+
+    it('returns the one another request created first', async () => {
+      const created = createPipeline({ isDefault: true });
+      jest.spyOn(Pipeline, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(created);
+      jest.spyOn(Pipeline, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(Pipeline.getDefault(organizationId)).resolves.toBe(created);
+    });
+  });
+});
+
+describe('opportunity stages', () => {
+  const pipeline = createPipeline({ isDefault: true });
+
+  const createOpportunity = (fields) => new Opportunity({
+    title: 'Difference engine',
+    amount: 1000,
+    company_id: id(),
+    organization: organizationId,
+    createdBy: id(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Pipeline, 'getDefault').mockResolvedValue(pipeline);
+    jest.spyOn(Pipeline, 'findOne').mockResolvedValue(pipeline);
+  });
+
+  it('start at the first stage of the default pipeline', async () => {
+    const opportunity = createOpportunity();
+
+    await opportunity.validate();
+
+    expect(opportunity.pipeline).toEqual(pipeline._id);
+    expect(opportunity).toMatchObject({ stage: 'quality', status: 'open', probability: 10 });
+  });
+
+  it('must be a stage of the pipeline', async () => {
+    const opportunity = createOpportunity({ pipeline: pipeline._id, stage: 'unknown' });
+
+    await expect(opportunity.validate()).rejects.toMatchObject({
+      errors: { stage: expect.objectContaining({ message: expect.stringMatching(/^Stage must be one of: quality,/) }) }
+    });
+  });
+
+  it('take the status and probability of the stage entered, unless a probability comes with it', async () => {
+    const opportunity = Opportunity.hydrate({
+      ...createOpportunity().toObject(),
+      pipeline: pipeline._id,
+      stage: 'quality',
+      status: 'open',
+      probability: 15
+    });
+
+    opportunity.stage = 'purpose';
+    await opportunity.validate();
+    expect(opportunity).toMatchObject({ status: 'open', probability: 60 });
+
+    opportunity.stage = 'negotiate';
+    opportunity.probability = 70;
+    await opportunity.validate();
+    expect(opportunity.probability).toBe(70);
+  });
+
+  it('need an accepted reason to close', async () => {
+    const opportunity = createOpportunity({ pipeline: pipeline._id, stage: 'closed_win' });
+
+    await expect(opportunity.validate()).rejects.toMatchObject({
+      errors: { closeReason: expect.objectContaining({ message: 'A win reason is required' }) }
+    });
+
+    opportunity.closeReason = 'Luck';
+    await expect(opportunity.validate()).rejects.toMatchObject({
+      errors: { closeReason: expect.objectContaining({ message: expect.stringMatching(/^Close reason must be one of/) }) }
+    });
+
+    opportunity.closeReason = 'Price';
+    await opportunity.validate();
+    expect(opportunity.status).toBe('won');
+    expect(opportunity.closedAt).toBeInstanceOf(Date);
+  });
+});
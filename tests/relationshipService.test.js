@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Company = require('../models/Company');
+const Opportunity = require('../models/Opportunity');
+const { updateContactCompany, assertLinksInOrganization } = require('../services/relationshipService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+
+const createContact = (fields) => {
+  const contact = new Contact({ first_name: 'Ada', last_name: 'Lovelace', organization: organizationId, ...fields });
+  contact.save = jest.fn().mockResolvedValue(contact);
+  return contact;
+};
+
+const createCompany = () => {
+  const company = new Company({ name: 'Analytical Engines', organization: organizationId });
+  company.save = jest.fn().mockResolvedValue(company);
+  return company;
+};
+
+beforeEach(() => {
+  jest.spyOn(Company, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updateContactCompany', () => {
+  it('moves the contact from its previous company to the new one', async () => {
+    const [previousId, currentId] = [id(), id()];
+    const contact = createContact({ company_id: currentId });
+    const company = createCompany();
+
+    jest.spyOn(Contact, 'findOne').mockResolvedValue(contact);
+    jest.spyOn(Company, 'findOne').mockResolvedValue(company);
+
+    await updateContactCompany(contact._id, company._id, organizationId, previousId);
+
+    expect(Company.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: previousId }),
+      { $pull: { contacts: contact._id } }
+    );
+    expect(contact.company_id).toEqual(company._id);
+    expect(company.contacts.map(String)).toContain(contact.id);
+  });
+
+  it('unlinks the contact when no company is given', async () => {
+    const previousId = id();
+    const contact = createContact({ company_id: previousId });
+
+    jest.spyOn(Contact, 'findOne').mockResolvedValue(contact);
+
+    await updateContactCompany(contact._id, null, organizationId);
+
+    expect(Company.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: previousId }),
+      { $pull: { contacts: contact._id } }
+    );
+    expect(contact.company_id).toBeNull();
+    expect(contact.save).toHaveBeenCalled();
+  });
+});
+
+describe('assertLinksInOrganization', () => {
+  // Records of the organization, by model
+  const stubRecords = (records) => {
+    [Company, Contact, Opportunity].forEach(Model => {
+      jest.spyOn(Model, 'countDocuments').mockImplementation(async ({ _id, organization }) => {
+        expect(organization).toBe(organizationId);
+        return _id.$in.filter(recordId => (records.get(Model) || []).some(record => record.equals(recordId))).length;
+      });
+    });
+  };
+
+  it('accepts links to records of the organization', async () => {
+    const [companyId, contactId, attendeeId, opportunityId] = [id(), id(), id(), id()];
+    stubRecords(new Map([
+      [Company, [companyId]],
+      [Contact, [contactId, attendeeId]],
+      [Opportunity, [opportunityId]]
+    ]));
+
+    await expect(assertLinksInOrganization('activities', {
+      company_id: companyId.toString(),
+      contact_id: contactId.toString(),
+      attendees: [{ contact: attendeeId.toString() }, { contact: contactId.toString() }, { email: 'ada@example.com' }],
+      opportunity_id: opportunityId.toString()
+    }, organizationId)).resolves.toBeUndefined();
+
+    expect(Contact.countDocuments).toHaveBeenCalledWith({
+      _id: { $in: [contactId.toString(), attendeeId.toString()] },
+      organization: organizationId
+    });
+  });
+
+  it('refuses links to records of another organization', async () => {
+    const [companyId, contactId] = [id(), id()];
+    stubRecords(new Map([[Company, [companyId]]]));
+
+    await expect(assertLinksInOrganization('opportunities', {
+      company_id: companyId.toString(),
+      contact_id: contactId.toString()
+    }, organizationId)).rejects.toMatchObject({ statusCode: 404, message: 'Contact not found' });
+
+    await expect(assertLinksInOrganization('expenses', { company: id().toString() }, organizationId))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Company not found' });
+  });
+
+  it('skips fields the body leaves alone or clears', async () => {
+    stubRecords(new Map());
+
+    await assertLinksInOrganization('contacts', { first_name: 'Ada', company_id: null }, organizationId);
+
+    expect(Company.countDocuments).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,8 @@
+// Tests run without a database: models are stubbed per test, and a query
+// that was not stubbed fails straight away instead of waiting for a connection
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.NODE_ENV = 'test';
+
+mongoose.set('bufferCommands', false);
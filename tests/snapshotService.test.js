@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Opportunity = require('../models/Opportunity');
+const PipelineSnapshot = require('../models/PipelineSnapshot');
+const {
+  getSnapshotDate,
+  takeSnapshot,
+  findSnapshotDate,
+  compareSnapshots
+} = require('../services/snapshotService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('snapshot dates', () => {
+  it('are the start of the day in UTC', () => {
+    expect(getSnapshotDate('2026-03-14T23:59:59Z')).toEqual(new Date('2026-03-14T00:00:00Z'));
+  });
+
+  it('are found on or before the date asked for', async () => {
+    const snapshotDate = new Date('2026-03-12T00:00:00Z');
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValueOnce({ snapshotDate }).mockResolvedValueOnce(null)
+    };
+    jest.spyOn(PipelineSnapshot, 'findOne').mockReturnValue(query);
+
+    await expect(findSnapshotDate(organizationId, '2026-03-14T10:00:00Z')).resolves.toEqual(snapshotDate);
+    expect(PipelineSnapshot.findOne).toHaveBeenCalledWith({
+      organization: organizationId,
+      snapshotDate: { $lte: new Date('2026-03-14T00:00:00Z') }
+    });
+    expect(query.sort).toHaveBeenCalledWith({ snapshotDate: -1 });
+
+    await expect(findSnapshotDate(organizationId, '2026-01-01')).resolves.toBeNull();
+  });
+});
+
+describe('takeSnapshot', () => {
+  it('upserts a row per open opportunity and drops rows of earlier runs that day', async () => {
+    const opportunities = [
+      { _id: id(), organization: organizationId, title: 'Difference engine', amount: 1000, stage: 'quality' },
+      { _id: id(), organization: organizationId, title: 'Analytical engine', amount: 2000, stage: 'purpose' }
+    ];
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      cursor: () => opportunities
+    };
+    jest.spyOn(Opportunity, 'find').mockReturnValue(query);
+    jest.spyOn(PipelineSnapshot, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(PipelineSnapshot, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    const result = await takeSnapshot(new Date('2026-03-14T06:00:00Z'));
+
+    const snapshotDate = new Date('2026-03-14T00:00:00Z');
+    expect(result).toEqual({ snapshotDate, opportunities: 2 });
+    expect(Opportunity.find).toHaveBeenCalledWith({ status: 'open' });
+
+    const [operations] = PipelineSnapshot.bulkWrite.mock.calls[0];
+    expect(operations[1].updateOne).toMatchObject({
+      filter: { organization: organizationId, snapshotDate, opportunity: opportunities[1]._id },
+      update: { $set: { title: 'Analytical engine', amount: 2000, stage: 'purpose' } },
+      upsert: true
+    });
+
+    const { takenAt } = operations[0].updateOne.update.$set;
+    expect(PipelineSnapshot.deleteMany).toHaveBeenCalledWith({ snapshotDate, takenAt: { $lt: takenAt } });
+  });
+});
+
+describe('compareSnapshots', () => {
+  const [ada, grace] = [id(), id()];
+
+  const createRow = (opportunity, fields) => ({
+    opportunity,
+    owner: ada,
+    amount: 1000,
+    close_date: new Date('2026-03-31'),
+    ...fields
+  });
+
+  it('sorts out what changed between two dates, per owner', () => {
+    const [kept, slipped, won, lost, deleted, added, untracked] = Array.from({ length: 7 }, id);
+
+    const fromRows = [
+      createRow(kept),
+      createRow(slipped, { amount: 500 }),
+      createRow(won),
+      createRow(lost, { owner: grace }),
+      createRow(deleted, { owner: grace, amount: 200 }),
+      createRow(untracked)
+    ];
+    const toRows = [
+      createRow(kept),
+      createRow(slipped, { amount: 800, close_date: new Date('2026-04-30') }),
+      createRow(added, { owner: grace, amount: 300 }),
+      createRow(untracked)
+    ];
+    const outcomes = new Map([
+      [String(kept), 'open'],
+      [String(slipped), 'open'],
+      [String(won), 'won'],
+      [String(lost), 'lost'],
+      [String(deleted), 'deleted'],
+      [String(added), 'open']
+    ]);
+
+    const result = compareSnapshots(fromRows, toRows, outcomes);
+
+    expect(result.totals).toMatchObject({
+      start: { count: 5, amount: 3700 },
+      end: { count: 3, amount: 2100 },
+      new: { count: 1, amount: 300 },
+      slipped: { count: 1, amount: 800 },
+      pulledIn: { count: 0, amount: 0 },
+      amountChanged: { count: 1, amount: 300 },
+      won: { count: 1, amount: 1000 },
+      lost: { count: 1, amount: 1000 },
+      removed: { count: 1, amount: 200 }
+    });
+
+    const owners = Object.fromEntries(result.owners.map(({ owner, ...totals }) => [owner, totals]));
+    expect(owners[String(ada)]).toMatchObject({ start: { count: 3, amount: 2500 }, won: { count: 1, amount: 1000 } });
+    expect(owners[String(grace)]).toMatchObject({ new: { count: 1, amount: 300 }, removed: { count: 1, amount: 200 } });
+
+    expect(result.opportunities.find(item => item.opportunity === String(slipped))).toMatchObject({
+      changes: ['slipped', 'amountChanged'],
+      from: { amount: 500 },
+      to: { amount: 800 }
+    });
+    // Unchanged opportunities are not listed
+    expect(result.opportunities.map(item => item.opportunity)).not.toContain(String(kept));
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Pipeline = require('../models/Pipeline');
+const Opportunity = require('../models/Opportunity');
+const { DEFAULT_PIPELINE } = require('../config/pipelines');
+const { getVelocity } = require('../services/velocityService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+const pipeline = new Pipeline({ ...DEFAULT_PIPELINE, isDefault: true, organization: organizationId });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('stage history', () => {
+  const creatorId = id();
+
+  const createOpportunity = () => new Opportunity({
+    title: 'Difference engine',
+    amount: 1000,
+    company_id: id(),
+    organization: organizationId,
+    createdBy: creatorId
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Pipeline, 'getDefault').mockResolvedValue(pipeline);
+    jest.spyOn(Pipeline, 'findOne').mockResolvedValue(pipeline);
+  });
+
+  it('starts with the stage a new opportunity enters, by its creator', async () => {
+    const opportunity = createOpportunity();
+
+    await opportunity.validate();
+
+    expect(opportunity.stageHistory).toHaveLength(1);
+    expect(opportunity.stageHistory[0]).toMatchObject({
+      stage: 'quality',
+      status: 'open',
+      amount: 1000,
+      probability: 10,
+      changedBy: creatorId
+    });
+    expect(opportunity.stageHistory[0].pipeline).toEqual(pipeline._id);
+  });
+
+  it('adds each stage change, by the user making it', async () => {
+    const created = createOpportunity();
+    await created.validate();
+    const opportunity = Opportunity.hydrate(created.toObject());
+
+    const userId = id();
+    opportunity.$locals.changedBy = userId;
+    opportunity.stage = 'negotiate';
+    await opportunity.validate();
+
+    expect(opportunity.stageHistory.map(entry => entry.stage)).toEqual(['quality', 'negotiate']);
+    expect(opportunity.stageHistory[1]).toMatchObject({ probability: 80, changedBy: userId });
+  });
+
+  it('does not repeat the latest stage', async () => {
+    const opportunity = createOpportunity();
+    await opportunity.validate();
+
+    opportunity.closeReason = 'Price';
+    await opportunity.validate();
+
+    expect(opportunity.stageHistory).toHaveLength(1);
+  });
+});
+
+describe('getVelocity', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const start = new Date('2026-01-01T00:00:00Z');
+  const day = (days) => new Date(start.getTime() + days * DAY_MS);
+
+  // An opportunity that entered each stage on the given day
+  const createOpportunity = (status, entries) => ({
+    status,
+    createdAt: start,
+    stageHistory: entries.map(([stage, days]) => ({
+      pipeline: pipeline._id,
+      stage,
+      status: pipeline.getStage(stage).category,
+      changedAt: day(days)
+    }))
+  });
+
+  it('averages the days spent in stages that were left', () => {
+    const velocity = getVelocity(pipeline, [
+      createOpportunity('open', [['quality', 0], ['meet_contact', 4]]),
+      createOpportunity('open', [['quality', 0], ['meet_contact', 2], ['purpose', 5]])
+    ]);
+
+    const stages = Object.fromEntries(velocity.stages.map(stage => [stage.key, stage]));
+    expect(stages.quality).toMatchObject({ avgDays: 3, exits: 2 });
+    expect(stages.meet_contact).toMatchObject({ avgDays: 3, exits: 1 });
+    expect(stages.purpose).toMatchObject({ avgDays: null, exits: 0 });
+  });
+
+  it('counts skipped stages as passed and ignores other pipelines', () => {
+    const elsewhere = createOpportunity('open', [['quality', 0], ['meet_contact', 1]]);
+    elsewhere.stageHistory.forEach(entry => { entry.pipeline = id(); });
+
+    const velocity = getVelocity(pipeline, [
+      createOpportunity('won', [['quality', 0], ['purpose', 10], ['closed_win', 30]]),
+      createOpportunity('lost', [['quality', 0], ['lost', 6]]),
+      elsewhere
+    ]);
+
+    expect(velocity.conversions[0]).toEqual({ from: 'quality', to: 'meet_contact', entered: 2, converted: 1, rate: 50 });
+    expect(velocity.conversions[velocity.conversions.length - 1]).toEqual({
+      from: 'negotiate',
+      to: 'won',
+      entered: 1,
+      converted: 1,
+      rate: 100
+    });
+    expect(velocity.salesCycle).toEqual({ won: { count: 1, avgDays: 30 }, lost: { count: 1, avgDays: 6 } });
+  });
+});
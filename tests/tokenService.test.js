@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const {
+  signAccessToken,
+  getAccessTokenSession,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../services/tokenService');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAccessTokenSession', () => {
+  it('returns the session an access token is bound to', () => {
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const token = signAccessToken('user-1', sessionId);
+
+    expect(getAccessTokenSession(token)).toBe(sessionId);
+  });
+
+  it('returns null for tokens it cannot verify', () => {
+    expect(getAccessTokenSession('not-a-token')).toBeNull();
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('ignores malformed tokens without looking up a session', async () => {
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+
+    await expect(rotateRefreshToken('garbage', req)).resolves.toBeNull();
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('swaps the presented token for a new one in the same session', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const presented = `${sessionId}.secret`;
+    const session = { _id: sessionId, user: new mongoose.Types.ObjectId() };
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    const result = await rotateRefreshToken(presented, req);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: sessionId.toString(), refreshTokenHash: hash(presented), revokedAt: null });
+    expect(update.$push).toEqual({ previousTokenHashes: hash(presented) });
+    expect(update.refreshTokenHash).toBe(hash(result.refreshToken));
+
+    expect(result.refreshToken).not.toBe(presented);
+    expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    expect(getAccessTokenSession(result.token)).toBe(sessionId.toString());
+  });
+
+  it('revokes the whole session when a rotated token is presented again', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const reused = `${sessionId}.old-secret`;
+    const existing = { revokedAt: null, previousTokenHashes: [hash(reused)], revoke: jest.fn() };
+
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findById').mockReturnValue({ select: () => Promise.resolve(existing) });
+
+    await expect(rotateRefreshToken(reused, req)).resolves.toBeNull();
+    expect(existing.revoke).toHaveBeenCalledWith('token_reuse');
+  });
+
+  it('leaves the session alone for a token it never issued', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const existing = { revokedAt: null, previousTokenHashes: [hash(`${sessionId}.old-secret`)], revoke: jest.fn() };
+
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findById').mockReturnValue({ select: () => Promise.resolve(existing) });
+
+    await expect(rotateRefreshToken(`${sessionId}.guessed`, req)).resolves.toBeNull();
+    expect(existing.revoke).not.toHaveBeenCalled();
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('only revokes the session when the token is its current one', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const current = `${sessionId}.current`;
+    const session = { refreshTokenHash: hash(current), revoke: jest.fn() };
+
+    jest.spyOn(Session, 'findOne').mockReturnValue({ select: () => Promise.resolve(session) });
+
+    await revokeRefreshToken(`${sessionId}.stale`, 'logout');
+    expect(session.revoke).not.toHaveBeenCalled();
+
+    await revokeRefreshToken(current, 'logout');
+    expect(session.revoke).toHaveBeenCalledWith('logout');
+  });
+});
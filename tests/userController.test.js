@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const AuditLog = require('../models/AuditLog');
+const mailService = require('../services/mailService');
+const { clearRoleCache } = require('../middlewares/authMiddleware');
+const { joinOrganization } = require('../services/organizationService');
+const { createUser, updateUser } = require('../controllers/userController');
+
+jest.mock('../services/organizationService', () => ({
+  ...jest.requireActual('../services/organizationService'),
+  joinOrganization: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const [managerId, repId, adminId] = [id(), id(), id()];
+
+const organization = new Organization({ name: 'Acme', owner: adminId });
+organization.addMember(adminId, 'owner', 'admin');
+organization.addMember(managerId, 'member', 'sales_manager');
+organization.addMember(repId, 'member', 'sales_rep');
+
+// Managers may update users but hold fewer permissions than admins
+const ROLES = {
+  admin: [{ resource: 'users', actions: ['read', 'update', 'delete'] }, { resource: 'roles', actions: ['update'] }],
+  sales_manager: [{ resource: 'users', actions: ['read', 'update'] }],
+  sales_rep: [{ resource: 'users', actions: ['read'] }],
+  user: []
+};
+
+const createReq = (userId, targetId, body) => ({
+  user: { _id: userId, id: userId.toString() },
+  organization,
+  role: organization.getAccessRole(userId),
+  params: { id: targetId.toString() },
+  body,
+  headers: {},
+  get: () => 'jest',
+  ip: '127.0.0.1'
+});
+
+const createRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+// Run a handler and resolve with the error it passed to next
+const run = async (handler, req, res = createRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  return error;
+};
+
+beforeEach(() => {
+  clearRoleCache();
+
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'findOne').mockImplementation(async ({ name }) =>
+    ROLES[name] ? new Role({ name, permissions: ROLES[name] }) : null);
+
+  jest.spyOn(User, 'findById').mockImplementation(async (userId) => {
+    const user = new User({ _id: userId, name: 'Ada', email: 'ada@example.com', password: 'Passw0rd!' });
+    user.save = jest.fn().mockResolvedValue(user);
+    return user;
+  });
+  jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('updateUser', () => {
+  it('refuses roles holding permissions the caller lacks', async () => {
+    const error = await run(updateUser, createReq(managerId, repId, { role: 'admin' }));
+
+    expect(error.statusCode).toBe(403);
+    expect(Organization.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses to change the role of users holding permissions the caller lacks', async () => {
+    const error = await run(updateUser, createReq(managerId, adminId, { role: 'sales_rep' }));
+
+    expect(error.statusCode).toBe(403);
+    expect(Organization.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('changes the role in the current organization only', async () => {
+    const res = createRes();
+
+    const error = await run(updateUser, createReq(adminId, repId, { role: 'sales_manager' }), res);
+
+    expect(error).toBeUndefined();
+    expect(Organization.updateOne).toHaveBeenCalledWith(
+      { _id: organization._id, 'members.user': repId },
+      { $set: { 'members.$.accessRole': 'sales_manager' } }
+    );
+    expect(res.json.mock.calls[0][0].data.role).toBe('sales_manager');
+  });
+});
+
+describe('createUser', () => {
+  const body = { name: 'Grace', email: 'grace@example.com', password: 'Passw0rd!' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(mailService, 'sendEmailVerification').mockResolvedValue();
+  });
+
+  it('refuses roles holding permissions the caller lacks', async () => {
+    const error = await run(createUser, createReq(managerId, managerId, { ...body, role: 'admin' }));
+
+    expect(error.statusCode).toBe(403);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('adds the user to the current organization with the role and asks them to verify', async () => {
+    const res = createRes();
+
+    const error = await run(createUser, createReq(managerId, managerId, { ...body, role: 'sales_rep' }), res);
+
+    expect(error).toBeUndefined();
+    expect(joinOrganization).toHaveBeenCalledWith(organization._id, expect.any(User), 'member', 'sales_rep');
+    expect(mailService.sendEmailVerification).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ role: 'sales_rep', isEmailVerified: false });
+  });
+
+  it('lets the admin skip email verification', async () => {
+    const res = createRes();
+
+    await run(createUser, createReq(adminId, adminId, { ...body, skipEmailVerification: true }), res);
+
+    expect(mailService.sendEmailVerification).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ role: 'user', isEmailVerified: true });
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Team = require('../models/Team');
+const Contact = require('../models/Contact');
+const { clearRoleCache } = require('../middlewares/authMiddleware');
+const { buildVisibilityFilter, applyVisibility, canEdit } = require('../services/visibilityService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizationId = id();
+const me = id();
+const teammate = id();
+const stranger = id();
+
+const createReq = (role = 'sales_rep') => ({
+  user: { _id: me, id: me.toString() },
+  organization: { _id: organizationId },
+  role
+});
+
+const createContact = (fields) => new Contact({
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  organization: organizationId,
+  ...fields
+});
+
+// Roles and teams come from stubs instead of the database
+const stubRoles = () => {
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'findOne').mockImplementation(async ({ name }) => new Role({
+    name,
+    permissions: [{
+      resource: 'contacts',
+      actions: name === 'admin' ? ['read', 'update', 'manage'] : ['read', 'update']
+    }]
+  }));
+};
+
+const stubTeams = (teams) => {
+  jest.spyOn(Team, 'findForUser').mockResolvedValue(teams.map(team => new Team({
+    name: 'Sales',
+    organization: organizationId,
+    ...team
+  })));
+};
+
+beforeEach(() => {
+  clearRoleCache();
+  stubRoles();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildVisibilityFilter', () => {
+  it('is empty for users who manage the resource', async () => {
+    stubTeams([]);
+
+    await expect(buildVisibilityFilter(createReq('admin'), 'contacts')).resolves.toEqual({});
+  });
+
+  it('matches public, owned, shared, team and managed records as ObjectIds', async () => {
+    stubTeams([{ managers: [me], members: [teammate] }]);
+
+    const { $or } = await buildVisibilityFilter(createReq(), 'contacts');
+
+    expect($or).toContainEqual({ visibility: { $in: ['everyone', null] } });
+    expect($or).toContainEqual({ owner: me });
+    expect($or).toContainEqual({ 'sharedWith.user': me });
+
+    const managed = $or.find(condition => Object.keys(condition).length === 1 && condition.owner && condition.owner.$in);
+    expect(managed.owner.$in.map(String).sort()).toEqual([me, teammate].map(String).sort());
+    managed.owner.$in.forEach(value => expect(value).toBeInstanceOf(mongoose.Types.ObjectId));
+  });
+
+  it('shows team members only the team records of their teammates', async () => {
+    stubTeams([{ managers: [stranger], members: [me, teammate] }]);
+
+    const { $or } = await buildVisibilityFilter(createReq(), 'contacts');
+
+    const team = $or.find(condition => condition.visibility === 'team' && condition.team === null);
+    expect(team.owner.$in.map(String).sort()).toEqual([stranger, me, teammate].map(String).sort());
+
+    const managed = $or.find(condition => Object.keys(condition).length === 1 && condition.owner && condition.owner.$in);
+    expect(managed.owner.$in).toEqual([]);
+  });
+
+  it('works out the teams once per request', async () => {
+    stubTeams([]);
+    const req = createReq();
+
+    await buildVisibilityFilter(req, 'contacts');
+    await buildVisibilityFilter(req, 'contacts');
+
+    expect(Team.findForUser).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('applyVisibility', () => {
+  it('adds the filter under $and, next to a search $or', async () => {
+    stubTeams([]);
+    const search = [{ first_name: /ada/i }];
+
+    const query = await applyVisibility(createReq(), 'contacts', { organization: organizationId, $or: search });
+
+    expect(query.$or).toBe(search);
+    expect(query.$and).toHaveLength(1);
+    expect(query.$and[0].$or).toEqual(expect.any(Array));
+  });
+
+  it('leaves the query alone for users who manage the resource', async () => {
+    stubTeams([]);
+
+    const query = await applyVisibility(createReq('admin'), 'contacts', { organization: organizationId });
+
+    expect(query).toEqual({ organization: organizationId });
+  });
+});
+
+describe('canEdit', () => {
+  it('lets owners edit their records', async () => {
+    stubTeams([]);
+
+    await expect(canEdit(createReq(), 'contacts', createContact({ owner: me }))).resolves.toBe(true);
+  });
+
+  it('lets users edit records shared with them for editing only', async () => {
+    stubTeams([]);
+
+    const readShare = createContact({ owner: stranger, sharedWith: [{ user: me, access: 'read' }] });
+    const editShare = createContact({ owner: stranger, sharedWith: [{ user: me, access: 'edit' }] });
+
+    await expect(canEdit(createReq(), 'contacts', readShare)).resolves.toBe(false);
+    await expect(canEdit(createReq(), 'contacts', editShare)).resolves.toBe(true);
+  });
+
+  it('lets team managers edit their members\' records, but not teammates', async () => {
+    const record = createContact({ owner: teammate });
+
+    stubTeams([{ managers: [me], members: [teammate] }]);
+    await expect(canEdit(createReq(), 'contacts', record)).resolves.toBe(true);
+
+    stubTeams([{ managers: [stranger], members: [me, teammate] }]);
+    await expect(canEdit(createReq(), 'contacts', record)).resolves.toBe(false);
+  });
+
+  it('lets users who manage the resource edit anything', async () => {
+    stubTeams([]);
+
+    await expect(canEdit(createReq('admin'), 'contacts', createContact({ owner: stranger }))).resolves.toBe(true);
+  });
+});
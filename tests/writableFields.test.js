@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const { clearRoleCache } = require('../middlewares/authMiddleware');
+const { allowFields } = require('../middlewares/writableFieldsMiddleware');
+
+const organizationId = new mongoose.Types.ObjectId();
+
+const createReq = (role, body) => ({
+  user: { _id: new mongoose.Types.ObjectId() },
+  organization: { _id: organizationId },
+  role,
+  body
+});
+
+// Run the middleware and resolve with the error it passed to next
+const run = async (middleware, req) => {
+  let error;
+  await middleware(req, {}, (err) => { error = err; });
+  return error;
+};
+
+beforeEach(() => {
+  clearRoleCache();
+
+  // A custom role holding assign, and one that does not
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'findOne').mockImplementation(async ({ name }) => new Role({
+    name,
+    permissions: [{
+      resource: 'contacts',
+      actions: name === 'account_manager' ? ['read', 'update', 'assign'] : ['read', 'update']
+    }]
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('allowFields', () => {
+  it('only lets roles with the assign permission change the owner', async () => {
+    const body = { first_name: 'Ada', owner: new mongoose.Types.ObjectId().toString() };
+
+    const error = await run(allowFields('contacts', 'update'), createReq('support', body));
+    expect(error.code).toBe('FIELD_NOT_WRITABLE');
+    expect(error.details).toEqual([{ field: 'owner', location: 'body', message: 'cannot be set' }]);
+
+    await expect(run(allowFields('contacts', 'update'), createReq('account_manager', body))).resolves.toBeUndefined();
+  });
+
+  it('lets anyone pick the owner when creating a record', async () => {
+    const body = { first_name: 'Ada', last_name: 'Lovelace', owner: new mongoose.Types.ObjectId().toString() };
+
+    await expect(run(allowFields('contacts', 'create'), createReq('support', body))).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+// Errors thrown by controllers, middleware and services.
+//
+// errorMiddleware turns them into the JSON error body:
+//   { success: false, error, code, details?, meta?, requestId }
+// `code` is stable and meant for clients to branch on; `error` is for people.
+// `details` lists field-level problems as [{ field, location?, message }] and
+// `meta` carries any other context (e.g. retryAfter, the duplicate record).
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options - { statusCode, code, details, meta }
+   */
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details, meta } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.meta = meta;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 400, code: 'BAD_REQUEST', ...options });
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details, options = {}) {
+    super(message, { statusCode: 400, code: 'VALIDATION_FAILED', details, ...options });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 401, code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 429, code: 'TOO_MANY_REQUESTS', ...options });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,57 @@
+// Calendar periods used by quotas and forecasts. Periods start at midnight UTC
+// on the first day of a month, quarter or year.
+
+const PERIOD_TYPES = ['month', 'quarter', 'year'];
+
+const PERIOD_MONTHS = {
+  month: 1,
+  quarter: 3,
+  year: 12
+};
+
+/**
+ * Get the start of the period containing a date
+ * @param {Date|string} date - Any date in the period
+ * @param {string} type - month, quarter or year
+ * @returns {Date}
+ */
+const getPeriodStart = (date, type) => {
+  const value = new Date(date);
+  const months = PERIOD_MONTHS[type];
+  const month = Math.floor(value.getUTCMonth() / months) * months;
+  return new Date(Date.UTC(value.getUTCFullYear(), month, 1));
+};
+
+/**
+ * Get the start of the period after the one starting at a date
+ * @param {Date} start - Start of a period
+ * @param {string} type - month, quarter or year
+ * @returns {Date} End of the period (exclusive)
+ */
+const getPeriodEnd = (start, type) =>
+  new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + PERIOD_MONTHS[type], 1));
+
+/**
+ * List the periods overlapping a date range
+ * @param {Date|string} from - First date
+ * @param {Date|string} to - Last date
+ * @param {string} type - month, quarter or year
+ * @returns {Array} [{ start, end }], end exclusive
+ */
+const listPeriods = (from, to, type) => {
+  const periods = [];
+  const last = new Date(to);
+
+  for (let start = getPeriodStart(from, type); start <= last; start = getPeriodEnd(start, type)) {
+    periods.push({ start, end: getPeriodEnd(start, type) });
+  }
+
+  return periods;
+};
+
+module.exports = {
+  PERIOD_TYPES,
+  getPeriodStart,
+  getPeriodEnd,
+  listPeriods
+};
@@ -0,0 +1,61 @@
+const Activity = require('../models/Activity');
+const {
+  objectId, isoDate, boolean, array, nonNegativeNumber, string, oneOf, enumOf,
+  inBody, inQuery, idParam, paginationQuery, ownerQuery, dateRangeQuery
+} = require('./common');
+
+const activityBody = (required) => ({
+  title: inBody(string(200), { required }),
+  type: inBody(enumOf(Activity, 'type'), { required }),
+  status: inBody(enumOf(Activity, 'status')),
+  priority: inBody(enumOf(Activity, 'priority')),
+  start_time: inBody(isoDate, { required }),
+  end_time: inBody(isoDate),
+  duration: inBody(nonNegativeNumber),
+  isAllDay: inBody(boolean),
+  'recurrence.frequency': inBody(oneOf(['daily', 'weekly', 'monthly', 'yearly'])),
+  'recurrence.endDate': inBody(isoDate),
+  reminders: inBody(array),
+  attendees: inBody(array),
+  'attendees.*.user': inBody(objectId),
+  'attendees.*.contact': inBody(objectId),
+  company_id: inBody(objectId),
+  contact_id: inBody(objectId),
+  opportunity_id: inBody(objectId),
+  assignedTo: inBody(objectId),
+  followUpRequired: inBody(boolean),
+  tags: inBody(array)
+});
+
+const getActivities = {
+  ...paginationQuery,
+  ...ownerQuery,
+  contact: inQuery(objectId),
+  opportunity: inQuery(objectId),
+  company: inQuery(objectId),
+  status: inQuery(enumOf(Activity, 'status'))
+};
+
+const createActivity = activityBody(true);
+
+const updateActivity = {
+  ...idParam,
+  ...activityBody(false)
+};
+
+const getUpcomingActivities = {
+  limit: paginationQuery.limit
+};
+
+const getActivitiesByDateRange = dateRangeQuery('start_date', 'end_date', { required: true });
+
+module.exports = {
+  getActivities,
+  getActivity: idParam,
+  createActivity,
+  updateActivity,
+  deleteActivity: idParam,
+  getUpcomingActivities,
+  getActivitiesByDateRange,
+  getActivityHistory: idParam
+};
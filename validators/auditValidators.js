@@ -0,0 +1,16 @@
+const AuditLog = require('../models/AuditLog');
+const { RESOURCES } = require('../config/permissions');
+const { objectId, oneOf, inQuery, paginationQuery, dateRangeQuery } = require('./common');
+
+const getAuditLogs = {
+  ...paginationQuery,
+  ...dateRangeQuery('from', 'to'),
+  entityType: inQuery(oneOf([...RESOURCES, 'invitations', 'organizations'])),
+  entityId: inQuery(objectId),
+  actor: inQuery(objectId),
+  action: inQuery(oneOf(AuditLog.ACTIONS))
+};
+
+module.exports = {
+  getAuditLogs
+};
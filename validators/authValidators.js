@@ -0,0 +1,93 @@
+const ApiKey = require('../models/ApiKey');
+const {
+  isoDate, boolean, array, email, password, string, oneOf,
+  inBody, inParams, idParam
+} = require('./common');
+
+// Authenticator app codes (services/totpService.js)
+const totpCode = {
+  matches: { options: [/^\d{6}$/], errorMessage: 'must be a 6-digit code' }
+};
+
+const register = {
+  name: inBody(string(50), { required: true }),
+  email: inBody(email, { required: true }),
+  password: inBody(password, { required: true })
+};
+
+const login = {
+  email: inBody(email, { required: true }),
+  password: inBody({ isString: { errorMessage: 'must be text' } }, { required: true })
+};
+
+const loginTwoFactor = {
+  challengeToken: inBody(string(1000), { required: true }),
+  code: inBody(totpCode),
+  recoveryCode: inBody(string(50))
+};
+
+const forgotPassword = {
+  email: inBody(email, { required: true })
+};
+
+const resetPassword = {
+  resettoken: inParams({ isHexadecimal: { errorMessage: 'is not a valid token' } }),
+  password: inBody(password, { required: true }),
+  logoutOtherSessions: inBody(boolean)
+};
+
+const verifyEmail = {
+  token: inParams({ isHexadecimal: { errorMessage: 'is not a valid token' } })
+};
+
+const acceptInvite = {
+  token: inParams({ isHexadecimal: { errorMessage: 'is not a valid token' } }),
+  name: inBody(string(50)),
+  password: inBody(password, { required: true })
+};
+
+const updateDetails = {
+  name: inBody(string(50)),
+  email: inBody(email)
+};
+
+const updatePassword = {
+  currentPassword: inBody({ isString: { errorMessage: 'must be text' } }, { required: true }),
+  newPassword: inBody(password, { required: true }),
+  logoutOtherSessions: inBody(boolean)
+};
+
+const twoFactorCode = {
+  code: inBody(totpCode, { required: true })
+};
+
+const disableTwoFactor = {
+  password: inBody({ isString: { errorMessage: 'must be text' } }, { required: true }),
+  code: inBody(totpCode),
+  recoveryCode: inBody(string(50))
+};
+
+const createApiKey = {
+  name: inBody(string(100), { required: true }),
+  scopes: inBody(array),
+  'scopes.*': inBody(oneOf(ApiKey.SCOPES)),
+  expiresAt: inBody(isoDate)
+};
+
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  acceptInvite,
+  updateDetails,
+  updatePassword,
+  enableTwoFactor: twoFactorCode,
+  regenerateRecoveryCodes: twoFactorCode,
+  disableTwoFactor,
+  createApiKey,
+  deleteSession: idParam,
+  deleteApiKey: idParam
+};
@@ -0,0 +1,148 @@
+// Building blocks for the express-validator schemas in this folder.
+//
+// Schemas map a field name to where it is read from (body, query or params)
+// and the checks it must pass; middlewares/validate.js runs them. Messages
+// are reported next to the field name, e.g. "page must be a positive integer".
+// Enum checks read their values from the Mongoose schema so both stay in sync.
+
+// Rules
+const objectId = {
+  isMongoId: { errorMessage: 'must be a valid ID' }
+};
+
+const isoDate = {
+  isISO8601: { errorMessage: 'must be a valid date' }
+};
+
+const boolean = {
+  isBoolean: { errorMessage: 'must be true or false' }
+};
+
+const array = {
+  isArray: { errorMessage: 'must be an array' }
+};
+
+const email = {
+  isEmail: { errorMessage: 'must be a valid email' }
+};
+
+// Same minimum as the User model
+const password = {
+  isString: { errorMessage: 'must be text', bail: true },
+  isLength: { options: { min: 6 }, errorMessage: 'must be at least 6 characters' }
+};
+
+const positiveInt = {
+  isInt: { options: { min: 1 }, errorMessage: 'must be a positive integer' },
+  toInt: true
+};
+
+const nonNegativeNumber = {
+  isFloat: { options: { min: 0 }, errorMessage: 'must be a number of 0 or more' }
+};
+
+const percentage = {
+  isFloat: { options: { min: 0, max: 100 }, errorMessage: 'must be between 0 and 100' }
+};
+
+const string = (max) => ({
+  isString: { errorMessage: 'must be text', bail: true },
+  isLength: { options: { max }, errorMessage: `must be at most ${max} characters` }
+});
+
+const oneOf = (values) => ({
+  isIn: { options: [values], errorMessage: `must be one of: ${values.join(', ')}` }
+});
+
+// Allowed values of a String path with an enum in a Mongoose model
+const enumOf = (Model, path) => oneOf(Model.schema.path(path).enumValues);
+
+// Field presence
+const REQUIRED = {
+  exists: { options: { values: 'falsy' }, errorMessage: 'is required', bail: true }
+};
+
+// Body fields may be left out or cleared with null
+const inBody = (rules, { required = false } = {}) => ({
+  in: ['body'],
+  ...(required ? REQUIRED : { optional: { options: { values: 'null' } } }),
+  ...rules
+});
+
+// Empty query parameters are ignored, as the controllers do
+const inQuery = (rules, { required = false } = {}) => ({
+  in: ['query'],
+  ...(required ? REQUIRED : { optional: { options: { values: 'falsy' } } }),
+  ...rules
+});
+
+const inParams = (rules) => ({
+  in: ['params'],
+  ...rules
+});
+
+// Shared schemas
+const idParam = {
+  id: inParams(objectId)
+};
+
+const paginationQuery = {
+  page: inQuery(positiveInt),
+  limit: inQuery({
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'must be between 1 and 100' },
+    toInt: true
+  })
+};
+
+// Search terms are used as regular expressions
+const searchQuery = {
+  search: inQuery({
+    ...string(100),
+    custom: {
+      options: (value) => {
+        new RegExp(value);
+        return true;
+      },
+      errorMessage: 'is not a valid search pattern'
+    }
+  })
+};
+
+// ?owner=me or ?owner=<userId>
+const ownerQuery = {
+  owner: inQuery({
+    custom: {
+      options: (value) => value === 'me' || /^[a-f\d]{24}$/i.test(value),
+      errorMessage: 'must be "me" or a valid user ID'
+    }
+  })
+};
+
+const dateRangeQuery = (from, to, options) => ({
+  [from]: inQuery(isoDate, options),
+  [to]: inQuery(isoDate, options)
+});
+
+module.exports = {
+  objectId,
+  isoDate,
+  boolean,
+  array,
+  email,
+  password,
+  positiveInt,
+  nonNegativeNumber,
+  percentage,
+  string,
+  oneOf,
+  enumOf,
+  REQUIRED,
+  inBody,
+  inQuery,
+  inParams,
+  idParam,
+  paginationQuery,
+  searchQuery,
+  ownerQuery,
+  dateRangeQuery
+};
@@ -0,0 +1,58 @@
+const Company = require('../models/Company');
+const {
+  objectId, isoDate, array, email, nonNegativeNumber, string, enumOf,
+  inBody, inQuery, idParam, paginationQuery, searchQuery, ownerQuery
+} = require('./common');
+const { recordAccessBody, shareRecord, unshareRecord } = require('./sharingValidators');
+const { allowDuplicateQuery } = require('./duplicateValidators');
+const { mergeRecords } = require('./mergeValidators');
+const { deleteRecord } = require('./deletionValidators');
+
+const companyBody = (required) => ({
+  name: inBody(string(100), { required }),
+  email: inBody(email),
+  contacts: inBody(array),
+  'contacts.*': inBody(objectId),
+  employeeCount: inBody(nonNegativeNumber),
+  revenue: inBody(nonNegativeNumber),
+  foundedYear: inBody({
+    isInt: { options: { min: 1800, max: new Date().getFullYear() }, errorMessage: 'must be a valid year' }
+  }),
+  status: inBody(enumOf(Company, 'status')),
+  priority: inBody(enumOf(Company, 'priority')),
+  lastContacted: inBody(isoDate),
+  tags: inBody(array),
+  ...recordAccessBody
+});
+
+const getCompanies = {
+  ...paginationQuery,
+  ...searchQuery,
+  ...ownerQuery,
+  industry: inQuery(string(50)),
+  status: inQuery(enumOf(Company, 'status'))
+};
+
+const createCompany = {
+  ...companyBody(true),
+  ...allowDuplicateQuery
+};
+
+const updateCompany = {
+  ...idParam,
+  ...companyBody(false)
+};
+
+module.exports = {
+  getCompanies,
+  getCompany: idParam,
+  createCompany,
+  updateCompany,
+  deleteCompany: deleteRecord,
+  getCompanyDeletionPreview: deleteRecord,
+  getCompanyShares: idParam,
+  shareCompany: shareRecord,
+  unshareCompany: unshareRecord,
+  getCompanyHistory: idParam,
+  mergeCompanies: mergeRecords
+};
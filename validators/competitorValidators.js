@@ -0,0 +1,32 @@
+const Competitor = require('../models/Competitor');
+const {
+  percentage, string, enumOf, inBody, inQuery, idParam, paginationQuery, searchQuery
+} = require('./common');
+
+const competitorBody = (required) => ({
+  name: inBody(string(100), { required }),
+  status: inBody(enumOf(Competitor, 'status')),
+  marketShare: inBody(percentage)
+});
+
+const getCompetitors = {
+  ...paginationQuery,
+  ...searchQuery,
+  status: inQuery(enumOf(Competitor, 'status'))
+};
+
+const createCompetitor = competitorBody(true);
+
+const updateCompetitor = {
+  ...idParam,
+  ...competitorBody(false)
+};
+
+module.exports = {
+  getCompetitors,
+  getCompetitor: idParam,
+  createCompetitor,
+  updateCompetitor,
+  deleteCompetitor: idParam,
+  getCompetitorHistory: idParam
+};
@@ -0,0 +1,62 @@
+const {
+  objectId, isoDate, boolean, array, email, string, oneOf,
+  inBody, inQuery, inParams, idParam, paginationQuery, searchQuery, ownerQuery
+} = require('./common');
+const { recordAccessBody, shareRecord, unshareRecord } = require('./sharingValidators');
+const { allowDuplicateQuery } = require('./duplicateValidators');
+const { mergeRecords } = require('./mergeValidators');
+const { deleteRecord } = require('./deletionValidators');
+
+const contactBody = (required) => ({
+  first_name: inBody(string(50), { required }),
+  last_name: inBody(string(50), { required }),
+  email: inBody(email),
+  company_id: inBody(objectId),
+  isActive: inBody(boolean),
+  lastContacted: inBody(isoDate),
+  tags: inBody(array),
+  ...recordAccessBody
+});
+
+const getContacts = {
+  ...paginationQuery,
+  ...searchQuery,
+  ...ownerQuery,
+  company: inQuery(objectId),
+  status: inQuery(oneOf(['active', 'inactive']))
+};
+
+const createContact = {
+  ...contactBody(true),
+  ...allowDuplicateQuery
+};
+
+const updateContact = {
+  ...idParam,
+  ...contactBody(false)
+};
+
+const getContactsByCompany = {
+  companyId: inParams(objectId)
+};
+
+const importContacts = {
+  contacts: inBody(array, { required: true }),
+  ...allowDuplicateQuery
+};
+
+module.exports = {
+  getContacts,
+  getContact: idParam,
+  createContact,
+  updateContact,
+  deleteContact: deleteRecord,
+  getContactDeletionPreview: deleteRecord,
+  getContactsByCompany,
+  importContacts,
+  getContactShares: idParam,
+  shareContact: shareRecord,
+  unshareContact: unshareRecord,
+  getContactHistory: idParam,
+  mergeContacts: mergeRecords
+};
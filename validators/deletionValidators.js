@@ -0,0 +1,17 @@
+const { CASCADE_BEHAVIOURS } = require('../config/cascadeRules');
+const { objectId, oneOf, inQuery, idParam } = require('./common');
+
+// ?cascade[<resource>]=<behaviour>&reassignTo=<id> on deletes of records with
+// cascade rules; which behaviours each resource allows is checked on delete
+const deleteRecord = {
+  ...idParam,
+  cascade: inQuery({
+    isObject: { errorMessage: 'must name related resources, e.g. cascade[contacts]=delete' }
+  }),
+  'cascade.*': inQuery(oneOf(CASCADE_BEHAVIOURS)),
+  reassignTo: inQuery(objectId)
+};
+
+module.exports = {
+  deleteRecord
+};
@@ -0,0 +1,26 @@
+const { DUPLICATE_MODELS } = require('../services/duplicateService');
+const { objectId, boolean, string, oneOf, inQuery } = require('./common');
+
+// ?allowDuplicate=true on creates and imports skips the duplicate check
+const allowDuplicateQuery = {
+  allowDuplicate: inQuery(boolean)
+};
+
+// Fields the matching rules read; anything else in the query is ignored
+const checkDuplicates = {
+  type: inQuery(oneOf(Object.keys(DUPLICATE_MODELS)), { required: true }),
+  excludeId: inQuery(objectId),
+  name: inQuery(string(200)),
+  first_name: inQuery(string(50)),
+  last_name: inQuery(string(50)),
+  email: inQuery(string(254)),
+  phone: inQuery(string(50)),
+  website: inQuery(string(500)),
+  company: inQuery(string(200)),
+  company_id: inQuery(objectId)
+};
+
+module.exports = {
+  allowDuplicateQuery,
+  checkDuplicates
+};
@@ -0,0 +1,66 @@
+const Expense = require('../models/Expense');
+const {
+  objectId, isoDate, boolean, array, nonNegativeNumber, percentage, string, oneOf, enumOf,
+  inBody, inQuery, inParams, idParam, paginationQuery, dateRangeQuery
+} = require('./common');
+
+const expenseBody = (required) => ({
+  title: inBody(string(200), { required }),
+  amount: inBody(nonNegativeNumber, { required }),
+  currency: inBody(enumOf(Expense, 'currency')),
+  category: inBody(enumOf(Expense, 'category'), { required }),
+  date: inBody(isoDate, { required }),
+  paymentMethod: inBody(enumOf(Expense, 'paymentMethod')),
+  isBillable: inBody(boolean),
+  billableAmount: inBody(nonNegativeNumber),
+  taxRate: inBody(percentage),
+  taxAmount: inBody(nonNegativeNumber),
+  totalAmount: inBody(nonNegativeNumber),
+  opportunity_id: inBody(objectId),
+  company: inBody(objectId),
+  contact: inBody(objectId),
+  tags: inBody(array)
+});
+
+const getExpenses = {
+  ...paginationQuery
+};
+
+const createExpense = expenseBody(true);
+
+const updateExpense = {
+  ...idParam,
+  ...expenseBody(false)
+};
+
+const approveExpense = {
+  ...idParam,
+  status: inBody(oneOf(['approved', 'rejected', 'reimbursed'])),
+  reimbursementDate: inBody(isoDate)
+};
+
+const getExpensesByCategory = {
+  ...paginationQuery,
+  category: inParams(enumOf(Expense, 'category'))
+};
+
+const getExpenseSummary = dateRangeQuery('startDate', 'endDate', { required: true });
+
+const getMonthlyExpenses = {
+  year: inQuery({
+    isInt: { options: { min: 1900, max: 9999 }, errorMessage: 'must be a valid year' }
+  }, { required: true })
+};
+
+module.exports = {
+  getExpenses,
+  getExpense: idParam,
+  createExpense,
+  updateExpense,
+  deleteExpense: idParam,
+  approveExpense,
+  getExpensesByCategory,
+  getExpenseSummary,
+  getMonthlyExpenses,
+  getExpenseHistory: idParam
+};
@@ -0,0 +1,15 @@
+const { array, inBody } = require('./common');
+const { allowDuplicateQuery } = require('./duplicateValidators');
+
+// Row contents are checked by allowRowFields and the models
+const importBody = {
+  companies: inBody(array),
+  contacts: inBody(array),
+  opportunities: inBody(array),
+  ...allowDuplicateQuery
+};
+
+module.exports = {
+  importData: importBody,
+  validateImportData: importBody
+};
@@ -0,0 +1,65 @@
+const Lead = require('../models/Lead');
+const {
+  isoDate, boolean, array, email, nonNegativeNumber, percentage, string, oneOf, enumOf,
+  inBody, inQuery, idParam, paginationQuery, ownerQuery
+} = require('./common');
+const { recordAccessBody, shareRecord, unshareRecord } = require('./sharingValidators');
+const { allowDuplicateQuery } = require('./duplicateValidators');
+const { mergeRecords } = require('./mergeValidators');
+
+const leadBody = (required) => ({
+  name: inBody(string(100), { required }),
+  email: inBody(email),
+  source: inBody(enumOf(Lead, 'source')),
+  status: inBody(enumOf(Lead, 'status')),
+  priority: inBody(enumOf(Lead, 'priority')),
+  value: inBody(nonNegativeNumber),
+  budget: inBody(nonNegativeNumber),
+  timeline: inBody(enumOf(Lead, 'timeline')),
+  score: inBody(percentage),
+  lastContacted: inBody(isoDate),
+  nextFollowUp: inBody(isoDate),
+  activities: inBody(array),
+  'activities.*.type': inBody(oneOf(['call', 'email', 'meeting', 'note']), { required: true }),
+  'activities.*.date': inBody(isoDate),
+  tags: inBody(array),
+  ...recordAccessBody
+});
+
+const getLeads = {
+  ...paginationQuery,
+  ...ownerQuery,
+  status: inQuery(enumOf(Lead, 'status')),
+  priority: inQuery(enumOf(Lead, 'priority')),
+  source: inQuery(enumOf(Lead, 'source'))
+};
+
+const createLead = {
+  ...leadBody(true),
+  ...allowDuplicateQuery
+};
+
+const updateLead = {
+  ...idParam,
+  ...leadBody(false)
+};
+
+const convertLead = {
+  ...idParam,
+  create_company: inBody(boolean),
+  create_opportunity: inBody(boolean)
+};
+
+module.exports = {
+  getLeads,
+  getLead: idParam,
+  createLead,
+  updateLead,
+  deleteLead: idParam,
+  convertLead,
+  getLeadShares: idParam,
+  shareLead: shareRecord,
+  unshareLead: unshareRecord,
+  getLeadHistory: idParam,
+  mergeLeads: mergeRecords
+};
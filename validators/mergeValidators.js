@@ -0,0 +1,17 @@
+const { objectId, array, inBody } = require('./common');
+
+// POST /api/<resource>/merge: the survivor keeps its ID, the losers go to the
+// trash; `fields` picks, per field, the record whose value the survivor keeps
+const mergeRecords = {
+  survivor: inBody(objectId, { required: true }),
+  losers: inBody(array, { required: true }),
+  'losers.*': inBody(objectId),
+  fields: inBody({
+    isObject: { errorMessage: 'must map field names to record IDs' }
+  }),
+  'fields.*': inBody(objectId)
+};
+
+module.exports = {
+  mergeRecords
+};
@@ -0,0 +1,106 @@
+const Opportunity = require('../models/Opportunity');
+const { PERIOD_TYPES } = require('../utils/periods');
+const {
+  objectId, isoDate, array, nonNegativeNumber, percentage, string, oneOf, enumOf,
+  inBody, inQuery, inParams, idParam, paginationQuery, searchQuery, ownerQuery, dateRangeQuery
+} = require('./common');
+const { recordAccessBody, shareRecord, unshareRecord } = require('./sharingValidators');
+
+const opportunityBody = (required) => ({
+  title: inBody(string(200), { required }),
+  amount: inBody(nonNegativeNumber, { required }),
+  forecastAmount: inBody(nonNegativeNumber),
+  currency: inBody(enumOf(Opportunity, 'currency')),
+  pipeline: inBody(objectId),
+  stage: inBody(string(50)),
+  closeReason: inBody(string(100)),
+  lostToCompetitor: inBody(objectId),
+  forecast: inBody(enumOf(Opportunity, 'forecast')),
+  importance: inBody(oneOf([1, 2, 3])),
+  priority: inBody(enumOf(Opportunity, 'priority')),
+  probability: inBody(percentage),
+  close_date: inBody(isoDate),
+  open_date: inBody(isoDate),
+  source: inBody(enumOf(Opportunity, 'source')),
+  company_id: inBody(objectId, { required }),
+  contact_id: inBody(objectId),
+  competitors: inBody(array),
+  nextSteps: inBody(array),
+  'nextSteps.*.dueDate': inBody(isoDate),
+  tags: inBody(array),
+  ...recordAccessBody
+});
+
+const getOpportunities = {
+  ...paginationQuery,
+  ...searchQuery,
+  ...ownerQuery,
+  status: inQuery(enumOf(Opportunity, 'status')),
+  pipeline: inQuery(objectId),
+  stage: inQuery(string(50)),
+  company_id: inQuery(objectId)
+};
+
+const getPipelineSummary = {
+  pipeline: inQuery(objectId)
+};
+
+// Filters of the analytics reports; from and to bound the creation date for
+// velocity and the close date for win/loss
+const analyticsQuery = {
+  ...ownerQuery,
+  pipeline: inQuery(objectId),
+  sector: inQuery(string(50)),
+  source: inQuery(enumOf(Opportunity, 'source')),
+  ...dateRangeQuery('from', 'to')
+};
+
+// Periods from the one containing `from` to the one containing `to`, both
+// defaulting to the current one
+const getForecastData = {
+  ...ownerQuery,
+  period: inQuery(oneOf(PERIOD_TYPES)),
+  team: inQuery(objectId),
+  ...dateRangeQuery('from', 'to')
+};
+
+const getPipelineSnapshots = dateRangeQuery('from', 'to');
+
+// Pipeline on the snapshot taken on or before `from` against the one on or
+// before `to` (default: the latest)
+const comparePipelineSnapshots = {
+  ...ownerQuery,
+  pipeline: inQuery(objectId),
+  from: inQuery(isoDate, { required: true }),
+  to: inQuery(isoDate)
+};
+
+const createOpportunity = opportunityBody(true);
+
+const updateOpportunity = {
+  ...idParam,
+  ...opportunityBody(false)
+};
+
+const getOpportunitiesByCompany = {
+  companyId: inParams(objectId)
+};
+
+module.exports = {
+  getOpportunities,
+  getOpportunity: idParam,
+  createOpportunity,
+  updateOpportunity,
+  deleteOpportunity: idParam,
+  getOpportunitiesByCompany,
+  getPipelineSummary,
+  getPipelineVelocity: analyticsQuery,
+  getWinLossReport: analyticsQuery,
+  getForecastData,
+  getPipelineSnapshots,
+  comparePipelineSnapshots,
+  getOpportunityShares: idParam,
+  shareOpportunity: shareRecord,
+  unshareOpportunity: unshareRecord,
+  getOpportunityHistory: idParam
+};
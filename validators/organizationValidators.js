@@ -0,0 +1,38 @@
+const { objectId, email, string, oneOf, inBody, inParams, idParam } = require('./common');
+
+const MEMBER_ROLES = ['owner', 'member'];
+
+const memberParams = {
+  ...idParam,
+  userId: inParams(objectId)
+};
+
+const createOrganization = {
+  name: inBody(string(100), { required: true })
+};
+
+const updateOrganization = {
+  ...idParam,
+  name: inBody(string(100))
+};
+
+const addMember = {
+  ...idParam,
+  email: inBody(email, { required: true }),
+  role: inBody(oneOf(MEMBER_ROLES))
+};
+
+const updateMember = {
+  ...memberParams,
+  role: inBody(oneOf(MEMBER_ROLES), { required: true })
+};
+
+module.exports = {
+  getOrganization: idParam,
+  createOrganization,
+  updateOrganization,
+  switchOrganization: idParam,
+  addMember,
+  updateMember,
+  removeMember: memberParams
+};
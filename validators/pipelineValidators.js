@@ -0,0 +1,31 @@
+const { STAGE_CATEGORIES } = require('../config/pipelines');
+const { boolean, array, percentage, string, oneOf, inBody, idParam } = require('./common');
+
+const pipelineBody = (required) => ({
+  name: inBody(string(100), { required }),
+  description: inBody(string(500)),
+  isDefault: inBody(boolean),
+  stages: inBody(array, { required }),
+  'stages.*.key': inBody(string(50), { required: true }),
+  'stages.*.name': inBody(string(100), { required: true }),
+  'stages.*.probability': inBody(percentage, { required: true }),
+  'stages.*.category': inBody(oneOf(STAGE_CATEGORIES)),
+  winReasons: inBody(array),
+  'winReasons.*': inBody(string(100)),
+  lossReasons: inBody(array),
+  'lossReasons.*': inBody(string(100))
+});
+
+const createPipeline = pipelineBody(true);
+
+const updatePipeline = {
+  ...idParam,
+  ...pipelineBody(false)
+};
+
+module.exports = {
+  getPipeline: idParam,
+  createPipeline,
+  updatePipeline,
+  deletePipeline: idParam
+};
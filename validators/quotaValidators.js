@@ -0,0 +1,41 @@
+const { PERIOD_TYPES } = require('../utils/periods');
+const {
+  objectId, isoDate, nonNegativeNumber, oneOf, inBody, inQuery, idParam, dateRangeQuery
+} = require('./common');
+
+// ?user=me or ?user=<userId>
+const getQuotas = {
+  user: inQuery({
+    custom: {
+      options: (value) => value === 'me' || /^[a-f\d]{24}$/i.test(value),
+      errorMessage: 'must be "me" or a valid user ID'
+    }
+  }),
+  team: inQuery(objectId),
+  periodType: inQuery(oneOf(PERIOD_TYPES)),
+  ...dateRangeQuery('from', 'to')
+};
+
+const createQuota = {
+  user: inBody(objectId),
+  team: inBody(objectId),
+  periodType: inBody(oneOf(PERIOD_TYPES), { required: true }),
+  periodStart: inBody(isoDate, { required: true }),
+  amount: inBody(nonNegativeNumber, { required: true })
+};
+
+// The user or team of a quota cannot change; set a new quota instead
+const updateQuota = {
+  ...idParam,
+  periodType: inBody(oneOf(PERIOD_TYPES)),
+  periodStart: inBody(isoDate),
+  amount: inBody(nonNegativeNumber)
+};
+
+module.exports = {
+  getQuotas,
+  getQuota: idParam,
+  createQuota,
+  updateQuota,
+  deleteQuota: idParam
+};
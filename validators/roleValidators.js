@@ -0,0 +1,34 @@
+const { RESOURCES, ACTIONS } = require('../config/permissions');
+const { array, string, oneOf, inBody, idParam } = require('./common');
+
+const roleBody = {
+  label: inBody(string(100)),
+  description: inBody(string(500)),
+  permissions: inBody(array),
+  'permissions.*.resource': inBody(oneOf(RESOURCES), { required: true }),
+  'permissions.*.actions': inBody(array),
+  'permissions.*.actions.*': inBody(oneOf(ACTIONS))
+};
+
+const createRole = {
+  name: inBody({
+    matches: {
+      options: [/^[a-z][a-z0-9_]*$/i],
+      errorMessage: 'may only contain letters, numbers and underscores'
+    },
+    isLength: { options: { max: 50 }, errorMessage: 'must be at most 50 characters' }
+  }, { required: true }),
+  ...roleBody
+};
+
+const updateRole = {
+  ...idParam,
+  ...roleBody
+};
+
+module.exports = {
+  getRole: idParam,
+  createRole,
+  updateRole,
+  deleteRole: idParam
+};
@@ -0,0 +1,28 @@
+const Settings = require('../models/Settings');
+const { email, array, string, oneOf, enumOf, boolean, inBody } = require('./common');
+
+const settingsBody = (required) => ({
+  user_name: inBody(string(50), { required }),
+  user_email: inBody(email),
+  sectors: inBody(array),
+  'sectors.*': inBody(string(50)),
+  activity_types: inBody(array),
+  'activity_types.*': inBody(oneOf(Settings.schema.path('activity_types').caster.enumValues)),
+  'defaultSettings.theme': inBody(enumOf(Settings, 'defaultSettings.theme')),
+  'defaultSettings.currency': inBody(enumOf(Settings, 'defaultSettings.currency')),
+  'defaultSettings.notifications.email': inBody(boolean),
+  'defaultSettings.notifications.push': inBody(boolean),
+  'defaultSettings.notifications.sms': inBody(boolean),
+  'smsSettings.enabled': inBody(boolean)
+});
+
+const updateSecurityPolicy = {
+  twoFactorRequiredRoles: inBody(array),
+  'twoFactorRequiredRoles.*': inBody(string(50))
+};
+
+module.exports = {
+  createSettings: settingsBody(true),
+  updateSettings: settingsBody(false),
+  updateSecurityPolicy
+};
@@ -0,0 +1,26 @@
+const { VISIBILITY_LEVELS, SHARE_ACCESS } = require('../models/plugins/visibility');
+const { objectId, oneOf, inBody, inParams, idParam } = require('./common');
+
+// Owner and visibility fields of records using the ownership and visibility plugins
+const recordAccessBody = {
+  owner: inBody(objectId),
+  visibility: inBody(oneOf(VISIBILITY_LEVELS)),
+  team: inBody(objectId)
+};
+
+const shareRecord = {
+  ...idParam,
+  user: inBody(objectId, { required: true }),
+  access: inBody(oneOf(SHARE_ACCESS))
+};
+
+const unshareRecord = {
+  ...idParam,
+  userId: inParams(objectId)
+};
+
+module.exports = {
+  recordAccessBody,
+  shareRecord,
+  unshareRecord
+};
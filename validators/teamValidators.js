@@ -0,0 +1,29 @@
+const { objectId, boolean, array, string, inBody, inQuery, idParam } = require('./common');
+
+const teamBody = (required) => ({
+  name: inBody(string(100), { required }),
+  description: inBody(string(500)),
+  managers: inBody(array),
+  'managers.*': inBody(objectId),
+  members: inBody(array),
+  'members.*': inBody(objectId)
+});
+
+const getTeams = {
+  mine: inQuery(boolean)
+};
+
+const createTeam = teamBody(true);
+
+const updateTeam = {
+  ...idParam,
+  ...teamBody(false)
+};
+
+module.exports = {
+  getTeams,
+  getTeam: idParam,
+  createTeam,
+  updateTeam,
+  deleteTeam: idParam
+};
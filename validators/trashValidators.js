@@ -0,0 +1,20 @@
+const { TRASH_MODELS } = require('../services/trashService');
+const { objectId, oneOf, inQuery, inParams, paginationQuery } = require('./common');
+
+const TRASH_TYPES = Object.keys(TRASH_MODELS);
+
+const trashRecordParams = {
+  type: inParams(oneOf(TRASH_TYPES)),
+  id: inParams(objectId)
+};
+
+const getTrash = {
+  ...paginationQuery,
+  type: inQuery(oneOf(TRASH_TYPES))
+};
+
+module.exports = {
+  getTrash,
+  restoreRecord: trashRecordParams,
+  purgeRecord: trashRecordParams
+};
@@ -0,0 +1,82 @@
+const Invitation = require('../models/Invitation');
+const { OWNED_MODELS } = require('../services/ownershipService');
+const {
+  objectId, boolean, array, email, password, string, oneOf, enumOf,
+  inBody, inQuery, inParams, idParam, paginationQuery
+} = require('./common');
+
+// Role names are checked against the organization's roles by the controllers
+const role = inBody(string(50));
+
+const updateUserProfile = {
+  name: inBody(string(50)),
+  email: inBody(email)
+};
+
+const changePassword = {
+  currentPassword: inBody({ isString: { errorMessage: 'must be text' } }, { required: true }),
+  newPassword: inBody(password, { required: true }),
+  logoutOtherSessions: inBody(boolean)
+};
+
+const getUsers = {
+  ...paginationQuery
+};
+
+const createUser = {
+  name: inBody(string(50), { required: true }),
+  email: inBody(email, { required: true }),
+  password: inBody(password, { required: true }),
+  role,
+  skipEmailVerification: inBody(boolean)
+};
+
+const updateUser = {
+  ...idParam,
+  name: inBody(string(50)),
+  email: inBody(email),
+  role
+};
+
+const getInvitations = {
+  ...paginationQuery,
+  status: inQuery(enumOf(Invitation, 'status'))
+};
+
+const createInvitation = {
+  name: inBody(string(50)),
+  email: inBody(email, { required: true }),
+  role
+};
+
+const deleteUserSession = {
+  ...idParam,
+  sessionId: inParams(objectId)
+};
+
+const reassignUserRecords = {
+  ...idParam,
+  to: inBody(objectId, { required: true }),
+  resources: inBody(array),
+  'resources.*': inBody(oneOf(Object.keys(OWNED_MODELS))),
+  includeActivities: inBody(boolean)
+};
+
+module.exports = {
+  updateUserProfile,
+  changePassword,
+  getUsers,
+  getUser: idParam,
+  createUser,
+  updateUser,
+  deleteUser: idParam,
+  getInvitations,
+  createInvitation,
+  revokeInvitation: idParam,
+  resendInvitation: idParam,
+  getUserSessions: idParam,
+  deleteUserSessions: idParam,
+  deleteUserSession,
+  unlockUser: idParam,
+  reassignUserRecords
+};